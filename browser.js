@@ -0,0 +1,3 @@
+import TrueVaultClient from './src/client';
+
+module.exports = TrueVaultClient;
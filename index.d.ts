@@ -0,0 +1,1112 @@
+// Type definitions for the TrueVault JavaScript SDK. The methods are documented in the JSDoc of the source files in
+// src/; see https://truevault.github.io/truevault-js-sdk. Keep these in sync with them: `yarn test-types` compiles
+// test/types.test.ts against this file.
+
+// Resources
+
+/**
+ * An access policy for a group or scoped access token. See https://docs.truevault.com/groups.
+ */
+export type Policy = PolicyStatement[];
+
+export interface PolicyStatement {
+    Resources: string[];
+    Activities: string;
+}
+
+export type UserStatus = 'ACTIVE' | 'DEACTIVATED' | 'PENDING' | 'LOCKED';
+
+/**
+ * A user. `A` is the type of the user's attributes, which are only included when requested with `full`.
+ */
+export interface User<A = unknown> {
+    id: string;
+    account_id: string;
+    username: string;
+    status: UserStatus;
+    mfa_enrolled?: boolean;
+    attributes?: A | null;
+    group_ids?: string[];
+    access_token?: string | null;
+    api_key?: string | null;
+}
+
+export interface MfaEnrollment {
+    qr_code_svg: string;
+    secret: string;
+    uri: string;
+}
+
+export interface Group {
+    id: string;
+    name: string;
+    policy: Policy;
+    user_ids?: string[];
+}
+
+export interface Vault {
+    id: string;
+    name: string;
+    account_id?: string;
+}
+
+export interface SchemaField {
+    name: string;
+    type: string;
+    index?: boolean;
+}
+
+export interface Schema {
+    id: string;
+    name: string;
+    fields: SchemaField[];
+    vault_id?: string;
+}
+
+/**
+ * A document's metadata, as returned when creating, updating or deleting it.
+ */
+export interface DocumentInfo {
+    id: string;
+    vault_id: string;
+    owner_id: string | null;
+    schema_id?: string | null;
+}
+
+/**
+ * A document read with `getDocuments`. `T` is the type of its contents.
+ */
+export interface Document<T = unknown> extends DocumentInfo {
+    document: T;
+}
+
+export interface DeletedDocument {
+    id: string;
+    owner_id: string | null;
+}
+
+/**
+ * A page of a document listing. `document` is only included when the listing is `full`.
+ */
+export interface DocumentList<T = unknown> {
+    page: number;
+    per_page: number;
+    total: number;
+    items: Array<DocumentListItem<T>>;
+}
+
+export interface DocumentListItem<T = unknown> {
+    id: string;
+    owner_id?: string | null;
+    schema_id?: string | null;
+    document?: T;
+}
+
+export interface CreateDocumentsOptions {
+    schemaId?: string;
+    ownerId?: string;
+    concurrency?: number;
+    onProgress?: (progress: CreateDocumentsProgress) => void;
+}
+
+export interface CreateDocumentsProgress {
+    completed: number;
+    succeeded: number;
+    failed: number;
+    total: number;
+}
+
+export interface CreateDocumentsResult {
+    index: number;
+    id: string | null;
+    document: DocumentInfo | null;
+    error: Error | null;
+}
+
+export interface SearchInfo {
+    current_page: number;
+    num_pages: number;
+    per_page: number;
+    total_result_count: number;
+}
+
+/**
+ * A document search result. `document` is only included when the search asks for `full_document`.
+ */
+export interface DocumentSearchResult<T = unknown> {
+    document_id: string;
+    owner_id: string | null;
+    document?: T;
+}
+
+export interface DocumentSearchResults<T = unknown> {
+    info: SearchInfo;
+    documents: Array<DocumentSearchResult<T>>;
+}
+
+export interface UserSearchResults<A = unknown> {
+    info: SearchInfo;
+    documents: Array<User<A>>;
+}
+
+/**
+ * Any `Blob` or `File`.
+ */
+export interface BlobLike {
+    readonly size: number;
+    readonly type: string;
+    slice(start?: number, end?: number, contentType?: string): BlobLike;
+}
+
+/**
+ * Any nodejs readable stream.
+ */
+export interface NodeReadableLike {
+    pipe<D>(destination: D, options?: {end?: boolean}): D;
+    on(event: string, listener: (...args: unknown[]) => void): this;
+}
+
+/**
+ * Any WHATWG `ReadableStream` of bytes.
+ */
+export interface ReadableStreamLike {
+    getReader(): {read(): Promise<{done: boolean, value?: Uint8Array}>, releaseLock(): void};
+}
+
+/**
+ * The contents of a BLOB to upload: a File or Blob when uploading from a browser, or anything `form-data` accepts (a
+ * Buffer or readable stream) in nodejs.
+ */
+export type BlobData = BlobLike | NodeReadableLike | ArrayBuffer | ArrayBufferView | string;
+
+/**
+ * The contents of a downloaded BLOB: a Blob in browsers. In nodejs, `getBlob` resolves to a readable stream (or a
+ * Blob, with native fetch), and `getBlobWithProgress` to a Blob (or a Uint8Array where there's no Blob class).
+ */
+export type DownloadedBlobData = BlobLike | NodeReadableLike | Uint8Array;
+
+export interface BlobInfo {
+    id: string;
+    filename?: string;
+    size?: string;
+    vault_id?: string;
+    owner_id?: string | null;
+    /** Hex SHA-256 digest of the contents, when returned by an upload. */
+    sha256?: string;
+}
+
+export interface BlobContents {
+    blob: DownloadedBlobData;
+    contentType: string | null;
+    fileName?: string;
+}
+
+export interface BlobFile {
+    path: string;
+    contentType: string | null;
+    fileName?: string;
+    sha256: string;
+}
+
+export interface GetBlobOptions {
+    /** Hex SHA-256 digest the contents must have, or an `IntegrityError` is thrown. */
+    expectedHash?: string;
+}
+
+export interface ChunkedUploadState {
+    version: number;
+    vaultId: string;
+    blobId: string | null;
+    ownerId: string | null;
+    filename: string | null;
+    contentType: string | null;
+    partSize: number;
+    size: number | null;
+    /** The parts uploaded so far, in order. */
+    parts: Array<{blobId: string, size: number, sha256?: string}>;
+    /** The manifest BLOB, once the upload is complete. */
+    blob: BlobInfo | null;
+}
+
+export interface ChunkedUploadCallbacks {
+    progressCallback?: ProgressCallback;
+    onStateChange?: (state: ChunkedUploadState) => void;
+}
+
+export interface ChunkedUploadOptions extends ChunkedUploadCallbacks {
+    partSize?: number;
+    ownerId?: string;
+    filename?: string;
+    contentType?: string;
+    blobId?: string;
+}
+
+/**
+ * A File, Blob, ArrayBuffer, typed array, WHATWG ReadableStream or nodejs readable stream.
+ */
+export type ChunkedUploadSource = BlobLike | ArrayBuffer | ArrayBufferView | ReadableStreamLike | NodeReadableLike;
+
+export class ChunkedUpload {
+    readonly state: ChunkedUploadState;
+    readonly uploadedBytes: number;
+    start(): Promise<BlobInfo>;
+    cancel(): void;
+    discard(): Promise<void>;
+}
+
+export interface UploadBlobFromFileOptions {
+    ownerId?: string;
+    filename?: string;
+    contentType?: string;
+}
+
+export interface BlobList {
+    page: number;
+    per_page: number;
+    total: number;
+    items: BlobInfo[];
+}
+
+export interface ProgressEventLike {
+    type: string;
+    loaded: number;
+    total: number;
+    lengthComputable?: boolean;
+}
+
+export type ProgressCallback = (event: ProgressEventLike) => void;
+
+export interface ScopedAccessToken {
+    id: string;
+    name: string;
+    policy: Policy;
+    allowed_uses: number | null;
+    consumed_uses: number;
+    not_valid_after: string;
+    access_token?: string;
+}
+
+/**
+ * Where an email address, phone number or URL comes from. See https://docs.truevault.com/email#value-specifiers.
+ */
+export interface ValueSpecifier {
+    literal_value?: string;
+    user_attribute?: string;
+}
+
+export interface PasswordResetFlow {
+    id: string;
+    name: string;
+    sg_template_id: string;
+    substitutions: {[name: string]: ValueSpecifier};
+    user_email_value_spec: ValueSpecifier;
+    from_email_value_spec: ValueSpecifier;
+}
+
+// Searching
+
+export type SearchScalar = string | number | boolean;
+
+export interface RangeBounds {
+    gt?: SearchScalar;
+    gte?: SearchScalar;
+    lt?: SearchScalar;
+    lte?: SearchScalar;
+}
+
+export type SearchFilter =
+    {type: 'eq', value: SearchScalar, case_sensitive?: boolean} |
+    {type: 'wildcard', value: string, case_sensitive?: boolean} |
+    {type: 'range', value: RangeBounds} |
+    {type: 'in', value: SearchScalar[]} |
+    {type: 'not', value: SearchFilter};
+
+/**
+ * The search options accepted by `searchDocuments` and `searchUsers`, which send them as they are. See
+ * https://docs.truevault.com/documentsearch#defining-search-options.
+ */
+export interface SearchOption {
+    filter: {[field: string]: SearchFilter};
+    filter_type?: 'and' | 'or';
+    schema_id?: string;
+    full_document?: boolean;
+    sort?: Array<{[field: string]: 'asc' | 'desc'}>;
+    page?: number;
+    per_page?: number;
+}
+
+export class Search {
+    static where(field: string): SearchCondition;
+    static validate(searchOption: SearchOption): void;
+    where(field: string): SearchCondition;
+    and(field: string): SearchCondition;
+    or(field: string): SearchCondition;
+    schema(schemaId: string): this;
+    full(full?: boolean): this;
+    sortBy(field: string, direction?: 'asc' | 'desc'): this;
+    page(page: number, perPage?: number): this;
+    toSearchOption(): SearchOption;
+    toJSON(): SearchOption;
+}
+
+export interface SearchCondition {
+    readonly not: SearchCondition;
+    eq(value: SearchScalar, options?: {caseSensitive?: boolean}): Search;
+    wildcard(pattern: string, options?: {caseSensitive?: boolean}): Search;
+    range(bounds: RangeBounds): Search;
+    in(values: SearchScalar[]): Search;
+}
+
+// Pagination and loaders
+
+export interface Page<T> {
+    items: T[];
+    hasMore: boolean;
+    info?: unknown;
+}
+
+export class PageIterator<T, I = SearchInfo> {
+    constructor(fetchPage: (page: number) => Promise<Page<T>>, firstPage?: number);
+    /** Paging info of the latest page, for listings that report it (e. g. searches). */
+    info: I | null;
+    next(): Promise<IteratorResult<T>>;
+    toArray(options?: {limit?: number}): Promise<T[]>;
+    [Symbol.asyncIterator](): PageIterator<T, I>;
+}
+
+export interface BatchLoaderOptions {
+    /** Remember results after their batch completes (default true). */
+    cache?: boolean;
+}
+
+export class BatchLoader<V> {
+    constructor(batchFn: (ids: string[]) => Promise<Array<V | null>>, options?: BatchLoaderOptions);
+    load(id: string): Promise<V | null>;
+    loadMany(ids: string[]): Promise<Array<V | null>>;
+    clear(id: string): this;
+    clearAll(): this;
+}
+
+export interface Loaders {
+    user: BatchLoader<User>;
+    document<T = unknown>(vaultId: string): BatchLoader<Document<T>>;
+}
+
+// Errors
+
+/**
+ * The error object returned by TrueVault for a failed request.
+ */
+export interface ApiError {
+    code: string;
+    message: string;
+    type: string;
+}
+
+/**
+ * The body of a successful TrueVault response. Its other properties depend on the endpoint.
+ */
+export interface ApiResponse {
+    result: 'success';
+    transaction_id?: string;
+    [property: string]: unknown;
+}
+
+export interface ErrorDetails {
+    status?: number;
+    error?: ApiError;
+    transactionId?: string;
+    method?: string;
+    path?: string;
+    cause?: unknown;
+}
+
+export class TrueVaultError extends Error {
+    constructor(message: string, details?: ErrorDetails);
+    status?: number;
+    type?: string;
+    code?: string;
+    transactionId?: string;
+    transaction_id?: string;
+    method?: string;
+    path?: string;
+    error?: ApiError;
+    /** The raw response body, when TrueVault's response wasn't a JSON error. */
+    responseBody?: string;
+}
+
+export class AuthenticationError extends TrueVaultError {
+}
+
+export class PermissionDeniedError extends TrueVaultError {
+}
+
+export class NotFoundError extends TrueVaultError {
+}
+
+export class RateLimitError extends TrueVaultError {
+}
+
+export class ValidationError extends TrueVaultError {
+}
+
+export class NetworkError extends TrueVaultError {
+    cause?: unknown;
+}
+
+export class TimeoutError extends NetworkError {
+    constructor(timeout: number, details?: ErrorDetails);
+    timeout: number;
+}
+
+export class DecryptionError extends TrueVaultError {
+    constructor(message: string, keyId?: string);
+    keyId?: string;
+}
+
+export class IntegrityError extends TrueVaultError {
+    constructor(expectedHash: string, actualHash: string);
+    expectedHash: string;
+    actualHash: string;
+}
+
+export class SearchBuildError extends TrueVaultError {
+    constructor(message: string);
+}
+
+// Storage and caching
+
+/**
+ * Where `persist()` and `fromStorage()` keep sessions. Each method may return a promise.
+ */
+export interface SessionStorage {
+    getItem(key: string): string | null | undefined | Promise<string | null | undefined>;
+    setItem(key: string, value: string): void | Promise<void>;
+    removeItem(key: string): void | Promise<void>;
+}
+
+export class MemoryStorage implements SessionStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+export class WebStorage implements SessionStorage {
+    constructor(area?: 'local' | 'session');
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+/** nodejs only: exported by the nodejs build and `src/node.js`, not by the ES module entry point. */
+export class JSONFileStorage implements SessionStorage {
+    constructor(path: string);
+    getItem(key: string): Promise<string | null>;
+    setItem(key: string, value: string): Promise<void>;
+    removeItem(key: string): Promise<void>;
+}
+
+/**
+ * Where cached responses are kept. Each method may return a promise.
+ */
+export interface CacheStore {
+    get(key: string): string | null | undefined | Promise<string | null | undefined>;
+    set(key: string, value: string, ttl: number): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    deletePrefix?(prefix: string): void | Promise<void>;
+}
+
+export class MemoryCacheStore implements CacheStore {
+    constructor(options?: {maxEntries?: number});
+    get(key: string): string | undefined;
+    set(key: string, value: string, ttl: number): void;
+    delete(key: string): void;
+    deletePrefix(prefix: string): void;
+}
+
+export type CacheResource = 'vault' | 'schema' | 'schemas' | 'userSchema' | 'group' | 'document';
+
+// Encryption
+
+/**
+ * Wraps (encrypts) and unwraps the random data keys that documents and BLOBs are encrypted with.
+ */
+export interface KeyProvider {
+    wrapKey(dataKey: Uint8Array, context: {vaultId: string}): Promise<{keyId: string, wrappedKey: Uint8Array}>;
+    unwrapKey(wrappedKey: Uint8Array, keyId: string, context: {vaultId: string}): Promise<Uint8Array>;
+}
+
+export class LocalKeyProvider implements KeyProvider {
+    constructor(options: {keys: {[keyId: string]: Uint8Array | ArrayBuffer | string}, currentKeyId: string});
+    wrapKey(dataKey: Uint8Array): Promise<{keyId: string, wrappedKey: Uint8Array}>;
+    unwrapKey(wrappedKey: Uint8Array, keyId: string): Promise<Uint8Array>;
+}
+
+export interface EncryptionOptions {
+    keyProvider: KeyProvider;
+    /** Dotted paths of the fields to encrypt, for every vault or by vault id. Only these are decrypted on read. */
+    documentFields?: string[] | ((vaultId: string) => string[]);
+    blobs?: boolean | ((vaultId: string) => boolean);
+    /** Return configured fields and BLOBs that aren't encrypted as they are, rather than raising a DecryptionError. */
+    allowPlaintext?: boolean;
+}
+
+// Client configuration
+
+export type Authn =
+    {apiKey: string} |
+    {accessToken: string, notValidAfter?: Date | string | null} |
+    {httpBasic: string} |
+    null;
+
+export interface RetryPolicy {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+}
+
+/**
+ * The options the client passes to `fetch`. `headers` is a plain object of header names and values; it's typed loosely
+ * so that fetch implementations' own option types fit.
+ */
+export interface FetchInit {
+    method?: string;
+    headers?: object;
+    body?: unknown;
+    signal?: AbortSignalLike | null;
+}
+
+/**
+ * Any fetch `Response`.
+ */
+export interface FetchResponseLike {
+    readonly status: number;
+    readonly headers?: {get(name: string): string | null};
+    readonly body?: unknown;
+    text(): Promise<string>;
+}
+
+/**
+ * Any `FormData`, or an instance of nodejs' `form-data`.
+ */
+export interface FormDataLike {
+    append(name: string, value: unknown, fileName?: string): void;
+}
+
+/**
+ * Any `XMLHttpRequest`.
+ */
+export interface XMLHttpRequestLike {
+    readonly status: number;
+    readonly response: unknown;
+    responseType: string;
+    readonly upload: {addEventListener(type: 'progress' | 'load', listener: ProgressCallback): void};
+    open(method: string, url: string): void;
+    setRequestHeader(name: string, value: string): void;
+    send(body?: unknown): void;
+    abort(): void;
+    getResponseHeader(name: string): string | null;
+    addEventListener(type: 'progress' | 'load', listener: ProgressCallback): void;
+}
+
+export interface Transport {
+    // Declared via a method so that its parameters are checked bivariantly, which lets fetch implementations that
+    // accept more than the client passes (e. g. the DOM's fetch) be used
+    fetch: {bivarianceHack(url: string, init?: FetchInit): Promise<FetchResponseLike>}['bivarianceHack'];
+    FormData: new () => FormDataLike;
+    createXMLHttpRequest: (() => XMLHttpRequestLike) | null;
+}
+
+export interface CacheOptions {
+    ttl?: number | {[resource in CacheResource]?: number};
+    maxEntries?: number;
+    store?: CacheStore;
+    keyPrefix?: string;
+}
+
+/**
+ * What `options.refreshCredentials` resolves to: the arguments for `generateAccessToken`.
+ */
+export interface RefreshCredentials {
+    accountId: string;
+    username: string;
+    password: string;
+    mfaCode?: string | null;
+    notValidAfter?: Date | null;
+}
+
+export interface ClientOptions {
+    timeout?: number;
+    retry?: boolean | RetryPolicy;
+    middleware?: Middleware[];
+    transport?: Partial<Transport>;
+    cache?: boolean | CacheOptions;
+    encryption?: EncryptionOptions;
+    refreshCredentials?: () => RefreshCredentials | Promise<RefreshCredentials>;
+    tokenExpiringThreshold?: number;
+    storageKey?: string;
+}
+
+export interface RequestOptions {
+    idempotent?: boolean;
+    signal?: AbortSignalLike;
+    timeout?: number;
+}
+
+/**
+ * Any `AbortSignal`.
+ */
+export interface AbortSignalLike {
+    readonly aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+export interface MiddlewareRequest {
+    kind: 'legacy' | 'json' | 'blob' | 'progress';
+    method: string;
+    host: string | null;
+    path: string;
+    options: {headers: {[name: string]: string}, body?: unknown, [option: string]: unknown};
+}
+
+/**
+ * Middleware resolves to the request's result: an `ApiResponse`, `BlobContents` for `'blob'` requests, or an
+ * `XMLHttpRequestLike` for `'progress'` downloads.
+ */
+export type Middleware =
+    (request: MiddlewareRequest, next: (request?: MiddlewareRequest) => Promise<unknown>) => unknown;
+
+export interface TokenEvent {
+    notValidAfter: Date | null;
+}
+
+export interface TokenRefreshedEvent extends TokenEvent {
+    accessToken: string;
+}
+
+export type LoginStep<C> =
+    {state: 'authenticated', client: C} |
+    {state: 'mfaRequired' | 'invalidMfaCode', error: TrueVaultError, submitMfaCode(mfaCode: string): Promise<LoginStep<C>>} |
+    {state: 'locked' | 'invalidCredentials', error: TrueVaultError};
+
+export interface LoginArgs {
+    accountId: string;
+    username: string;
+    password: string;
+    mfaCode?: string | null;
+    host?: string | null;
+    notValidAfter?: Date | null;
+    options?: ClientOptions;
+}
+
+export interface BeginLoginArgs {
+    accountId: string;
+    username: string;
+    password: string;
+    host?: string | null;
+    notValidAfter?: Date | null;
+    options?: ClientOptions;
+}
+
+type ClientConstructor<C> = new (authn: Authn, host?: string | null, options?: ClientOptions) => C;
+
+type UnionToIntersection<U> = (U extends unknown ? (u: U) => void : never) extends ((i: infer I) => void) ? I : never;
+
+/**
+ * The class returned by `TrueVaultCore.with`: `C` with the methods of every method class mixed in.
+ */
+export type ClientClass<C extends typeof TrueVaultCore, M> =
+    {new (authn: Authn, host?: string | null, options?: ClientOptions): InstanceType<C> & M, prototype: InstanceType<C> & M} &
+    Pick<C, Exclude<keyof C, 'prototype'>>;
+
+// The client
+
+export class TrueVaultCore {
+    constructor(authn: Authn, host?: string | null, options?: ClientOptions);
+
+    static with<C extends typeof TrueVaultCore, M extends Array<new () => object>>(this: C, ...methodClasses: M):
+        ClientClass<C, UnionToIntersection<InstanceType<M[number]>>>;
+
+    static login<C>(this: ClientConstructor<C>, accountId: string, username: string, password: string,
+                    mfaCode?: string | null, host?: string | null, notValidAfter?: Date | null,
+                    options?: ClientOptions): Promise<C>;
+    static login<C>(this: ClientConstructor<C>, args: LoginArgs): Promise<C>;
+
+    static beginLogin<C>(this: ClientConstructor<C>, accountId: string, username: string, password: string,
+                         host?: string | null, notValidAfter?: Date | null,
+                         options?: ClientOptions): Promise<LoginStep<C>>;
+    static beginLogin<C>(this: ClientConstructor<C>, args: BeginLoginArgs): Promise<LoginStep<C>>;
+
+    static fromStorage<C>(this: ClientConstructor<C>, storage: SessionStorage, host?: string | null,
+                          options?: ClientOptions): Promise<C | null>;
+
+    static generateAccessToken(accountId: string, username: string, password: string, mfaCode?: string | null,
+                               host?: string | null, notValidAfter?: Date | null,
+                               options?: ClientOptions): Promise<string>;
+    static generateAccessToken(args: LoginArgs): Promise<string>;
+
+    host: string;
+    readonly accessToken: string;
+    readonly accessTokenNotValidAfter: Date | null;
+    readonly authHeader: string | null;
+
+    withRequestOptions(requestOptions: RequestOptions): this;
+    on(event: 'tokenExpiring' | 'tokenExpired', listener: (event: TokenEvent) => void): this;
+    on(event: 'tokenRefreshed', listener: (event: TokenRefreshedEvent) => void): this;
+    off(event: 'tokenExpiring' | 'tokenExpired', listener: (event: TokenEvent) => void): this;
+    off(event: 'tokenRefreshed', listener: (event: TokenRefreshedEvent) => void): this;
+    refreshAccessToken(): Promise<string>;
+    persist(storage: SessionStorage): Promise<this>;
+    use(middleware: Middleware): this;
+    logout(): Promise<User>;
+
+    performLegacyRequest(path: string, options?: FetchInit): Promise<ApiResponse>;
+    performJSONRequest(path: string, options?: FetchInit): Promise<ApiResponse>;
+}
+
+/** Lets a client class use the `cache` option; see `TrueVaultCore.with`. */
+export class CacheSupport {
+}
+
+/** Lets a client class use the `encryption` option; see `TrueVaultCore.with`. */
+export class EncryptionSupport {
+}
+
+/**
+ * nodejs only: exported by the nodejs build and `src/node.js`. Supplies node-fetch, form-data, fs and nodejs' crypto
+ * to a client class; list it last in `TrueVaultCore.with`.
+ */
+export class NodeSupport {
+}
+
+export class UserMethods {
+    readCurrentUser<A = unknown>(full?: boolean): Promise<User<A>>;
+    updateCurrentUser<A = unknown>(attributes: A): Promise<User<A>>;
+    listUsers<A = unknown>(full?: boolean): Promise<Array<User<A>>>;
+    listUsersWithStatus<A = unknown>(status: UserStatus | null, full?: boolean): Promise<Array<User<A>>>;
+    iterateUsers<A = unknown>(options?: {status?: UserStatus, full?: boolean, perPage?: number}): PageIterator<User<A>>;
+    readUser<A = unknown>(userId: string): Promise<User<A>>;
+    /** Resolves to the users in the order of `userIds`, with null in place of users that don't exist. */
+    readUsers<A = unknown>(userIds: string[]): Promise<Array<User<A> | null>>;
+    createUser<A = unknown>(username: string, password: string, attributes?: A | null, groupIds?: string[] | null,
+                        status?: UserStatus | null): Promise<User<A>>;
+    updateUserAttributes<A = unknown>(userId: string, attributes: A): Promise<User<A>>;
+    updateUserStatus(userId: string, status: UserStatus): Promise<User>;
+    updateUserUsername(userId: string, newUsername: string): Promise<User>;
+    updateUserPassword(userId: string, newPassword: string): Promise<User>;
+    deleteUser(userId: string): Promise<User>;
+    createUserApiKey(userId: string): Promise<string>;
+    createUserAccessToken(userId: string, notValidAfter?: Date | null): Promise<string>;
+    startUserMfaEnrollment(userId: string, issuer: string): Promise<MfaEnrollment>;
+    finalizeMfaEnrollment(userId: string, mfaCode1: string, mfaCode2: string): Promise<void>;
+    unenrollMfa(userId: string, mfaCode: string, password: string): Promise<void>;
+    searchUsers<A = unknown>(searchOption: SearchOption | Search): Promise<UserSearchResults<A>>;
+    iterateSearchUsers<A = unknown>(searchOption: SearchOption | Search): PageIterator<User<A>>;
+    createUserSchema(accountId: string, name: string, fields: SchemaField[]): Promise<Schema>;
+    readUserSchema(accountId: string): Promise<Schema>;
+    updateUserSchema(accountId: string, name: string, fields: SchemaField[]): Promise<Schema>;
+    deleteUserSchema(accountId: string): Promise<Schema>;
+}
+
+export class GroupMethods {
+    createGroup(name: string, policy: Policy, userIds?: string[]): Promise<Group>;
+    updateGroup(groupId: string, name: string, policy: Policy): Promise<Group>;
+    deleteGroup(groupId: string): Promise<Group>;
+    listGroups(): Promise<Group[]>;
+    readFullGroup(groupId: string): Promise<Group>;
+    addUsersToGroup(groupId: string, userIds: string[]): Promise<void>;
+    removeUsersFromGroup(groupId: string, userIds: string[]): Promise<void>;
+    addUsersToGroupReturnUserIds(groupId: string, userIds: string[]): Promise<Group>;
+    removeUsersFromGroupReturnUserIds(groupId: string, userIds: string[]): Promise<Group>;
+}
+
+export interface UpdateDocumentArgs<T> {
+    vaultId: string;
+    documentId: string;
+    document: T;
+    ownerId?: string | null;
+    schemaId?: string | null;
+}
+
+export class VaultMethods {
+    listVaults(page?: number, per_page?: number): Promise<Vault[]>;
+    iterateVaults(options?: {perPage?: number}): PageIterator<Vault>;
+    createVault(name: string): Promise<Vault>;
+    readVault(vaultId: string): Promise<Vault>;
+    updateVault(vaultId: string, name: string): Promise<Vault>;
+    deleteVault(vaultId: string): Promise<Vault>;
+
+    createSchema(vaultId: string, name: string, fields: SchemaField[]): Promise<Schema>;
+    updateSchema(vaultId: string, schemaId: string, name: string, fields: SchemaField[]): Promise<Schema>;
+    readSchema(vaultId: string, schemaId: string): Promise<Schema>;
+    listSchemas(vaultId: string): Promise<Schema[]>;
+    deleteSchema(vaultId: string, schemaId: string): Promise<void>;
+
+    createDocument<T = unknown>(vaultId: string, schemaId: string | null, document: T,
+                            ownerId?: string | null): Promise<DocumentInfo>;
+    createDocuments<T = unknown>(vaultId: string, documents: T[],
+                             options?: CreateDocumentsOptions): Promise<CreateDocumentsResult[]>;
+    listDocuments<T = unknown>(vaultId: string, full?: boolean, page?: number | null,
+                           perPage?: number | null): Promise<DocumentList<T>>;
+    listDocumentsInSchema<T = unknown>(vaultId: string, schemaId: string, full?: boolean, page?: number | null,
+                                   perPage?: number | null): Promise<DocumentList<T>>;
+    iterateDocuments<T = unknown>(vaultId: string, options?: {schemaId?: string, full?: boolean, perPage?: number}):
+        PageIterator<DocumentListItem<T>>;
+    /** Resolves to the documents in the order of `documentIds`, with null in place of documents that don't exist. */
+    getDocuments<T = unknown>(vaultId: string, documentIds: string[]): Promise<Array<Document<T> | null>>;
+    searchDocuments<T = unknown>(vaultId: string,
+                                 searchOption: SearchOption | Search): Promise<DocumentSearchResults<T>>;
+    iterateSearchDocuments<T = unknown>(vaultId: string, searchOption: SearchOption | Search):
+        PageIterator<DocumentSearchResult<T>>;
+    updateDocument<T = unknown>(vaultId: string, documentId: string, document: T, ownerId?: string | null,
+                            schemaId?: string | null): Promise<DocumentInfo>;
+    updateDocument<T = unknown>(args: UpdateDocumentArgs<T>): Promise<DocumentInfo>;
+    updateDocumentOwner(vaultId: string, documentId: string, ownerId: string): Promise<DocumentInfo>;
+    deleteDocument(vaultId: string, documentId: string): Promise<DeletedDocument>;
+}
+
+export class BlobMethods {
+    createBlob(vaultId: string, file: BlobData, ownerId?: string | null): Promise<BlobInfo>;
+    createBlobWithProgress(vaultId: string, file: BlobData, progressCallback: ProgressCallback,
+                           ownerId?: string | null): Promise<BlobInfo>;
+    updateBlobWithProgress(vaultId: string, blobId: string, file: BlobData, progressCallback: ProgressCallback,
+                           ownerId?: string | null): Promise<BlobInfo>;
+    getBlobWithProgress(vaultId: string, blobId: string, progressCallback: ProgressCallback,
+                        options?: GetBlobOptions): Promise<BlobContents>;
+    getBlob(vaultId: string, blobId: string, options?: GetBlobOptions): Promise<BlobContents>;
+    downloadBlobToFile(vaultId: string, blobId: string, path: string, options?: GetBlobOptions): Promise<BlobFile>;
+    listBlobs(vaultId: string, page?: number | null, perPage?: number | null): Promise<BlobList>;
+    iterateBlobs(vaultId: string, options?: {perPage?: number}): PageIterator<BlobInfo>;
+    uploadBlobFromFile(vaultId: string, path: string, options?: UploadBlobFromFileOptions): Promise<BlobInfo>;
+    createChunkedUpload(vaultId: string, source: ChunkedUploadSource, options?: ChunkedUploadOptions): ChunkedUpload;
+    resumeChunkedUpload(state: ChunkedUploadState, source: ChunkedUploadSource,
+                        options?: ChunkedUploadCallbacks): ChunkedUpload;
+    getChunkedBlob(vaultId: string, blobId: string): Promise<BlobContents>;
+    deleteChunkedBlob(vaultId: string, blobId: string): Promise<BlobInfo>;
+    updateBlob(vaultId: string, blobId: string, file: BlobData, ownerId?: string | null): Promise<BlobInfo>;
+    updateBlobOwner(vaultId: string, blobId: string, ownerId: string): Promise<BlobInfo>;
+    deleteBlob(vaultId: string, blobId: string): Promise<BlobInfo>;
+    performLegacyRequestWithProgress(method: string, url: string, formData: FormDataLike | null,
+                                     progressCallback: ProgressCallback | null,
+                                     responseType: 'json'): Promise<ApiResponse>;
+    performLegacyRequestWithProgress(method: string, url: string, formData: FormDataLike | null,
+                                     progressCallback: ProgressCallback | null,
+                                     responseType: 'blob'): Promise<XMLHttpRequestLike>;
+}
+
+export interface SendEmailSendgridArgs {
+    sendgridApiKey: string;
+    userId: string;
+    sendgridTemplateId: string;
+    fromEmailSpecifier: ValueSpecifier;
+    toEmailSpecifier: ValueSpecifier;
+    substitutions?: {[name: string]: ValueSpecifier};
+}
+
+export interface SendSMSTwilioArgs {
+    twilioAccountSid: string;
+    twilioKeySid: string;
+    twilioKeySecret: string;
+    userId: string;
+    fromNumberSpecifier: ValueSpecifier;
+    toNumberSpecifier: ValueSpecifier;
+    messageBody: string;
+    mediaURLs?: ValueSpecifier[];
+}
+
+export class MessagingMethods {
+    sendEmailSendgrid(sendgridApiKey: string, userId: string, sendgridTemplateId: string,
+                      fromEmailSpecifier: ValueSpecifier, toEmailSpecifier: ValueSpecifier,
+                      substitutions?: {[name: string]: ValueSpecifier}): Promise<string>;
+    sendEmailSendgrid(args: SendEmailSendgridArgs): Promise<string>;
+    sendSMSTwilio(twilioAccountSid: string, twilioKeySid: string, twilioKeySecret: string, userId: string,
+                  fromNumberSpecifier: ValueSpecifier, toNumberSpecifier: ValueSpecifier, messageBody: string,
+                  mediaURLs?: ValueSpecifier[]): Promise<string>;
+    sendSMSTwilio(args: SendSMSTwilioArgs): Promise<string>;
+}
+
+export interface CreatePasswordResetFlowArgs {
+    name: string;
+    sendGridTemplateId: string;
+    sendGridApiKey: string;
+    userEmailValueSpec: ValueSpecifier;
+    fromEmailValueSpec: ValueSpecifier;
+    substitutions?: {[name: string]: ValueSpecifier};
+}
+
+export class PasswordResetMethods {
+    createPasswordResetFlow(name: string, sendGridTemplateId: string, sendGridApiKey: string,
+                            userEmailValueSpec: ValueSpecifier, fromEmailValueSpec: ValueSpecifier,
+                            substitutions?: {[name: string]: ValueSpecifier}): Promise<PasswordResetFlow>;
+    createPasswordResetFlow(args: CreatePasswordResetFlowArgs): Promise<PasswordResetFlow>;
+    listPasswordResetFlows(): Promise<PasswordResetFlow[]>;
+    sendPasswordResetEmail(flowId: string, username: string): Promise<void>;
+    linkScopedAccessTokenToPasswordResetFlow(flowId: string, tokenId: string): Promise<ApiResponse>;
+}
+
+export class ScopedAccessTokenMethods {
+    createScopedAccessToken(name: string, policy: Policy, notValidAfter?: Date | null,
+                            allowedUses?: number | null): Promise<ScopedAccessToken>;
+    getScopedAccessToken(tokenId: string): Promise<ScopedAccessToken>;
+    listScopedAccessTokens(): Promise<ScopedAccessToken[]>;
+    deleteScopedAccessToken(tokenId: string): Promise<ApiResponse>;
+}
+
+export class LoaderMethods {
+    readonly loaders: Loaders;
+    createLoaders(options?: BatchLoaderOptions): Loaders;
+}
+
+// Scoped handles
+
+export interface VaultHandle {
+    readonly id: string;
+    readonly documents: DocumentsHandle;
+    readonly schemas: SchemasHandle;
+    readonly blobs: BlobsHandle;
+    read(): Promise<Vault>;
+    update(name: string): Promise<Vault>;
+    delete(): Promise<Vault>;
+}
+
+export interface DocumentsHandle {
+    create<T = unknown>(schemaId: string | null, document: T, ownerId?: string | null): Promise<DocumentInfo>;
+    createMany<T = unknown>(documents: T[], options?: CreateDocumentsOptions): Promise<CreateDocumentsResult[]>;
+    get<T = unknown>(documentId: string): Promise<Document<T> | null>;
+    get<T = unknown>(documentIds: string[]): Promise<Array<Document<T> | null>>;
+    update<T = unknown>(documentId: string, document: T, ownerId?: string | null,
+                    schemaId?: string | null): Promise<DocumentInfo>;
+    updateOwner(documentId: string, ownerId: string): Promise<DocumentInfo>;
+    delete(documentId: string): Promise<DeletedDocument>;
+    list<T = unknown>(full?: boolean, page?: number | null, perPage?: number | null): Promise<DocumentList<T>>;
+    listInSchema<T = unknown>(schemaId: string, full?: boolean, page?: number | null,
+                          perPage?: number | null): Promise<DocumentList<T>>;
+    iterate<T = unknown>(options?: {schemaId?: string, full?: boolean, perPage?: number}):
+        PageIterator<DocumentListItem<T>>;
+    search<T = unknown>(searchOption: SearchOption | Search): Promise<DocumentSearchResults<T>>;
+    iterateSearch<T = unknown>(searchOption: SearchOption | Search): PageIterator<DocumentSearchResult<T>>;
+}
+
+export interface SchemasHandle {
+    create(name: string, fields: SchemaField[]): Promise<Schema>;
+    read(schemaId: string): Promise<Schema>;
+    update(schemaId: string, name: string, fields: SchemaField[]): Promise<Schema>;
+    delete(schemaId: string): Promise<void>;
+    list(): Promise<Schema[]>;
+}
+
+export interface BlobsHandle {
+    create(file: BlobData, ownerId?: string | null): Promise<BlobInfo>;
+    createWithProgress(file: BlobData, progressCallback: ProgressCallback, ownerId?: string | null): Promise<BlobInfo>;
+    get(blobId: string, options?: GetBlobOptions): Promise<BlobContents>;
+    getWithProgress(blobId: string, progressCallback: ProgressCallback,
+                    options?: GetBlobOptions): Promise<BlobContents>;
+    downloadToFile(blobId: string, path: string, options?: GetBlobOptions): Promise<BlobFile>;
+    uploadFromFile(path: string, options?: UploadBlobFromFileOptions): Promise<BlobInfo>;
+    createChunkedUpload(source: ChunkedUploadSource, options?: ChunkedUploadOptions): ChunkedUpload;
+    getChunked(blobId: string): Promise<BlobContents>;
+    deleteChunked(blobId: string): Promise<BlobInfo>;
+    update(blobId: string, file: BlobData, ownerId?: string | null): Promise<BlobInfo>;
+    updateWithProgress(blobId: string, file: BlobData, progressCallback: ProgressCallback,
+                       ownerId?: string | null): Promise<BlobInfo>;
+    updateOwner(blobId: string, ownerId: string): Promise<BlobInfo>;
+    delete(blobId: string): Promise<BlobInfo>;
+    list(page?: number | null, perPage?: number | null): Promise<BlobList>;
+    iterate(options?: {perPage?: number}): PageIterator<BlobInfo>;
+}
+
+export interface UsersHandle {
+    create<A = unknown>(username: string, password: string, attributes?: A | null, groupIds?: string[] | null,
+                    status?: UserStatus | null): Promise<User<A>>;
+    read<A = unknown>(userId: string): Promise<User<A>>;
+    readMany<A = unknown>(userIds: string[]): Promise<Array<User<A> | null>>;
+    readCurrent<A = unknown>(full?: boolean): Promise<User<A>>;
+    updateCurrent<A = unknown>(attributes: A): Promise<User<A>>;
+    list<A = unknown>(full?: boolean, status?: UserStatus | null): Promise<Array<User<A>>>;
+    iterate<A = unknown>(options?: {status?: UserStatus, full?: boolean, perPage?: number}): PageIterator<User<A>>;
+    search<A = unknown>(searchOption: SearchOption | Search): Promise<UserSearchResults<A>>;
+    iterateSearch<A = unknown>(searchOption: SearchOption | Search): PageIterator<User<A>>;
+    updateAttributes<A = unknown>(userId: string, attributes: A): Promise<User<A>>;
+    updateStatus(userId: string, status: UserStatus): Promise<User>;
+    updateUsername(userId: string, newUsername: string): Promise<User>;
+    updatePassword(userId: string, newPassword: string): Promise<User>;
+    delete(userId: string): Promise<User>;
+    createApiKey(userId: string): Promise<string>;
+    createAccessToken(userId: string, notValidAfter?: Date | null): Promise<string>;
+    startMfaEnrollment(userId: string, issuer: string): Promise<MfaEnrollment>;
+    finalizeMfaEnrollment(userId: string, mfaCode1: string, mfaCode2: string): Promise<void>;
+    unenrollMfa(userId: string, mfaCode: string, password: string): Promise<void>;
+}
+
+export interface GroupsHandle {
+    create(name: string, policy: Policy, userIds?: string[]): Promise<Group>;
+    read(groupId: string): Promise<Group>;
+    update(groupId: string, name: string, policy: Policy): Promise<Group>;
+    delete(groupId: string): Promise<Group>;
+    list(): Promise<Group[]>;
+    addUsers(groupId: string, userIds: string[]): Promise<void>;
+    removeUsers(groupId: string, userIds: string[]): Promise<void>;
+}
+
+export interface ScopedAccessTokensHandle {
+    create(name: string, policy: Policy, notValidAfter?: Date | null,
+           allowedUses?: number | null): Promise<ScopedAccessToken>;
+    get(tokenId: string): Promise<ScopedAccessToken>;
+    list(): Promise<ScopedAccessToken[]>;
+    delete(tokenId: string): Promise<ApiResponse>;
+}
+
+export class HandleMethods {
+    vault(vaultId: string): VaultHandle;
+    readonly users: UsersHandle;
+    readonly groups: GroupsHandle;
+    readonly scopedAccessTokens: ScopedAccessTokensHandle;
+}
+
+/**
+ * A client for the TrueVault HTTP API, with the methods for every kind of resource.
+ */
+declare class TrueVaultClient extends TrueVaultCore {
+    static TrueVaultError: typeof TrueVaultError;
+    static AuthenticationError: typeof AuthenticationError;
+    static PermissionDeniedError: typeof PermissionDeniedError;
+    static NotFoundError: typeof NotFoundError;
+    static RateLimitError: typeof RateLimitError;
+    static ValidationError: typeof ValidationError;
+    static NetworkError: typeof NetworkError;
+    static TimeoutError: typeof TimeoutError;
+    static DecryptionError: typeof DecryptionError;
+    static IntegrityError: typeof IntegrityError;
+    static SearchBuildError: typeof SearchBuildError;
+    static PageIterator: typeof PageIterator;
+    static ChunkedUpload: typeof ChunkedUpload;
+    static Search: typeof Search;
+    static BatchLoader: typeof BatchLoader;
+    static MemoryCacheStore: typeof MemoryCacheStore;
+    static LocalKeyProvider: typeof LocalKeyProvider;
+    static MemoryStorage: typeof MemoryStorage;
+    static WebStorage: typeof WebStorage;
+    /** nodejs only; see `JSONFileStorage`. */
+    static JSONFileStorage: typeof JSONFileStorage;
+    static TrueVaultCore: typeof TrueVaultCore;
+    static UserMethods: typeof UserMethods;
+    static GroupMethods: typeof GroupMethods;
+    static VaultMethods: typeof VaultMethods;
+    static BlobMethods: typeof BlobMethods;
+    static MessagingMethods: typeof MessagingMethods;
+    static PasswordResetMethods: typeof PasswordResetMethods;
+    static ScopedAccessTokenMethods: typeof ScopedAccessTokenMethods;
+    static LoaderMethods: typeof LoaderMethods;
+    static HandleMethods: typeof HandleMethods;
+    static CacheSupport: typeof CacheSupport;
+    static EncryptionSupport: typeof EncryptionSupport;
+    /** nodejs only; see `NodeSupport`. */
+    static NodeSupport: typeof NodeSupport;
+}
+
+interface TrueVaultClient extends UserMethods, GroupMethods, VaultMethods, BlobMethods, MessagingMethods,
+    PasswordResetMethods, ScopedAccessTokenMethods, LoaderMethods, HandleMethods, CacheSupport, EncryptionSupport {
+}
+
+export default TrueVaultClient;
@@ -0,0 +1,701 @@
+import contentDisposition from 'content-disposition';
+import {TrueVaultCore} from './core';
+import {makeResponseError} from './errors';
+import {PageIterator} from './pagination';
+import {concatChunks, decodeText, encodeText, progressRequestBody, readResponseBody, readStream} from './progress';
+import {ChunkedUpload, newUploadState, parseManifest} from './chunkedUpload';
+import {appendFile, baseName, callFs, removePartialFile, resolveDownloadPath, writeBodyToFile} from './files';
+import {checkHash, createSha256, hashBlobData, hashBytes} from './hash';
+
+/**
+ * Methods for BLOBs; see `TrueVaultCore.with`.
+ */
+export class BlobMethods {
+    /**
+     * Create a BLOB. See https://docs.truevault.com/blobs#create-a-blob.
+     * @param {string} vaultId vault that will contain the blob.
+     * @param {File|Blob} file the BLOB's contents.
+     * @param {string|null} [ownerId] the BLOB's owner.
+     * @returns {Promise.<Object>} the BLOB's info, with `sha256`, the hex SHA-256 digest of the contents (before any
+     * encryption), which can be passed to `getBlob` as `expectedHash`.
+     */
+    async createBlob(vaultId, file, ownerId) {
+        const {formData, hashing} = await this._blobFormData(vaultId, file, ownerId);
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/blobs`, {
+            method: 'POST',
+            body: formData
+        });
+        return withHash(response.blob, await hashing);
+    }
+
+    /**
+     * Create a BLOB with a callback for progress updates. See https://docs.truevault.com/blobs#create-a-blob.
+     * @param {string} vaultId vault that will contain the blob.
+     * @param {File|Blob} file the BLOB's contents.
+     * @param {function} progressCallback callback for XHR's `progress` and `load` events, or for equivalent objects in
+     * nodejs; see `performLegacyRequestWithProgress`.
+     * @param {string|null} [ownerId] the BLOB's owner.
+     * @returns {Promise.<Object>} the BLOB's info, with `sha256`; see `createBlob`.
+     */
+    async createBlobWithProgress(vaultId, file, progressCallback, ownerId) {
+        const {formData, hashing} = await this._blobFormData(vaultId, file, ownerId);
+
+        const createResponse = await this.performLegacyRequestWithProgress('post', `${this.host}/v1/vaults/${vaultId}/blobs`, formData, progressCallback, 'json');
+        return withHash(createResponse.blob, await hashing);
+    }
+
+    /**
+     * Update a BLOB with a callback for progress updates. See https://docs.truevault.com/blobs#update-a-blob.
+     * @param {string} vaultId vault that contains the blob.
+     * @param {string} blobId the ID of the blob being updated
+     * @param {File|Blob} file the BLOB's contents.
+     * @param {function} progressCallback callback for XHR's `progress` and `load` events, or for equivalent objects in
+     * nodejs; see `performLegacyRequestWithProgress`.
+     * @param {string|null} [ownerId] the BLOB's new owner.
+     * @returns {Promise<*>} the BLOB's info, with `sha256`; see `createBlob`.
+     */
+    async updateBlobWithProgress(vaultId, blobId, file, progressCallback, ownerId) {
+        const {formData, hashing} = await this._blobFormData(vaultId, file, ownerId);
+
+        const updateResponse = await this.performLegacyRequestWithProgress('put', `${this.host}/v1/vaults/${vaultId}/blobs/${blobId}`, formData, progressCallback, 'json');
+        return withHash(updateResponse.blob, await hashing);
+    }
+
+    /**
+     * Get a BLOB with a callback for progress updates. See https://docs.truevault.com/blobs#read-a-blob.
+     * @param {string} vaultId vault that contains the blob.
+     * @param {string} blobId the ID of the blob being read
+     * @param {function} progressCallback callback for XHR's `progress` and `load` events, or for equivalent objects in
+     * nodejs; see `performLegacyRequestWithProgress`.
+     * @param {Object} [options]
+     * @param {string} [options.expectedHash] see `getBlob`.
+     * @returns {Promise<{blob: *}>}
+     */
+    async getBlobWithProgress(vaultId, blobId, progressCallback, options) {
+        const {expectedHash} = options || {};
+        const xhr = await this.performLegacyRequestWithProgress('get', `${this.host}/v1/vaults/${vaultId}/blobs/${blobId}`, null, progressCallback, 'blob');
+        const contentType = xhr.getResponseHeader("Content-Type");
+        const contentDisposition = xhr.getResponseHeader("Content-Disposition");
+        const fileName = extractFilenameFromContentDispositionHeader(contentDisposition);
+        const contents = await this._decryptBlobContents(vaultId, {blob: xhr.response, contentType, fileName});
+        return verifyBlobContents(contents, expectedHash, () => this._createSha256());
+    }
+
+    /**
+     * Get a BLOB's contents. See https://docs.truevault.com/blobs#read-a-blob.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId id of the BLOB.
+     * @param {Object} [options]
+     * @param {string} [options.expectedHash] the hex SHA-256 digest the contents should have, e. g. the `sha256`
+     * returned by `createBlob`. If they don't match, an `IntegrityError` is thrown. The contents are read into memory
+     * to be checked, so `blob` is then a Blob (or a Uint8Array where there's no Blob class) in nodejs too.
+     * @returns {Promise.<*>}
+     */
+    async getBlob(vaultId, blobId, options) {
+        const {expectedHash} = options || {};
+        const buffered = !!expectedHash || this._encryptsBlobs(vaultId);
+        const contents = await this._dispatchAuthenticated(this._blobRequest(vaultId, blobId),
+            request => this._sendBlobRequest(request, response => {
+                if (buffered) {
+                    return readResponseBody(response);
+                }
+                return response.blob ? response.blob() : response.body;
+            }));
+        return verifyBlobContents(await this._decryptBlobContents(vaultId, contents), expectedHash,
+            () => this._createSha256());
+    }
+
+    /**
+     * Save a BLOB's contents to a file, streaming it to disk rather than holding it in memory. Only available in
+     * nodejs. If the download fails, the partial file is removed. See https://docs.truevault.com/blobs#read-a-blob.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId id of the BLOB.
+     * @param {string} path the file to write, which is replaced if it exists. If `path` is a directory, the file is
+     * created in it, named after the BLOB's filename (or its id, if it has none).
+     * @param {Object} [options]
+     * @param {string} [options.expectedHash] the hex SHA-256 digest the contents should have. If they don't match, the
+     * file is removed and an `IntegrityError` is thrown.
+     * @returns {Promise.<{path: string, contentType: string, fileName: string, sha256: string}>} the file written, the
+     * BLOB's content type and filename, and the hex SHA-256 digest of its contents.
+     */
+    async downloadBlobToFile(vaultId, blobId, path, options) {
+        const {expectedHash} = options || {};
+        this._checkStreamable(vaultId);
+        const fs = this._requireFileSystem();
+        const result = await this._dispatchAuthenticated(this._blobRequest(vaultId, blobId),
+            request => this._sendBlobRequest(request, async (response, fileName) => {
+                const filePath = await resolveDownloadPath(fs, path, fileName, blobId);
+                // Download next to the destination so that a failure can't leave a truncated file in its place
+                const tempPath = `${filePath}.download`;
+                const hash = this._createSha256();
+                let sha256;
+                try {
+                    await writeBodyToFile(fs, response.body, tempPath, chunk => hash.update(chunk));
+                    sha256 = hash.digest();
+                    if (expectedHash) {
+                        checkHash(expectedHash, sha256);
+                    }
+                    await callFs(fs, 'rename', tempPath, filePath);
+                } catch (e) {
+                    await removePartialFile(fs, tempPath);
+                    throw e;
+                }
+                return {path: filePath, sha256};
+            }));
+        return {
+            path: result.blob.path,
+            contentType: result.contentType,
+            fileName: result.fileName,
+            sha256: result.blob.sha256
+        };
+    }
+
+    _blobRequest(vaultId, blobId) {
+        return {
+            kind: 'blob',
+            method: 'GET',
+            host: this.host,
+            path: `v1/vaults/${vaultId}/blobs/${blobId}`,
+            options: {
+                headers: {Authorization: this.authHeader}
+            }
+        };
+    }
+
+    async _sendBlobRequest(request, readBody) {
+        const requestInfo = {method: request.method, path: request.path};
+        const options = Object.assign({}, request.options, {method: request.method});
+        return this._withCancellation(requestInfo, async cancellation => {
+            const response = await this._withRetries(requestInfo, null, cancellation,
+                () => this._fetch(`${request.host}/${request.path}`, TrueVaultCore._withSignal(options, cancellation.signal)));
+
+            if (response.status >= 400) {
+                const responseBody = await response.text();
+                let json = null;
+                try {
+                    json = JSON.parse(responseBody);
+                } catch (e) {
+                }
+                throw makeResponseError(response.status, json, responseBody, requestInfo);
+            }
+
+            const contentType = response.headers.get('Content-Type');
+            const contentDisposition = response.headers.get('Content-Disposition');
+            const fileName = extractFilenameFromContentDispositionHeader(contentDisposition);
+            const blob = await readBody(response, fileName);
+
+            return {blob, contentType, fileName};
+        });
+    }
+
+    /**
+     * List the BLOBs in a vault. See https://docs.truevault.com/blobs#list-all-blobs.
+     * @param {string} vaultId the vault to list.
+     * @param {number} [page] if paginating, the page.
+     * @param {number} [perPage] if paginating, the number of items per page.
+     * @returns {Promise.<Object>}
+     */
+    async listBlobs(vaultId, page, perPage) {
+        let url = `v1/vaults/${vaultId}/blobs?`;
+        if (!!page) {
+            url += `&page=${page}`;
+        }
+        if (!!perPage) {
+            url += `&per_page=${perPage}`;
+        }
+        const response = await this.performLegacyRequest(url);
+        return response.data
+    }
+
+    /**
+     * Iterate over all BLOBs in a vault, fetching them a page at a time. See https://docs.truevault.com/blobs#list-all-blobs.
+     * @param {string} vaultId the vault to list.
+     * @param {Object} [options]
+     * @param {number} [options.perPage] number of BLOBs to request per page.
+     * @returns {PageIterator} an async iterator of BLOB list items.
+     */
+    iterateBlobs(vaultId, options) {
+        const {perPage} = options || {};
+        return new PageIterator(async page => {
+            const data = await this.listBlobs(vaultId, page, perPage);
+            return {items: data.items, hasMore: data.page * data.per_page < data.total};
+        });
+    }
+
+    /**
+     * Create a BLOB from a file, streaming it from disk rather than reading it into memory first. Only available in
+     * nodejs. See https://docs.truevault.com/blobs#create-a-blob.
+     * @param {string} vaultId vault that will contain the blob.
+     * @param {string} path the file to upload.
+     * @param {Object} [options]
+     * @param {string} [options.ownerId] the BLOB's owner.
+     * @param {string} [options.filename] the BLOB's filename, which `getBlob` and `downloadBlobToFile` report. Defaults
+     * to the file's name.
+     * @param {string} [options.contentType] the BLOB's content type.
+     * @returns {Promise.<Object>} the BLOB's info, with `sha256`; see `createBlob`. With nodejs' form-data, the digest
+     * is computed from the file's chunks as they're sent. With native FormData the file is sent as a file-backed Blob,
+     * whose chunks can't be tapped, so the file is read a second time to compute it.
+     */
+    async uploadBlobFromFile(vaultId, path, options) {
+        this._checkStreamable(vaultId);
+        const fs = this._requireFileSystem();
+        const {ownerId, filename, contentType} = options || {};
+        const formData = this._newFormData();
+        const {release, hashing} = await appendFile(fs, formData, 'file', path, filename || baseName(path), contentType,
+            () => this._createSha256());
+
+        if (typeof ownerId === 'string') {
+            formData.append('owner_id', ownerId);
+        }
+
+        try {
+            const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/blobs`, {
+                method: 'POST',
+                body: formData
+            });
+            return withHash(response.blob, await hashing);
+        } catch (e) {
+            release();
+            throw e;
+        }
+    }
+
+    /**
+     * Prepare a chunked upload, which stores a large file as a series of smaller BLOBs plus a manifest BLOB listing
+     * them, and can be resumed if interrupted. Call `start()` on the result to begin; see `ChunkedUpload`.
+     * @param {string} vaultId vault that will contain the blob.
+     * @param {File|Blob|ArrayBuffer|Uint8Array|ReadableStream|stream.Readable} source the contents to upload.
+     * @param {Object} [options]
+     * @param {number} [options.partSize] size of each part in bytes; defaults to 5 MiB.
+     * @param {string} [options.ownerId] owner of the parts and the manifest.
+     * @param {string} [options.filename] filename reported by `getChunkedBlob`; defaults to the File's name.
+     * @param {string} [options.contentType] content type reported by `getChunkedBlob`; defaults to the Blob's type.
+     * @param {string} [options.blobId] an existing BLOB to replace with the manifest (via `updateBlob`), rather than
+     * creating a new one.
+     * @param {function} [options.progressCallback] called with `progress` and `load` events (see
+     * `performLegacyRequestWithProgress`) covering the whole upload. `total` is only known for Files, Blobs and
+     * byte arrays.
+     * @param {function} [options.onStateChange] called with the upload's new `state` after each part, so that it can
+     * be saved for `resumeChunkedUpload`.
+     * @returns {ChunkedUpload}
+     */
+    createChunkedUpload(vaultId, source, options) {
+        return new ChunkedUpload(this, newUploadState(vaultId, source, options), source, options);
+    }
+
+    /**
+     * Continue a chunked upload from a saved `state`, e. g. after a crash or page reload.
+     * @param {Object} state the `state` of a `ChunkedUpload`, as passed to its `onStateChange` callback.
+     * @param {File|Blob|ArrayBuffer|Uint8Array|ReadableStream|stream.Readable} source the same contents as before.
+     * Streams are read from the start, skipping the parts that were already uploaded.
+     * @param {Object} [options]
+     * @param {function} [options.progressCallback] see `createChunkedUpload`.
+     * @param {function} [options.onStateChange] see `createChunkedUpload`.
+     * @returns {ChunkedUpload}
+     */
+    resumeChunkedUpload(state, source, options) {
+        return new ChunkedUpload(this, JSON.parse(JSON.stringify(state)), source, options);
+    }
+
+    /**
+     * Get the contents of a BLOB stored by a chunked upload, by reading its manifest and joining its parts. Each part
+     * is checked against the SHA-256 digest recorded in the manifest, throwing an `IntegrityError` if one doesn't
+     * match.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId id of the manifest BLOB, as returned by `ChunkedUpload#start`.
+     * @returns {Promise.<{blob: *, contentType: string, fileName: string}>} the same shape as `getBlob`. `blob` is a
+     * Blob, or a Uint8Array where there's no Blob class.
+     */
+    async getChunkedBlob(vaultId, blobId) {
+        const manifest = await this._readChunkedManifest(vaultId, blobId);
+        const parts = [];
+        for (let i = 0; i < manifest.parts.length; i++) {
+            const part = manifest.parts[i];
+            const bytes = await this._readBlobBytes(vaultId, part.blobId);
+            if (part.sha256) {
+                checkHash(part.sha256, hashBytes(bytes, () => this._createSha256()));
+            }
+            parts.push(bytes);
+        }
+        const bytes = concatChunks(parts, parts.reduce((total, part) => total + part.length, 0));
+        const blob = typeof Blob !== 'undefined' ? new Blob([bytes], {type: manifest.contentType || ''}) : bytes;
+        return {blob, contentType: manifest.contentType, fileName: manifest.filename || undefined};
+    }
+
+    /**
+     * Delete a BLOB stored by a chunked upload: its parts, then its manifest.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId id of the manifest BLOB.
+     * @returns {Promise.<Object>} the deleted manifest's info, as returned by `deleteBlob`.
+     */
+    async deleteChunkedBlob(vaultId, blobId) {
+        const manifest = await this._readChunkedManifest(vaultId, blobId);
+        for (let i = 0; i < manifest.parts.length; i++) {
+            await this.deleteBlob(vaultId, manifest.parts[i].blobId);
+        }
+        return this.deleteBlob(vaultId, blobId);
+    }
+
+    async _readChunkedManifest(vaultId, blobId) {
+        return parseManifest(decodeText(await this._readBlobBytes(vaultId, blobId)));
+    }
+
+    async _readBlobBytes(vaultId, blobId) {
+        const contents = await this._dispatchAuthenticated(this._blobRequest(vaultId, blobId),
+            request => this._sendBlobRequest(request, response => readResponseBody(response)));
+        if (!this._encryptsBlobs(vaultId)) {
+            return contents.blob;
+        }
+        return (await this._encryption.decryptBlob(vaultId, contents.blob)).bytes;
+    }
+
+    _encryptsBlobs(vaultId) {
+        return !!this._encryption && this._encryption.encryptsBlobs(vaultId);
+    }
+
+    _checkStreamable(vaultId) {
+        if (this._encryptsBlobs(vaultId)) {
+            throw new Error('Encrypted BLOBs must be read and written whole, e. g. with getBlob and createBlob');
+        }
+    }
+
+    /**
+     * Builds the form for creating or updating a BLOB. `hashing` resolves to the SHA-256 digest of `file` once it has
+     * been read, which for a stream is only once it has been sent.
+     * @private
+     */
+    async _blobFormData(vaultId, file, ownerId) {
+        const formData = this._newFormData();
+        let hashing;
+        if (this._encryptsBlobs(vaultId)) {
+            const bytes = await readBlobData(file);
+            hashing = Promise.resolve(hashBytes(bytes, () => this._createSha256()));
+            formData.append('file', await this._encryptBlobData(vaultId, file, bytes));
+        } else {
+            formData.append('file', file);
+            // Only after appending: form-data pauses the streams it's given, so none of their chunks are missed
+            hashing = hashBlobData(file, () => this._createSha256());
+        }
+
+        if (typeof ownerId === 'string') {
+            formData.append('owner_id', ownerId);
+        }
+        return {formData, hashing};
+    }
+
+    /**
+     * Encrypts `bytes`, the contents of `file`, for BLOBs in `vaultId`, in a form that `FormData` accepts.
+     * @private
+     */
+    async _encryptBlobData(vaultId, file, bytes) {
+        const contentType = typeof file.type === 'string' ? file.type : null;
+        const encrypted = await this._encryption.encryptBlob(vaultId, bytes, contentType);
+
+        if (typeof this._transport.FormData.prototype.getBoundary === 'function') {
+            // nodejs' form-data only takes Buffers
+            return Buffer.from(encrypted.buffer, encrypted.byteOffset, encrypted.byteLength);
+        }
+        if (typeof file.name === 'string' && typeof File !== 'undefined') {
+            return new File([encrypted], file.name, {type: 'application/octet-stream'});
+        }
+        return new Blob([encrypted], {type: 'application/octet-stream'});
+    }
+
+    /**
+     * Decrypts the result of `getBlob` or `getBlobWithProgress`, if BLOBs in `vaultId` are encrypted. The decrypted
+     * contents are a Blob (or a Uint8Array where there's no Blob class) with the BLOB's original content type.
+     * @private
+     */
+    async _decryptBlobContents(vaultId, contents) {
+        if (!this._encryptsBlobs(vaultId)) {
+            return contents;
+        }
+        const decrypted = await this._encryption.decryptBlob(vaultId, await readBlobData(contents.blob));
+        const contentType = decrypted.encrypted ? decrypted.contentType : contents.contentType;
+        const bytes = decrypted.bytes;
+        const blob = typeof Blob !== 'undefined' ? new Blob([bytes], {type: contentType || ''}) : bytes;
+        return {blob, contentType, fileName: contents.fileName};
+    }
+
+    /**
+     * Update a BLOB's contents. See https://docs.truevault.com/blobs#update-a-blob.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId id of the BLOB.
+     * @param {File|Blob} file the BLOB's contents.
+     * @param {string|null} [ownerId] the new BLOB owner.
+     * @returns {Promise.<Object>} the BLOB's info, with `sha256`; see `createBlob`.
+     */
+    async updateBlob(vaultId, blobId, file, ownerId) {
+        const {formData, hashing} = await this._blobFormData(vaultId, file, ownerId);
+
+        const resopnse = await this.performLegacyRequest(`v1/vaults/${vaultId}/blobs/${blobId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        return withHash(resopnse.blob, await hashing);
+    }
+
+    /**
+     * Update a BLOB's owner. See https://docs.truevault.com/blobs#update-a-blob-s-owner.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId id of the BLOB.
+     * @param {string} ownerId the new BLOB owner, or '' to remove owner.
+     * @returns {Promise.<Object>}
+     */
+    async updateBlobOwner(vaultId, blobId, ownerId) {
+        const formData = this._newFormData();
+        formData.append('owner_id', ownerId);
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/blobs/${blobId}/owner`, {
+            method: 'PUT',
+            body: formData
+        });
+        return response.blob;
+    }
+
+    /**
+     * Delete a BLOB. See https://docs.truevault.com/blobs#delete-a-blob.
+     * @param {string} vaultId the vault containing the BLOB.
+     * @param {string} blobId the BLOB to delete.
+     * @returns {Promise.<Object>}
+     */
+    async deleteBlob(vaultId, blobId) {
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/blobs/${blobId}`, {
+            method: 'DELETE'
+        });
+        return response.blob;
+    }
+
+    /**
+     * Performs a legacy (non-v2-JSON) request. By using XHR rather than fetch, it's able to supply progress
+     * information. Where there's no XMLHttpRequest, such as in nodejs, it uses fetch and reports progress by counting
+     * the bytes of the request body as they're sent (or, for GET requests, of the response body as it arrives),
+     * passing the callback objects with the same `type`, `loaded`, `total` and `lengthComputable` as XHR's events.
+     * @param method
+     * @param url
+     * @param formData
+     * @param progressCallback
+     * @param responseType
+     * @returns {Promise<XMLHTTPRequest>|Promise<Object>} A promise resolving to an XHR object for blobs, and the parsed JSON object for JSON
+     */
+    performLegacyRequestWithProgress(method, url, formData, progressCallback, responseType) {
+        const isHostUrl = url.indexOf(`${this.host}/`) === 0;
+        const request = {
+            kind: 'progress',
+            method: method.toUpperCase(),
+            host: isHostUrl ? this.host : null,
+            path: isHostUrl ? url.substring(this.host.length + 1) : url,
+            options: {
+                headers: {Authorization: this.authHeader},
+                body: formData,
+                progressCallback,
+                responseType
+            }
+        };
+        return this._dispatchAuthenticated(request, request => this._sendProgressRequest(request));
+    }
+
+    async _sendProgressRequest(request) {
+        const requestInfo = {method: request.method, path: request.path};
+        const responseType = request.options.responseType;
+        const send = this._transport.createXMLHttpRequest ? this._sendXHR : this._sendFetchWithProgress;
+        const xhr = await this._withCancellation(requestInfo, cancellation => this._withRetries(requestInfo, request.options.body, cancellation,
+            () => send.call(this, request, cancellation)));
+
+        switch (responseType) {
+            case "json":
+                // xhr.response is null when the body isn't valid JSON
+                const responseJson = xhr.response;
+                if (!responseJson || responseJson.result === 'error') {
+                    throw makeResponseError(xhr.status, responseJson, undefined, requestInfo);
+                }
+                return responseJson;
+            case "blob":
+                if (xhr.status >= 400) {
+                    // We asked for a blob, so TrueVault's JSON error arrives as one too
+                    const responseBody = await readBlobText(xhr.response);
+                    let errorJson;
+                    try {
+                        errorJson = JSON.parse(responseBody);
+                    } catch (e) {
+                        // Not from TrueVault (e. g. a proxy's error page), so the error keeps the raw body instead
+                        errorJson = null;
+                    }
+                    throw makeResponseError(xhr.status, errorJson, responseBody, requestInfo);
+                }
+                return xhr;
+            default:
+                throw new Error(`Unsupported responseType: ${responseType}`);
+        }
+    }
+
+    _sendXHR(request, cancellation) {
+        const {headers, body, progressCallback, responseType} = request.options;
+        const url = request.host ? `${request.host}/${request.path}` : request.path;
+
+        // We are using XMLHttpRequest here since fetch does not have a progress API
+        return new Promise((resolve, reject) => {
+            const xhr = this._transport.createXMLHttpRequest();
+            if (request.method === 'GET') {
+                xhr.addEventListener('progress', progressCallback);
+                xhr.addEventListener('load', progressCallback);
+            } else {
+                xhr.upload.addEventListener('progress', progressCallback);
+                xhr.upload.addEventListener('load', progressCallback);
+            }
+
+            xhr.open(request.method, url);
+            Object.keys(headers || {})
+                .filter(name => headers[name] !== null && headers[name] !== undefined)
+                .forEach(name => xhr.setRequestHeader(name, headers[name]));
+            xhr.responseType = responseType;
+            xhr.onload = () => resolve(xhr);
+            xhr.onerror = () => reject(Error('Network error'));
+            cancellation.onCancel(() => xhr.abort());
+            xhr.send(body);
+        });
+    }
+
+    /**
+     * Sends a `'progress'` request with fetch, for environments without XMLHttpRequest. Resolves to an object with the
+     * `status`, `response` and `getResponseHeader()` of an XMLHttpRequest with the request's `responseType`, except
+     * that without a `Blob` class, blob responses are Uint8Arrays.
+     * @private
+     */
+    async _sendFetchWithProgress(request, cancellation) {
+        const {headers, body, progressCallback, responseType} = request.options;
+        const url = request.host ? `${request.host}/${request.path}` : request.path;
+        const isDownload = request.method === 'GET';
+
+        const bodyOptions = !!body && !isDownload && !!progressCallback ?
+            await progressRequestBody(body, progressCallback) :
+            {body};
+        const requestHeaders = {};
+        Object.keys(headers || {})
+            .filter(name => headers[name] !== null && headers[name] !== undefined)
+            .forEach(name => requestHeaders[name] = headers[name]);
+        const options = Object.assign({}, bodyOptions, {
+            method: request.method,
+            headers: Object.assign(requestHeaders, bodyOptions.headers)
+        });
+
+        const response = await this._fetch(url, TrueVaultCore._withSignal(options, cancellation.signal));
+        const bytes = await readResponseBody(response, isDownload ? progressCallback : null);
+        const contentType = response.headers.get('Content-Type');
+        let responseValue;
+        if (responseType === 'json') {
+            try {
+                responseValue = JSON.parse(decodeText(bytes));
+            } catch (e) {
+                responseValue = null;
+            }
+        } else {
+            responseValue = typeof Blob !== 'undefined' ? new Blob([bytes], {type: contentType || ''}) : bytes;
+        }
+
+        return {
+            status: response.status,
+            response: responseValue,
+            getResponseHeader: name => response.headers.get(name)
+        };
+    }
+
+    /**
+     * Returns the incremental SHA-256 hash used for BLOB digests: the portable one from `createSha256`, unless
+     * `NodeSupport` swaps in nodejs' native one.
+     * @private
+     */
+    _createSha256() {
+        return createSha256();
+    }
+
+    /**
+     * nodejs' fs module, for `downloadBlobToFile` and `uploadBlobFromFile`. Only `NodeSupport` provides it.
+     * @private
+     */
+    _fileSystem() {
+        return null;
+    }
+
+    _requireFileSystem() {
+        const fs = this._fileSystem();
+        // Bundles for browsers may get an empty object in place of fs
+        if (!fs || typeof fs.createReadStream !== 'function') {
+            throw new Error('Reading and writing files needs nodejs, and a client class that includes NodeSupport');
+        }
+        return fs;
+    }
+}
+
+// Adds the contents' digest, when it could be computed, to the info returned for a created or updated BLOB
+function withHash(info, sha256) {
+    return sha256 && info ? Object.assign({}, info, {sha256}) : info;
+}
+
+// Reads a blob response as text. It's a Blob, or a Uint8Array where there's no Blob class (see
+// `_sendFetchWithProgress`).
+async function readBlobText(blob) {
+    if (!blob) {
+        return '';
+    }
+    if (ArrayBuffer.isView(blob)) {
+        return decodeText(blob);
+    }
+    if (typeof blob.text === 'function') {
+        return blob.text();
+    }
+    // Older browsers' Blobs have no text()
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+    });
+}
+
+// Checks getBlob's result against expectedHash, if given, using the hash `createHash` returns. The contents are then a
+// Blob or Uint8Array, never a stream.
+async function verifyBlobContents(contents, expectedHash, createHash) {
+    if (!expectedHash) {
+        return contents;
+    }
+    const bytes = await readBlobData(contents.blob);
+    checkHash(expectedHash, hashBytes(bytes, createHash));
+    if (contents.blob instanceof Uint8Array && typeof Blob !== 'undefined') {
+        return Object.assign({}, contents, {blob: new Blob([bytes], {type: contents.contentType || ''})});
+    }
+    return contents;
+}
+
+// Reads anything createBlob accepts (or getBlob returns) into a Uint8Array
+async function readBlobData(data) {
+    if (typeof data === 'string') {
+        return encodeText(data);
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    if (typeof data.arrayBuffer === 'function') {
+        return new Uint8Array(await data.arrayBuffer());
+    }
+    if (typeof data.getReader === 'function' || typeof data.on === 'function') {
+        return readStream(data);
+    }
+    // Blobs in browsers that predate Blob#arrayBuffer
+    return new Uint8Array(await new Response(data).arrayBuffer());
+}
+
+function extractFilenameFromContentDispositionHeader(contentDispositionHeader) {
+    // The contentDisposition library chokes on non-string input, so we check for that case (e. g. empty filename,
+    // invalid server response) and bail.
+    if (!contentDispositionHeader) {
+        return;
+    }
+    const parsedContentDisposition = contentDisposition.parse(contentDispositionHeader);
+    const params = parsedContentDisposition.parameters || {};
+    return params.filename;
+}
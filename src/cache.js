@@ -0,0 +1,129 @@
+// How long each kind of cached resource is kept, in milliseconds. Metadata rarely changes; documents and groups are
+// edited more often, so they're kept for less time.
+const DEFAULT_CACHE_TTLS = {
+    vault: 300000,
+    schema: 300000,
+    schemas: 300000,
+    userSchema: 300000,
+    group: 60000,
+    document: 30000
+};
+
+const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+
+/**
+ * The cache store used when `options.cache` doesn't name one: keeps up to `maxEntries` values in memory, evicting the
+ * least recently used when full. Other stores (e. g. one backed by Redis) need to implement `get`, `set` and `delete`,
+ * and may implement `deletePrefix`; each may return a promise.
+ */
+export class MemoryCacheStore {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries] the most values to keep; defaults to 1000.
+     */
+    constructor(options) {
+        this._maxEntries = (options && options.maxEntries) || DEFAULT_CACHE_MAX_ENTRIES;
+        this._entries = new Map();
+    }
+
+    /**
+     * Returns the value stored under `key`, or undefined if there's none or it has expired.
+     * @param {string} key
+     * @returns {string|undefined}
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        this._entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+        // Re-inserting moves the key to the end of the Map's iteration order, which we use as recency order
+        this._entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Stores `value` under `key` for `ttl` milliseconds.
+     * @param {string} key
+     * @param {string} value
+     * @param {number} ttl
+     */
+    set(key, value, ttl) {
+        this._entries.delete(key);
+        this._entries.set(key, {value, expiresAt: Date.now() + ttl});
+        while (this._entries.size > this._maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes the value stored under `key`, if any.
+     * @param {string} key
+     */
+    delete(key) {
+        this._entries.delete(key);
+    }
+
+    /**
+     * Removes the values stored under keys starting with `prefix`.
+     * @param {string} prefix
+     */
+    deletePrefix(prefix) {
+        Array.from(this._entries.keys())
+            .filter(key => key.indexOf(prefix) === 0)
+            .forEach(key => this._entries.delete(key));
+    }
+}
+
+/**
+ * Lets a client class cache responses, via the `cache` option of its constructor; see `TrueVaultCore.with`.
+ * `TrueVaultClient` includes it.
+ */
+export class CacheSupport {
+    _createCache(options) {
+        return new ResponseCache(options, this.host);
+    }
+}
+
+/**
+ * Applies the client's cache configuration on top of a store. Values are serialized to JSON so that every read
+ * returns a fresh copy and stores only ever deal with strings.
+ */
+export class ResponseCache {
+    constructor(options, host) {
+        options = options === true ? {} : options;
+        const ttl = options.ttl;
+        this._ttls = typeof ttl === 'number'
+            ? Object.keys(DEFAULT_CACHE_TTLS).reduce((ttls, resource) => Object.assign(ttls, {[resource]: ttl}), {})
+            : Object.assign({}, DEFAULT_CACHE_TTLS, ttl);
+        this._store = options.store || new MemoryCacheStore({maxEntries: options.maxEntries});
+        this._keyPrefix = typeof options.keyPrefix === 'string' ? options.keyPrefix : `${host}:`;
+    }
+
+    isEnabled(resource) {
+        return this._ttls[resource] > 0;
+    }
+
+    async get(key) {
+        const value = await this._store.get(this._keyPrefix + key);
+        return typeof value === 'string' ? JSON.parse(value) : undefined;
+    }
+
+    async set(resource, key, value) {
+        await this._store.set(this._keyPrefix + key, JSON.stringify(value), this._ttls[resource]);
+    }
+
+    async delete(key) {
+        await this._store.delete(this._keyPrefix + key);
+    }
+
+    async deletePrefix(prefix) {
+        // Stores without deletePrefix keep these entries until they expire
+        if (typeof this._store.deletePrefix === 'function') {
+            await this._store.deletePrefix(this._keyPrefix + prefix);
+        }
+    }
+}
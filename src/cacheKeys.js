@@ -0,0 +1,18 @@
+// The keys that responses are cached under; see `ResponseCache`. They're kept apart from the cache itself so that the
+// methods which use them don't pull the cache into bundles for clients without `CacheSupport`.
+
+export const cacheKeys = {
+    vault: vaultId => `vault:${vaultId}`,
+    schema: (vaultId, schemaId) => `schema:${vaultId}:${schemaId}`,
+    schemas: vaultId => `schemas:${vaultId}`,
+    group: groupId => `group:${groupId}`,
+    userSchema: accountId => `userSchema:${accountId}`,
+    document: (vaultId, documentId) => `document:${vaultId}:${documentId}`
+};
+
+// Prefixes of the keys of several cached responses: everything about a vault's contents, for evicting them when the
+// vault is deleted, and every group, whose user ids change when a user in any of them is deleted
+export const cacheKeyPrefixes = {
+    vaultContents: vaultId => [`schema:${vaultId}:`, `document:${vaultId}:`],
+    groups: () => ['group:']
+};
@@ -0,0 +1,363 @@
+import {makeAbortError} from './errors';
+import {concatChunks} from './progress';
+
+/**
+ * Default size of the parts that `ChunkedUpload` splits its source into.
+ */
+export const DEFAULT_PART_SIZE = 5 * 1024 * 1024;
+
+const STATE_VERSION = 1;
+const MANIFEST_TYPE = 'truevault-chunked-blob';
+
+/**
+ * Uploads a large File, Blob, byte array or stream as a series of smaller BLOBs ("parts"), so that a dropped connection
+ * only costs the part in flight. Once every part is stored, a manifest BLOB listing them is created; its id is the id
+ * of the chunked BLOB, which `getChunkedBlob` reassembles. Create one with `createChunkedUpload`:
+ *
+ * ```js
+ * const upload = client.createChunkedUpload(vaultId, file, {
+ *   progressCallback: event => showProgress(event.loaded / event.total),
+ *   onStateChange: state => localStorage.setItem('upload', JSON.stringify(state))
+ * });
+ * const blob = await upload.start();
+ * ```
+ *
+ * `state` is a plain object that can be serialized as JSON. After a crash or page reload, pass it and the same source
+ * to `resumeChunkedUpload` to carry on from the last completed part. `start()` can also be called again on the same
+ * upload after it fails or is cancelled.
+ */
+export class ChunkedUpload {
+    /**
+     * Use `createChunkedUpload` or `resumeChunkedUpload` rather than constructing uploads directly.
+     */
+    constructor(client, state, source, options) {
+        const {progressCallback, onStateChange} = options || {};
+        if (state.version !== STATE_VERSION) {
+            throw new Error(`Unsupported chunked upload state version ${state.version}`);
+        }
+        this._client = client;
+        this._state = state;
+        this._source = openSource(source);
+        if (state.size === null) {
+            state.size = this._source.size;
+        } else if (this._source.size !== null && this._source.size !== state.size) {
+            throw new Error(`The source is ${this._source.size} bytes, but the upload being resumed was ${state.size}`);
+        }
+        this._progressCallback = progressCallback;
+        this._onStateChange = onStateChange;
+        this._pendingPart = null;
+        this._running = null;
+        this._controller = null;
+        this._cancelled = false;
+    }
+
+    /**
+     * A copy of the upload's progress so far, which can be serialized and passed to `resumeChunkedUpload`.
+     * @type {Object}
+     */
+    get state() {
+        return JSON.parse(JSON.stringify(this._state));
+    }
+
+    /**
+     * The number of bytes in completed parts.
+     * @type {number}
+     */
+    get uploadedBytes() {
+        return this._state.parts.reduce((total, part) => total + part.size, 0);
+    }
+
+    /**
+     * Uploads the remaining parts and then the manifest. Calling `start()` while the upload is running returns the same
+     * promise; calling it after a failure retries from the first incomplete part.
+     * @returns {Promise.<Object>} the manifest BLOB's info, as returned by `createBlob`.
+     */
+    start() {
+        if (!this._running) {
+            this._running = this._run();
+            const finish = () => this._running = null;
+            this._running.then(finish, finish);
+        }
+        return this._running;
+    }
+
+    /**
+     * Stops the upload, aborting the part in flight. `start()` rejects with an `AbortError`; parts already uploaded are
+     * kept, so the upload can be resumed.
+     */
+    cancel() {
+        this._cancelled = true;
+        if (this._controller) {
+            this._controller.abort();
+        }
+    }
+
+    /**
+     * Cancels the upload and deletes the parts uploaded so far. Use this when abandoning an upload, since orphaned
+     * parts otherwise stay in the vault.
+     * @returns {Promise}
+     */
+    async discard() {
+        this.cancel();
+        if (this._running) {
+            await this._running.catch(() => {});
+        }
+        const state = this._state;
+        while (state.parts.length > 0) {
+            await this._client.deleteBlob(state.vaultId, state.parts[state.parts.length - 1].blobId);
+            state.parts.pop();
+            this._notifyStateChange();
+        }
+    }
+
+    async _run() {
+        const state = this._state;
+        if (state.blob) {
+            return state.blob;
+        }
+
+        this._cancelled = false;
+        this._controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const signal = this._controller ? this._controller.signal : undefined;
+        // Re-sending a part at worst leaves an unreferenced BLOB behind, so parts are safe to retry
+        const client = this._client.withRequestOptions({idempotent: true, signal});
+        const checkCancelled = () => {
+            if (this._cancelled) {
+                throw makeAbortError(signal || {});
+            }
+        };
+
+        for (;;) {
+            checkCancelled();
+            const uploaded = this.uploadedBytes;
+            const part = this._pendingPart || await this._source.read(uploaded, state.partSize);
+            if (!part) {
+                break;
+            }
+            // Kept until the part is stored, since a stream can't be read again if the upload fails
+            this._pendingPart = part;
+            checkCancelled();
+            const info = await client.createBlobWithProgress(state.vaultId, toBlobData(part), event => {
+                // Progress counts the multipart encoding as well as the part itself, so don't overshoot
+                this._reportProgress('progress', uploaded + Math.min(event.loaded, partLength(part)));
+            }, state.ownerId || undefined);
+            this._pendingPart = null;
+            state.parts.push({blobId: info.id, size: partLength(part), sha256: info.sha256});
+            this._reportProgress('progress', this.uploadedBytes);
+            this._notifyStateChange();
+        }
+
+        checkCancelled();
+        const manifest = makeManifestFile(state, this.uploadedBytes);
+        state.blob = state.blobId
+            ? await client.updateBlob(state.vaultId, state.blobId, manifest, state.ownerId || undefined)
+            : await client.createBlob(state.vaultId, manifest, state.ownerId || undefined);
+        this._notifyStateChange();
+        this._reportProgress('load', this.uploadedBytes);
+        return state.blob;
+    }
+
+    _reportProgress(type, loaded) {
+        if (this._progressCallback) {
+            const total = this._state.size;
+            const lengthComputable = typeof total === 'number';
+            this._progressCallback({type, loaded, total: lengthComputable ? total : 0, lengthComputable});
+        }
+    }
+
+    _notifyStateChange() {
+        if (this._onStateChange) {
+            this._onStateChange(this.state);
+        }
+    }
+}
+
+/**
+ * The state of a new upload of `source`; see `createChunkedUpload` for the options.
+ */
+export function newUploadState(vaultId, source, options) {
+    const {ownerId, filename, contentType, blobId, partSize} = options || {};
+    if (partSize !== undefined && !(partSize >= 1)) {
+        throw new Error('partSize must be at least 1 byte');
+    }
+    return {
+        version: STATE_VERSION,
+        vaultId,
+        blobId: blobId || null,
+        ownerId: ownerId || null,
+        filename: filename || (source && typeof source.name === 'string' ? source.name : null),
+        contentType: contentType || (source && typeof source.type === 'string' && source.type ? source.type : null),
+        partSize: Math.floor(partSize || DEFAULT_PART_SIZE),
+        size: null,
+        parts: [],
+        blob: null
+    };
+}
+
+/**
+ * Parses a manifest BLOB's contents, throwing if the BLOB isn't a chunked upload's manifest.
+ * @param {string} text
+ * @returns {{filename: string|null, contentType: string|null, size: number, parts: Array.<Object>}} where each part is
+ * `{blobId, size, sha256}`. `sha256` is the part's hex SHA-256 digest, and is undefined in older manifests.
+ */
+export function parseManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (e) {
+        // Not JSON, so not a manifest either; the check below reports it
+        manifest = null;
+    }
+    if (!manifest || manifest.type !== MANIFEST_TYPE || !Array.isArray(manifest.parts)) {
+        throw new Error('This BLOB was not created by a chunked upload');
+    }
+    return {
+        filename: manifest.filename,
+        contentType: manifest.content_type,
+        size: manifest.size,
+        parts: manifest.parts.map(part => ({blobId: part.blob_id, size: part.size, sha256: part.sha256}))
+    };
+}
+
+function makeManifestFile(state, size) {
+    const manifest = JSON.stringify({
+        type: MANIFEST_TYPE,
+        version: STATE_VERSION,
+        filename: state.filename,
+        content_type: state.contentType,
+        size,
+        parts: state.parts.map(part => ({blob_id: part.blobId, size: part.size, sha256: part.sha256}))
+    });
+    if (typeof File !== 'undefined') {
+        return new File([manifest], state.filename || 'manifest.json', {type: 'application/json'});
+    }
+    return typeof Blob !== 'undefined' ? new Blob([manifest], {type: 'application/json'}) : manifest;
+}
+
+function toBlobData(part) {
+    return typeof Blob !== 'undefined' && !(part instanceof Blob) ? new Blob([part]) : part;
+}
+
+function partLength(part) {
+    return typeof part.size === 'number' ? part.size : part.length;
+}
+
+function openSource(source) {
+    if (source && typeof source.slice === 'function' && typeof source.size === 'number') {
+        return new SliceSource(source, source.size);
+    }
+    if (source instanceof ArrayBuffer) {
+        return new SliceSource(new Uint8Array(source), source.byteLength);
+    }
+    if (source && ArrayBuffer.isView(source)) {
+        return new SliceSource(new Uint8Array(source.buffer, source.byteOffset, source.byteLength), source.byteLength);
+    }
+    if (source && typeof source.getReader === 'function') {
+        const reader = source.getReader();
+        return new StreamSource(async () => {
+            const {done, value} = await reader.read();
+            return done ? null : value;
+        });
+    }
+    if (source && typeof source.read === 'function' && typeof source.on === 'function') {
+        return new StreamSource(nodeStreamChunks(source));
+    }
+    throw new TypeError('A chunked upload needs a File, Blob, ArrayBuffer, typed array or readable stream');
+}
+
+/**
+ * Parts of a source that supports random access: Blobs (sliced lazily) and byte arrays.
+ */
+class SliceSource {
+    constructor(data, size) {
+        this.size = size;
+        this._data = data;
+    }
+
+    async read(offset, length) {
+        if (offset >= this.size) {
+            return null;
+        }
+        const end = Math.min(offset + length, this.size);
+        // Byte arrays' slice copies, so take a view instead
+        return typeof this._data.subarray === 'function'
+            ? this._data.subarray(offset, end)
+            : this._data.slice(offset, end);
+    }
+}
+
+/**
+ * Parts of a stream, read in order. Its size is unknown until it ends.
+ */
+class StreamSource {
+    constructor(readChunk) {
+        this.size = null;
+        this._readChunk = readChunk;
+        this._position = 0;
+        this._leftover = null;
+    }
+
+    async read(offset, length) {
+        // Streams can't seek, so when resuming, read past the parts that were uploaded before
+        while (this._position < offset) {
+            if (!await this._take(Math.min(offset - this._position, length))) {
+                throw new Error('The stream ended before the end of the parts that were already uploaded');
+            }
+        }
+        return this._take(length);
+    }
+
+    async _take(length) {
+        const chunks = [];
+        let taken = 0;
+        while (taken < length) {
+            let chunk = this._leftover || await this._readChunk();
+            this._leftover = null;
+            if (!chunk) {
+                break;
+            }
+            if (!(chunk instanceof Uint8Array)) {
+                // e. g. a nodejs stream with an encoding set: the parts' sizes would count characters, not bytes
+                throw new TypeError('Chunked upload streams must produce Uint8Arrays or Buffers, not strings');
+            }
+            if (chunk.length > length - taken) {
+                this._leftover = chunk.subarray(length - taken);
+                chunk = chunk.subarray(0, length - taken);
+            }
+            chunks.push(chunk);
+            taken += chunk.length;
+        }
+        this._position += taken;
+        return taken > 0 ? concatChunks(chunks, taken) : null;
+    }
+}
+
+function nodeStreamChunks(stream) {
+    let ended = false;
+    let error = null;
+    let wake = () => {};
+    stream.on('readable', () => wake());
+    stream.on('end', () => {
+        ended = true;
+        wake();
+    });
+    stream.on('error', e => {
+        error = e;
+        wake();
+    });
+    return async () => {
+        for (;;) {
+            if (error) {
+                throw error;
+            }
+            const chunk = stream.read();
+            if (chunk !== null) {
+                return chunk;
+            }
+            if (ended) {
+                return null;
+            }
+            await new Promise(resolve => wake = resolve);
+        }
+    };
+}
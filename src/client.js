@@ -0,0 +1,382 @@
+import {TrueVaultCore} from './core';
+import {UserMethods} from './users';
+import {GroupMethods} from './groups';
+import {VaultMethods} from './vaults';
+import {BlobMethods} from './blobs';
+import {MessagingMethods} from './messaging';
+import {PasswordResetMethods} from './passwordReset';
+import {ScopedAccessTokenMethods} from './scopedAccessTokens';
+import {LoaderMethods, BatchLoader} from './loaders';
+import {HandleMethods} from './handles';
+import {
+    TrueVaultError, AuthenticationError, PermissionDeniedError, NotFoundError, RateLimitError, ValidationError,
+    NetworkError, TimeoutError, DecryptionError, IntegrityError, SearchBuildError
+} from './errors';
+import {PageIterator} from './pagination';
+import {ChunkedUpload} from './chunkedUpload';
+import {Search} from './search';
+import {CacheSupport, MemoryCacheStore} from './cache';
+import {EncryptionSupport, LocalKeyProvider} from './encryption';
+import {MemoryStorage, WebStorage} from './storage';
+
+/**
+ * A client for the [TrueVault HTTP API](https://docs.truevault.com/).
+ *
+ * **Overview**
+ *
+ * The TrueVault JS SDK makes it easy to communicate with the TrueVault API from JavaScript web apps, nodejs servers,
+ * and lambda methods.
+ *
+ * ***JS Web example***
+ * ```js
+ * async function onLoginClicked() {
+ *   var trueVaultClient = await TrueVault.login(TRUEVAULT_ACCOUNT_ID, username, password)
+ *   await trueVaultClient.persist(new TrueVault.WebStorage());
+ *   var userInfo = trueVaultClient.readCurrentUser();
+ *   ...
+ * }
+ * ```
+ *
+ * **Error Handling**
+ *
+ * If any request fails, the method will throw a `TrueVaultClient.TrueVaultError`. Its subclasses let you tell common
+ * failures apart with `instanceof`:
+ *
+ * - `AuthenticationError` (HTTP 401), `PermissionDeniedError` (403), `NotFoundError` (404), `RateLimitError` (429)
+ *   and `ValidationError` (400 and 422)
+ * - `NetworkError`, when TrueVault couldn't be reached, and its subclass `TimeoutError`
+ * - `SearchBuildError`, when a `Search` is built with a mistake, before any request is made
+ *
+ * Every error has the following properties:
+ *
+ * - `message`: the message returned by the TrueVault API
+ * - `status`: the HTTP status code, if a response was received
+ * - `type` and `code`: the machine-readable error type and code returned by TrueVault
+ * - `transactionId`: a unique ID that can be used in support requests to help@truevault.com to help us resolve the
+ *   error (also available as `transaction_id`)
+ * - `method` and `path`: the HTTP method and API path of the failed request
+ * - `error`: the machine-readable error object returned by TrueVault.
+ *
+ * ```js
+ * try {
+ *   await client.readVault(vaultId);
+ * } catch (e) {
+ *   if (e instanceof TrueVaultClient.NotFoundError) {
+ *     ...
+ *   }
+ * }
+ * ```
+ *
+ * For more information on TrueVault API responses, see https://docs.truevault.com/overview#api-responses.
+ *
+ * **Authentication**
+ *
+ * If you already have an API key or access token, use the constructor. If you have a username and password, see
+ * `login()`. See https://docs.truevault.com/overview#authentication for more on authentication concepts in TrueVault.
+ *
+ * To authenticate, provide one of the following styles of objects based on how you wish to authenticate:
+ *
+ * - `{ apiKey: 'your API key' }`
+ * - `{ accessToken: 'your access token' }`, optionally with `notValidAfter` (a Date or ISO 8601 string) saying when
+ *   the token expires
+ * - `{ httpBasic: 'http basic base64 string' }`
+ * - `null`, to indicate no authentication is to be provided to the server
+ *
+ * **Sessions**
+ *
+ * `persist()` saves a client's access token to a storage adapter and keeps it up to date when the token is refreshed;
+ * `TrueVaultClient.fromStorage()` picks the session back up, e. g. after a page reload. `logout()` removes it from
+ * storage. The SDK comes with `TrueVaultClient.WebStorage` (localStorage or sessionStorage),
+ * `TrueVaultClient.MemoryStorage` and `TrueVaultClient.JSONFileStorage` (nodejs). Any object with `getItem`,
+ * `setItem` and `removeItem` methods, synchronous or returning promises, works as well, such as React Native's
+ * `AsyncStorage`.
+ *
+ * ```js
+ * const client = await TrueVaultClient.fromStorage(AsyncStorage) || await showLoginScreen();
+ * ```
+ *
+ * **Access token lifecycle**
+ *
+ * When a client knows when its access token expires, it emits `tokenExpiring` shortly before and `tokenExpired` once
+ * it has; see `on()`. Supply `options.refreshCredentials` to have the client log in again by itself. Refreshing is
+ * lazy: it's called when the client makes a request within `tokenExpiringThreshold` of the token's expiry (or after
+ * it), or when TrueVault rejects the token, so an idle client's token is left to expire. It must resolve to the
+ * `accountId`, `username`, `password` and, optionally, `mfaCode` and `notValidAfter` to pass to
+ * `generateAccessToken`, which uses the client's `transport`, `timeout` and `retry` options but not its middleware. A
+ * request rejected because of an expired token is retried once with the new one.
+ *
+ * ```js
+ * const client = await TrueVaultClient.login(accountId, username, password, null, null, expiry(), {
+ *   refreshCredentials: async () => ({accountId, username, password, notValidAfter: expiry()})
+ * });
+ * client.on('tokenRefreshed', ({accessToken}) => localStorage.trueVaultAccessToken = accessToken);
+ * ```
+ *
+ * **Retries**
+ *
+ * By default every request is attempted exactly once. Pass `{retry: true}` (or a policy object) in `options` to retry
+ * network failures and 429/5xx responses with exponential backoff and jitter. A `Retry-After` header sent by the
+ * server is honored as long as it doesn't exceed `maxDelay`. Only idempotent methods (GET, PUT, DELETE) are retried;
+ * use `withRequestOptions({idempotent: true})` to opt in for a specific POST. Requests whose bodies are streams (e. g.
+ * form data built in nodejs) can't be replayed and are never retried.
+ *
+ * ```js
+ * const client = new TrueVaultClient({apiKey}, null, {retry: {maxAttempts: 5, baseDelay: 500, maxDelay: 20000}});
+ * ```
+ *
+ * **Transport**
+ *
+ * The client uses the global `fetch` and `FormData` when they exist; the nodejs build falls back to `node-fetch` and
+ * `form-data`.
+ * To route requests through a proxy, an mTLS agent or a test double, supply your own implementations as
+ * `options.transport`. Any member you leave out keeps its default.
+ *
+ * ```js
+ * const client = new TrueVaultClient({apiKey}, null, {
+ *   transport: {fetch: (url, init) => nodeFetch(url, Object.assign({agent: proxyAgent}, init))}
+ * });
+ * ```
+ *
+ * **Timeouts and cancellation**
+ *
+ * Set `options.timeout` to give every request a deadline in milliseconds, covering all retry attempts. Requests that
+ * miss it reject with a `TrueVaultClient.TimeoutError`. Individual calls can be given their own `timeout` or an
+ * `AbortSignal` via `withRequestOptions`; aborted requests reject with an error whose `name` is `AbortError`.
+ *
+ * ```js
+ * const controller = new AbortController();
+ * const results = client.withRequestOptions({signal: controller.signal, timeout: 5000}).searchDocuments(vaultId, query);
+ * ```
+ *
+ * **Caching**
+ *
+ * Pass `{cache: true}` in `options` to keep the results of `readVault`, `readSchema`, `listSchemas`, `readFullGroup`,
+ * `readUserSchema` and `getDocuments` for a while instead of fetching them on every call. Updating or deleting one of
+ * these resources through the client evicts it (deleting a vault evicts its schemas and documents too, provided the
+ * store implements `deletePrefix`, as the default one does), but changes made elsewhere are only seen once the entry
+ * expires. Reads served from the cache don't make a request, so middleware doesn't see them. Entries live in memory
+ * unless you supply a `store`, such as one backed by Redis:
+ *
+ * ```js
+ * const client = new TrueVaultClient({apiKey}, null, {
+ *   cache: {
+ *     ttl: {document: 0, schema: 3600000},
+ *     store: {
+ *       get: key => redis.get(key),
+ *       set: (key, value, ttl) => redis.set(key, value, 'PX', ttl),
+ *       delete: key => redis.del(key)
+ *     },
+ *     keyPrefix: `truevault:${accountId}:`
+ *   }
+ * });
+ * ```
+ *
+ * Cached entries aren't tied to a user, so clients with different permissions must not share a store under the same
+ * `keyPrefix`.
+ *
+ * **Encryption**
+ *
+ * For defense in depth, `options.encryption` has the client encrypt selected document fields and whole BLOBs with
+ * AES-GCM before sending them, and decrypt them after reading them back, so TrueVault only ever stores ciphertext. Each
+ * document or BLOB gets a random data key, wrapped by a key provider that holds your keys; the wrapped key and the id
+ * of the key that wrapped it are stored with the ciphertext, so keys can be rotated without re-encrypting old data.
+ *
+ * ```js
+ * const client = new TrueVaultClient({apiKey}, null, {
+ *   encryption: {
+ *     keyProvider: new TrueVaultClient.LocalKeyProvider({currentKeyId: 'k1', keys: {k1: process.env.TV_DATA_KEY}}),
+ *     documentFields: ['ssn', 'diagnosis.notes'],
+ *     blobs: true
+ *   }
+ * });
+ * ```
+ *
+ * Encrypted fields become strings, so they can't be searched or indexed as their original type. Encrypted BLOBs are
+ * encrypted in memory, so `downloadBlobToFile` and `uploadBlobFromFile` aren't available for them, and `getBlob`
+ * resolves to a Blob (or a Uint8Array) rather than a stream. Each ciphertext is bound to its vault, and a field's to
+ * its path, so ciphertext copied to another vault or field doesn't decrypt. A field isn't bound to its document,
+ * though: TrueVault assigns document ids after the fields are encrypted, so anyone who can write to the vault can
+ * copy an encrypted field between documents. Only the configured fields are decrypted on read, so remove a field
+ * from `documentFields` only once none of its values are encrypted. Data that can't be decrypted raises a
+ * `TrueVaultClient.DecryptionError`, as do configured fields and BLOBs that turn out not to be encrypted, since
+ * otherwise anyone who can write to the vault could substitute plaintext. Set `allowPlaintext` while migrating data
+ * written before encryption was turned on.
+ *
+ * **BLOB integrity**
+ *
+ * `createBlob`, `updateBlob` and the other upload methods hash the contents with SHA-256 as they're sent, and return
+ * the hex digest as `sha256` along with the BLOB's info. Store it, and pass it back as the `expectedHash` option of
+ * `getBlob`, `getBlobWithProgress` or `downloadBlobToFile` to have the contents checked when they're read; a mismatch
+ * raises a `TrueVaultClient.IntegrityError`.
+ *
+ * ```js
+ * const {id, sha256} = await client.createBlob(vaultId, file);
+ * const {blob} = await client.getBlob(vaultId, id, {expectedHash: sha256});
+ * ```
+ *
+ * @param {object} authn Authentication info, or null if no authentication info is to be used.
+ * @param {string} host optional parameter specifying TV API host; defaults to https://api.truevault.com
+ * @param {object} [options] optional client configuration.
+ * @param {number} [options.timeout] default request timeout in milliseconds. Requests never time out if omitted.
+ * @param {boolean|object} [options.retry] `true` to retry with the default policy, or an object with any of
+ * `maxAttempts` (default 3), `baseDelay` (ms, default 250) and `maxDelay` (ms, default 10000). Requests whose bodies
+ * are streams, such as form data built with the form-data package in nodejs, are sent once regardless.
+ * @param {Array<function>} [options.middleware] middleware to install on the client; see `use()`.
+ * @param {object} [options.transport] custom request implementations: any of `fetch`, `FormData` (a constructor) and
+ * `createXMLHttpRequest` (a factory returning a new XMLHttpRequest-compatible object, used by the `*WithProgress`
+ * methods; null to have them use `fetch`, as they do where there's no XMLHttpRequest).
+ * @param {boolean|object} [options.cache] `true` to cache reads with the default settings, or an object with any of:
+ * @param {number|object} [options.cache.ttl] milliseconds to keep entries, either for all resources or per resource
+ * (`vault`, `schema`, `schemas`, `userSchema` default to 300000, `group` to 60000 and `document` to 30000). 0 turns
+ * caching off for a resource.
+ * @param {number} [options.cache.maxEntries] the most entries the in-memory store keeps (default 1000).
+ * @param {object} [options.cache.store] custom store implementing `get(key)`, `set(key, value, ttl)`, `delete(key)`
+ * and optionally `deletePrefix(prefix)`, each optionally returning a promise. Values are strings. See
+ * `TrueVaultClient.MemoryCacheStore`.
+ * @param {string} [options.cache.keyPrefix] prefix for every key written to the store; defaults to the API host.
+ * @param {object} [options.encryption] client-side encryption settings; see **Encryption**.
+ * @param {object} options.encryption.keyProvider wraps and unwraps data keys, e. g. a
+ * `TrueVaultClient.LocalKeyProvider`. Other providers implement `wrapKey(dataKey, {vaultId})`, resolving to
+ * `{keyId, wrappedKey}`, and `unwrapKey(wrappedKey, keyId, {vaultId})`, resolving to the data key (all Uint8Arrays).
+ * @param {Array<string>|function} [options.encryption.documentFields] dotted paths of the document fields to
+ * encrypt, or a function from a vault id to the paths to encrypt in that vault.
+ * @param {boolean|function} [options.encryption.blobs] whether to encrypt BLOBs, or a function from a vault id to
+ * whether to encrypt BLOBs in that vault.
+ * @param {boolean} [options.encryption.allowPlaintext] return configured fields and BLOBs that aren't encrypted as
+ * they are, rather than raising a `DecryptionError`.
+ * @param {function} [options.refreshCredentials] called to obtain the credentials for a new access token; see
+ * **Access token lifecycle**.
+ * @param {number} [options.tokenExpiringThreshold] milliseconds before the access token's expiry at which
+ * `tokenExpiring` is emitted, and from which the next request refreshes the token first (default 60000).
+ * @param {string} [options.storageKey] key that `persist()` and `fromStorage()` keep the session under (default
+ * `truevault.session`).
+ */
+class TrueVaultClient extends TrueVaultCore.with(UserMethods, GroupMethods, VaultMethods, BlobMethods, MessagingMethods,
+    PasswordResetMethods, ScopedAccessTokenMethods, LoaderMethods, HandleMethods, CacheSupport, EncryptionSupport) {
+    // Getters rather than assignments after the class, which bundlers would have to treat as side effects
+    static get TrueVaultError() {
+        return TrueVaultError;
+    }
+
+    static get AuthenticationError() {
+        return AuthenticationError;
+    }
+
+    static get PermissionDeniedError() {
+        return PermissionDeniedError;
+    }
+
+    static get NotFoundError() {
+        return NotFoundError;
+    }
+
+    static get RateLimitError() {
+        return RateLimitError;
+    }
+
+    static get ValidationError() {
+        return ValidationError;
+    }
+
+    static get NetworkError() {
+        return NetworkError;
+    }
+
+    static get TimeoutError() {
+        return TimeoutError;
+    }
+
+    static get DecryptionError() {
+        return DecryptionError;
+    }
+
+    static get IntegrityError() {
+        return IntegrityError;
+    }
+
+    static get SearchBuildError() {
+        return SearchBuildError;
+    }
+
+    static get PageIterator() {
+        return PageIterator;
+    }
+
+    static get ChunkedUpload() {
+        return ChunkedUpload;
+    }
+
+    static get Search() {
+        return Search;
+    }
+
+    static get BatchLoader() {
+        return BatchLoader;
+    }
+
+    static get MemoryCacheStore() {
+        return MemoryCacheStore;
+    }
+
+    static get LocalKeyProvider() {
+        return LocalKeyProvider;
+    }
+
+    static get MemoryStorage() {
+        return MemoryStorage;
+    }
+
+    static get WebStorage() {
+        return WebStorage;
+    }
+
+    static get TrueVaultCore() {
+        return TrueVaultCore;
+    }
+
+    static get UserMethods() {
+        return UserMethods;
+    }
+
+    static get GroupMethods() {
+        return GroupMethods;
+    }
+
+    static get VaultMethods() {
+        return VaultMethods;
+    }
+
+    static get BlobMethods() {
+        return BlobMethods;
+    }
+
+    static get MessagingMethods() {
+        return MessagingMethods;
+    }
+
+    static get PasswordResetMethods() {
+        return PasswordResetMethods;
+    }
+
+    static get ScopedAccessTokenMethods() {
+        return ScopedAccessTokenMethods;
+    }
+
+    static get LoaderMethods() {
+        return LoaderMethods;
+    }
+
+    static get HandleMethods() {
+        return HandleMethods;
+    }
+
+    static get CacheSupport() {
+        return CacheSupport;
+    }
+
+    static get EncryptionSupport() {
+        return EncryptionSupport;
+    }
+}
+
+export default TrueVaultClient;
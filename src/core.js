@@ -0,0 +1,942 @@
+import {version} from '../package.json';
+import base64 from 'base-64';
+import {DEFAULT_CONCURRENCY, sleep, namedArgs, setTimer, chunkIds, mapWithConcurrency} from './util';
+import {
+    TrueVaultError, AuthenticationError, NotFoundError, NetworkError, TimeoutError, makeResponseError, makeAbortError
+} from './errors';
+
+// HTTP methods that can safely be repeated. Other methods are only retried when the caller opts in via
+// withRequestOptions({idempotent: true}).
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 250,
+    maxDelay: 10000
+};
+
+// Milliseconds before an access token's expiry at which the client emits `tokenExpiring`, and from which requests
+// refresh it first
+const DEFAULT_TOKEN_EXPIRING_THRESHOLD = 60000;
+
+// States of a beginLogin() flow that TrueVault reports as errors, by error code
+const LOGIN_ERROR_STATES = {
+    'AUTH.MFA_REQUIRED': 'mfaRequired',
+    'AUTH.INVALID_MFA_CODE': 'invalidMfaCode',
+    'AUTH.USER_LOCKED': 'locked',
+    'AUTH.INVALID_CREDENTIALS': 'invalidCredentials'
+};
+
+// Login states from which the user can go on by entering an MFA code
+const MFA_CODE_STATES = ['mfaRequired', 'invalidMfaCode'];
+
+// Key under which persist() and fromStorage() keep the session, unless options.storageKey says otherwise
+const DEFAULT_STORAGE_KEY = 'truevault.session';
+
+/**
+ * The part of the client that every TrueVault app needs: authentication, sessions, and making requests with retries,
+ * timeouts and middleware. `TrueVaultClient` combines it with the methods for every kind of resource. To let
+ * bundlers leave out the resources you don't use, build a client class from just the ones you need:
+ *
+ * ```js
+ * import {TrueVaultCore, UserMethods, VaultMethods} from 'truevault';
+ *
+ * const Client = TrueVaultCore.with(UserMethods, VaultMethods);
+ * const client = await Client.login(accountId, username, password);
+ * const documents = await client.getDocuments(vaultId, documentIds);
+ * ```
+ *
+ * The `cache` and `encryption` options only work for classes that also include `CacheSupport` and `EncryptionSupport`
+ * respectively. In nodejs, add `NodeSupport` (from `src/node.js`) last, for the nodejs-only parts such as the BLOB file
+ * methods. The constructor and static methods work as described for `TrueVaultClient`.
+ */
+export class TrueVaultCore {
+    constructor(authn, host, options) {
+        options = options || {};
+
+        // Credentials and token lifecycle state. Kept in one object so that clients derived via withRequestOptions
+        // see refreshed tokens.
+        this._session = {
+            authHeader: null,
+            accessToken: undefined,
+            notValidAfter: null,
+            expiringThreshold: typeof options.tokenExpiringThreshold === 'number' ? options.tokenExpiringThreshold : DEFAULT_TOKEN_EXPIRING_THRESHOLD,
+            refreshCredentials: options.refreshCredentials,
+            refreshing: null,
+            expired: false,
+            cancelTimers: [],
+            listeners: Object.create(null),
+            storage: null,
+            storageKey: options.storageKey || DEFAULT_STORAGE_KEY,
+            // Refreshing logs in with a client that only shares how to reach TrueVault, not this client's middleware,
+            // cache, encryption or storage
+            loginOptions: {transport: options.transport, timeout: options.timeout, retry: options.retry}
+        };
+
+        if (!authn) {
+            // no auth
+            this._session.authHeader = null;
+        } else if (typeof authn === 'object') {
+            if (authn.hasOwnProperty('apiKey')) {
+                this._session.authHeader = TrueVaultCore._makeHeaderForUsername(authn['apiKey'])
+            } else if (authn.hasOwnProperty('accessToken')) {
+                this._setAccessToken(authn['accessToken'], authn['notValidAfter']);
+            } else if (authn.hasOwnProperty('httpBasic')) {
+                this._session.authHeader = `Basic ${authn['httpBasic']}`;
+            }
+        } else {
+            throw new Error('Invalid authentication method provided');
+        }
+
+        this.host = host || 'https://api.truevault.com';
+
+        this._transport = Object.assign({}, this._defaultTransport(), options.transport);
+        this._retryPolicy = TrueVaultCore._makeRetryPolicy(options.retry);
+        this._timeout = options.timeout;
+        this._requestOptions = {};
+        this._middleware = (options.middleware || []).slice();
+        this._cache = options.cache ? this._createCache(options.cache) : null;
+        this._encryption = options.encryption ? this._createEncryptor(options.encryption) : null;
+    }
+
+    /**
+     * Returns a client that shares this client's configuration and credentials but applies the given options to
+     * every request it makes. Useful for options that only make sense for a single call:
+     *
+     * ```js
+     * await client.withRequestOptions({idempotent: true}).createDocument(vaultId, null, doc);
+     * ```
+     *
+     * @param {object} requestOptions
+     * @param {boolean} [requestOptions.idempotent] allow retrying requests that use non-idempotent methods (e. g. POST).
+     * @param {AbortSignal} [requestOptions.signal] signal that cancels the request when aborted.
+     * @param {number} [requestOptions.timeout] timeout in milliseconds, overriding the client's default.
+     * @returns {TrueVaultClient}
+     */
+    withRequestOptions(requestOptions) {
+        const client = Object.create(this);
+        client._requestOptions = Object.assign({}, this._requestOptions, requestOptions);
+        return client;
+    }
+
+    /**
+     * Returns a subclass of this class that also has the methods of each of the given method classes, such as
+     * `UserMethods` or `VaultMethods`.
+     * @param {...Function} methodClasses
+     * @returns {Function}
+     */
+    static with(...methodClasses) {
+        class Client extends this {}
+        methodClasses.forEach(methodClass => {
+            Object.getOwnPropertyNames(methodClass.prototype)
+                .filter(name => name !== 'constructor')
+                .forEach(name => {
+                    Object.defineProperty(Client.prototype, name, Object.getOwnPropertyDescriptor(methodClass.prototype, name));
+                });
+        });
+        return Client;
+    }
+
+    /**
+     * Returns the TrueVault access token that was supplied in the constructor/returned from the login call. Throws
+     * if the client was created without an access token (e. g. created with an API key).
+     * @returns {string}
+     */
+    get accessToken() {
+        if (!this._session.accessToken) {
+            throw new Error('No access token set. This client may have been configured with an API key or a custom auth header');
+        }
+        return this._session.accessToken;
+    }
+
+    /**
+     * Returns when the access token expires, if known: either supplied in the constructor as `notValidAfter` or passed
+     * to `login()`.
+     * @returns {Date|null}
+     */
+    get accessTokenNotValidAfter() {
+        return this._session.notValidAfter;
+    }
+
+    /**
+     * Returns the Authentication: header used for making requests (e. g. "Basic ABC123"). Useful if you need to make
+     * raw requests for some reason.
+     * @returns {*}
+     */
+    get authHeader() {
+        return this._session.authHeader;
+    }
+
+    /**
+     * Subscribes to an event of the access token's lifecycle. The listener is called with an object holding the
+     * token's `notValidAfter`:
+     *
+     * - `tokenExpiring`: the token expires within `options.tokenExpiringThreshold` milliseconds
+     * - `tokenExpired`: the token's `notValidAfter` has passed, or TrueVault rejected it
+     * - `tokenRefreshed`: a new token was obtained via `refreshCredentials`; also passes the new `accessToken`
+     *
+     * @param {string} event
+     * @param {function} listener
+     * @returns {TrueVaultClient} this client, for chaining.
+     */
+    on(event, listener) {
+        const listeners = this._session.listeners;
+        listeners[event] = (listeners[event] || []).concat([listener]);
+        return this;
+    }
+
+    /**
+     * Unsubscribes a listener added with `on()`.
+     * @param {string} event
+     * @param {function} listener
+     * @returns {TrueVaultClient} this client, for chaining.
+     */
+    off(event, listener) {
+        const listeners = this._session.listeners;
+        if (listeners[event]) {
+            listeners[event] = listeners[event].filter(l => l !== listener);
+        }
+        return this;
+    }
+
+    _emit(event, payload) {
+        (this._session.listeners[event] || []).forEach(listener => listener(payload));
+    }
+
+    /**
+     * Obtains a new access token by calling `generateAccessToken` with the credentials returned by
+     * `options.refreshCredentials`, and uses it for all further requests. Concurrent calls share a single refresh.
+     * The client calls this by itself before a request made when the token is about to expire, or once the token has
+     * been rejected, so you rarely need to.
+     * @returns {Promise.<string>} the new access token.
+     */
+    refreshAccessToken() {
+        const session = this._session;
+        if (typeof session.refreshCredentials !== 'function') {
+            return Promise.reject(new Error('Cannot refresh the access token without options.refreshCredentials'));
+        }
+        if (!session.refreshing) {
+            session.refreshing = (async () => {
+                try {
+                    const credentials = await session.refreshCredentials();
+                    const accessToken = await this.constructor.generateAccessToken(credentials.accountId, credentials.username,
+                        credentials.password, credentials.mfaCode, this.host, credentials.notValidAfter, session.loginOptions);
+                    this._setAccessToken(accessToken, credentials.notValidAfter);
+                    await this._saveSession();
+                    this._emit('tokenRefreshed', {accessToken, notValidAfter: session.notValidAfter});
+                    return accessToken;
+                } finally {
+                    session.refreshing = null;
+                }
+            })();
+        }
+        return session.refreshing;
+    }
+
+    /**
+     * Saves the access token to `storage`, and keeps it there until `logout()`, saving new tokens as they're obtained.
+     * See **Sessions**.
+     * @param {object} storage a storage adapter, such as a `TrueVaultCore.WebStorage`.
+     * @returns {Promise.<TrueVaultClient>} this client.
+     */
+    async persist(storage) {
+        // Fails early if there's no access token to store
+        this.accessToken;
+        this._session.storage = storage;
+        await this._saveSession();
+        return this;
+    }
+
+    async _saveSession() {
+        const session = this._session;
+        if (session.storage) {
+            await session.storage.setItem(session.storageKey, JSON.stringify({
+                accessToken: session.accessToken,
+                notValidAfter: session.notValidAfter ? session.notValidAfter.toISOString() : null
+            }));
+        }
+    }
+
+    _setAccessToken(accessToken, notValidAfter) {
+        const session = this._session;
+        session.accessToken = accessToken;
+        session.authHeader = TrueVaultCore._makeHeaderForUsername(accessToken);
+        session.notValidAfter = notValidAfter ? new Date(notValidAfter) : null;
+        session.expired = false;
+        this._scheduleTokenEvents();
+    }
+
+    _scheduleTokenEvents() {
+        const session = this._session;
+        session.cancelTimers.forEach(cancel => cancel());
+        session.cancelTimers = [];
+        if (!session.notValidAfter) {
+            return;
+        }
+
+        const notValidAfter = session.notValidAfter;
+        session.cancelTimers = [
+            setTimer(notValidAfter.getTime() - session.expiringThreshold, () => this._emit('tokenExpiring', {notValidAfter})),
+            setTimer(notValidAfter.getTime(), () => this._markTokenExpired())
+        ];
+    }
+
+    _markTokenExpired() {
+        const session = this._session;
+        if (!session.expired) {
+            session.expired = true;
+            this._emit('tokenExpired', {notValidAfter: session.notValidAfter});
+        }
+    }
+
+    _isAccessTokenExpiring() {
+        const session = this._session;
+        return !!session.notValidAfter && Date.now() >= session.notValidAfter.getTime() - session.expiringThreshold;
+    }
+
+    /**
+     * Adds a middleware function to the chain that every request made by this client passes through. Middleware is
+     * called with a `request` object and a `next` function:
+     *
+     * - `request.kind` is `'legacy'` (form data), `'json'`, `'blob'` (`getBlob`) or `'progress'` (the `*WithProgress`
+     *   methods)
+     * - `request.method`, `request.host` and `request.path` describe where the request is going, and
+     *   `request.options` holds the fetch options (body, ...), with `request.options.headers` always an object.
+     *   Middleware may change any of them.
+     * - `next(request)` sends the request on to the next middleware (eventually making the HTTP request) and resolves
+     *   to its result: the parsed JSON response, `{blob, contentType, fileName}` for `'blob'` requests, or the
+     *   XMLHttpRequest for `'progress'` blob downloads (an object with its `status`, `response` and
+     *   `getResponseHeader()` where there's no XMLHttpRequest). It rejects with the request's error, if any.
+     *
+     * Whatever the middleware resolves to (or throws) becomes the result of the request. Middleware runs in the order
+     * it was added, and is shared with clients derived via `withRequestOptions`. Reads answered from the cache (see the
+     * `cache` option) make no request, so they don't pass through middleware.
+     *
+     * ```js
+     * client.use(async (request, next) => {
+     *   const start = Date.now();
+     *   request.options.headers['X-Correlation-Id'] = correlationId;
+     *   try {
+     *     return await next(request);
+     *   } finally {
+     *     console.log(`${request.method} ${request.path} took ${Date.now() - start}ms`);
+     *   }
+     * });
+     * ```
+     *
+     * @param {function} middleware
+     * @returns {TrueVaultClient} this client, for chaining.
+     */
+    use(middleware) {
+        this._middleware.push(middleware);
+        return this;
+    }
+
+    async performLegacyRequest(path, options) {
+        return this._performRequest('legacy', path, options);
+    }
+
+    async performJSONRequest(path, options) {
+        if (!options) {
+            options = {};
+        }
+
+        if (!options.headers) {
+            options.headers = {};
+        }
+        options.headers['Content-Type'] = 'application/json';
+        return this._performRequest('json', path, options);
+    }
+
+    _performRequest(kind, path, options) {
+        options = options || {};
+        const request = {kind, method: options.method || 'GET', host: this.host, path, options};
+        return this._dispatchAuthenticated(request, request => this._sendRequest(request));
+    }
+
+    /**
+     * Authenticates `request` and dispatches it. With `options.refreshCredentials`, an access token that's about to
+     * expire is refreshed before sending the request, and a request rejected with an `AuthenticationError` is sent once
+     * more with a new token.
+     * @private
+     */
+    async _dispatchAuthenticated(request, handler) {
+        // Middleware may add headers to any request, including unauthenticated ones
+        if (!request.options.headers) {
+            request.options.headers = {};
+        }
+        const session = this._session;
+        const canRefresh = !!session.accessToken && typeof session.refreshCredentials === 'function';
+        if (canRefresh && this._isAccessTokenExpiring()) {
+            await this.refreshAccessToken();
+        }
+
+        const authHeader = this.authHeader;
+        const send = () => {
+            if (!!this.authHeader) {
+                request.options.headers.Authorization = this.authHeader;
+            }
+            return this._dispatch(request, handler);
+        };
+
+        try {
+            return await send();
+        } catch (e) {
+            if (!(e instanceof AuthenticationError) || !session.accessToken) {
+                throw e;
+            }
+            // Another request may have refreshed the token while this one was in flight
+            if (this.authHeader === authHeader) {
+                this._markTokenExpired();
+                const body = request.options.body;
+                if (!canRefresh || (!!body && typeof body.pipe === 'function')) {
+                    throw e;
+                }
+                await this.refreshAccessToken();
+            }
+            return send();
+        }
+    }
+
+    /**
+     * Passes `request` through the middleware chain, with `handler` performing the actual request at the end of it.
+     * @private
+     */
+    _dispatch(request, handler) {
+        const middleware = this._middleware;
+        const run = (index, request) => {
+            if (index === middleware.length) {
+                return handler(request);
+            }
+            return Promise.resolve(middleware[index](request, nextRequest => run(index + 1, nextRequest || request)));
+        };
+        return run(0, request);
+    }
+
+    async _sendRequest(request) {
+        const separator = request.path.indexOf('?') === -1 ? '?' : '&';
+        const uri = `${request.host}/${request.path}${separator}_tv_sdk=${encodeURIComponent(version)}`;
+
+        const requestInfo = {method: request.method, path: request.path};
+        const options = Object.assign({}, request.options, {method: request.method});
+        const {status, responseBody} = await this._withCancellation(requestInfo, async cancellation => {
+            const response = await this._withRetries(requestInfo, options.body, cancellation,
+                () => this._fetch(uri, TrueVaultCore._withSignal(options, cancellation.signal)));
+            return {status: response.status, responseBody: await response.text()};
+        });
+
+        let json;
+        try {
+            json = JSON.parse(responseBody);
+        } catch (e) {
+            throw makeResponseError(status, null, responseBody, requestInfo);
+        }
+
+        if (json.result === 'error') {
+            throw makeResponseError(status, json, responseBody, requestInfo);
+        } else {
+            return json;
+        }
+    }
+
+    /**
+     * Runs `perform` subject to the request's timeout and abort signal. `perform` receives a cancellation object with
+     * `cancelled`, an optional AbortSignal (`signal`) to hand to fetch, and `onCancel(callback)`.
+     * @private
+     */
+    _withCancellation(requestInfo, perform) {
+        const signal = this._requestOptions.signal;
+        const timeout = this._requestOptions.hasOwnProperty('timeout') ? this._requestOptions.timeout : this._timeout;
+
+        if (!signal && !timeout) {
+            return perform({cancelled: false, onCancel: () => {}});
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const cancelListeners = [];
+        const cancellation = {
+            cancelled: false,
+            signal: controller ? controller.signal : undefined,
+            onCancel: listener => cancelListeners.push(listener)
+        };
+
+        return new Promise((resolve, reject) => {
+            let timer;
+            const cleanUp = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            const cancel = error => {
+                cleanUp();
+                cancellation.cancelled = true;
+                if (controller) {
+                    controller.abort();
+                }
+                cancelListeners.forEach(listener => listener());
+                reject(error);
+            };
+            const onAbort = () => cancel(makeAbortError(signal));
+
+            if (signal) {
+                if (signal.aborted) {
+                    return onAbort();
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+            if (timeout) {
+                timer = setTimeout(() => cancel(new TimeoutError(timeout, requestInfo)), timeout);
+            }
+
+            perform(cancellation).then(result => {
+                cleanUp();
+                resolve(result);
+            }, error => {
+                cleanUp();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Calls `attempt` until it produces a response that shouldn't be retried, according to the client's retry policy.
+     * `attempt` must resolve to either a fetch Response or an XMLHttpRequest, and reject only on network errors, which
+     * are rethrown as NetworkErrors once all attempts have failed.
+     * @private
+     */
+    async _withRetries(requestInfo, body, cancellation, attempt) {
+        const policy = this._retryPolicy;
+        const maxAttempts = this._isRetryableRequest(requestInfo.method, body) ? policy.maxAttempts : 1;
+
+        for (let attemptNumber = 1; ; attemptNumber++) {
+            const canRetry = attemptNumber < maxAttempts;
+            const backoff = Math.random() * Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attemptNumber - 1));
+
+            let response;
+            try {
+                response = await attempt();
+            } catch (e) {
+                if (cancellation.cancelled) {
+                    throw e;
+                }
+                if (!canRetry) {
+                    throw new NetworkError(`Network error: ${e.message}`, Object.assign({cause: e}, requestInfo));
+                }
+                await sleep(backoff);
+                if (cancellation.cancelled) {
+                    // The request timed out or was aborted while we waited, so don't start another attempt
+                    throw e;
+                }
+                continue;
+            }
+
+            if (!canRetry || !TrueVaultCore._isRetryableStatus(response.status)) {
+                return response;
+            }
+
+            const retryAfter = TrueVaultCore._parseRetryAfter(TrueVaultCore._getResponseHeader(response, 'Retry-After'));
+            if (retryAfter > policy.maxDelay) {
+                // The server asked us to wait longer than we're willing to, so give up now instead of retrying early
+                return response;
+            }
+            TrueVaultCore._discardBody(response);
+            await sleep(retryAfter === null ? backoff : retryAfter);
+            if (cancellation.cancelled) {
+                // The caller has already been told the request failed, so there's nobody to return the response to
+                return response;
+            }
+        }
+    }
+
+    _fetch(url, options) {
+        // Browsers require fetch to be called unbound, so don't call it as a method of the transport object
+        const fetch = this._transport.fetch;
+        if (!fetch) {
+            throw new Error('There is no fetch in this environment: supply one as options.transport.fetch, or use ' +
+                'the nodejs entry point, which falls back to node-fetch');
+        }
+        return fetch(url, options);
+    }
+
+    /**
+     * The transport used for the parts of `options.transport` that are left out: the environment's own fetch,
+     * FormData and XMLHttpRequest. `NodeSupport` falls back to node-fetch and form-data where they're missing.
+     * @private
+     */
+    _defaultTransport() {
+        return {
+            fetch: typeof fetch !== 'undefined' ? fetch : null,
+            FormData: typeof FormData !== 'undefined' ? FormData : null,
+            // Without XMLHttpRequest (e. g. in nodejs), the *WithProgress methods fall back to fetch
+            createXMLHttpRequest: typeof XMLHttpRequest !== 'undefined' ? () => new XMLHttpRequest() : null
+        };
+    }
+
+    /**
+     * Creates the cache for `options.cache`. Only classes that include `CacheSupport` can cache, so that the cache's
+     * code is only bundled for them.
+     * @private
+     */
+    _createCache() {
+        throw new Error('options.cache needs a client class that includes CacheSupport; see TrueVaultCore.with');
+    }
+
+    /**
+     * Creates the encryptor for `options.encryption`. Only classes that include `EncryptionSupport` can encrypt, so
+     * that the encryption code is only bundled for them.
+     * @private
+     */
+    _createEncryptor() {
+        throw new Error('options.encryption needs a client class that includes EncryptionSupport; ' +
+            'see TrueVaultCore.with');
+    }
+
+    _newFormData() {
+        return new this._transport.FormData();
+    }
+
+    _isRetryableRequest(method, body) {
+        // Stream bodies (including nodejs form data) are consumed by the first attempt and can't be sent again
+        if (!!body && typeof body.pipe === 'function') {
+            return false;
+        }
+        return this._requestOptions.idempotent === true || IDEMPOTENT_METHODS.indexOf(method.toUpperCase()) !== -1;
+    }
+
+    /**
+     * Useful when you want to create a client starting from a user's username and password as opposed to an API key
+     * or access token. The resulting TrueVaultClient has an accessToken property you can use to retrieve the raw
+     * TrueVault access token if needed (e. g. to save in localStorage).
+     * See https://docs.truevault.com/authentication#login-a-user.
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `login({accountId, username, password, mfaCode})`.
+     * @param {string} accountId account id that the user belongs to.
+     * @param {string} username user's username.
+     * @param {string} password user's password.
+     * @param {string} [mfaCode] current MFA code, if user has MFA configured.
+     * @param {string} [host] host optional parameter specifying TV API host; defaults to https://api.truevault.com
+     * @param {Date} [notValidAfter] notValidAfter optional parameter specifying when the returned access token expires
+     * @param {object} [options] options for the returned client; see the constructor.
+     * @returns {Promise.<TrueVaultClient>}
+     */
+    static async login(accountId, username, password, mfaCode, host, notValidAfter, options) {
+        const named = namedArgs('login', [accountId, username, password, mfaCode, host, notValidAfter, options]);
+        if (named) {
+            ({accountId, username, password, mfaCode, host, notValidAfter, options} = named);
+        }
+        const accessToken = await this.generateAccessToken(accountId, username, password, mfaCode, host, notValidAfter, options);
+
+        return new this({'accessToken': accessToken, notValidAfter}, host, options);
+    }
+
+    /**
+     * Starts a login that finds out whether the user needs to enter an MFA code, rather than requiring it up front like
+     * `login()`. Resolves to an object whose `state` is one of:
+     *
+     * - `authenticated`: `client` holds the logged in client
+     * - `mfaRequired`: the user has MFA enabled; call `submitMfaCode(code)` to go on
+     * - `invalidMfaCode`: the submitted code was wrong; call `submitMfaCode(code)` to try again
+     * - `locked`: the user is locked out after too many failed attempts
+     * - `invalidCredentials`: the username or password is wrong
+     *
+     * Every state but `authenticated` also holds the `error` TrueVault responded with. `submitMfaCode` resolves to the
+     * next state. Errors that don't correspond to a state are thrown.
+     *
+     * ```js
+     * let step = await TrueVaultCore.beginLogin(accountId, username, password);
+     * while (step.state === 'mfaRequired' || step.state === 'invalidMfaCode') {
+     *   step = await step.submitMfaCode(await promptForMfaCode());
+     * }
+     * ```
+     *
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `beginLogin({accountId, username, password})`.
+     * @param {string} accountId account id that the user belongs to.
+     * @param {string} username user's username.
+     * @param {string} password user's password.
+     * @param {string} [host] host optional parameter specifying TV API host; defaults to https://api.truevault.com
+     * @param {Date} [notValidAfter] notValidAfter optional parameter specifying when the returned access token expires
+     * @param {object} [options] options for the resulting client; see the constructor.
+     * @returns {Promise.<Object>}
+     */
+    static async beginLogin(accountId, username, password, host, notValidAfter, options) {
+        const named = namedArgs('beginLogin', [accountId, username, password, host, notValidAfter, options]);
+        if (named) {
+            ({accountId, username, password, host, notValidAfter, options} = named);
+        }
+        const attempt = async mfaCode => {
+            try {
+                const client = await this.login(accountId, username, password, mfaCode, host, notValidAfter, options);
+                return {state: 'authenticated', client};
+            } catch (e) {
+                const state = e instanceof TrueVaultError ? LOGIN_ERROR_STATES[e.code] : undefined;
+                if (!state) {
+                    throw e;
+                }
+                const step = {state, error: e};
+                if (MFA_CODE_STATES.indexOf(state) !== -1) {
+                    step.submitMfaCode = attempt;
+                }
+                return step;
+            }
+        };
+        return attempt();
+    }
+
+    /**
+     * Creates a client for the session saved to `storage` by `persist()`, which the client keeps updating. Resolves to
+     * null if there's no session, or if it has expired and `options.refreshCredentials` isn't given.
+     * @param {object} storage a storage adapter, such as a `TrueVaultCore.WebStorage`.
+     * @param {string} [host] host optional parameter specifying TV API host; defaults to https://api.truevault.com
+     * @param {object} [options] options for the returned client; see the constructor.
+     * @returns {Promise.<TrueVaultClient|null>}
+     */
+    static async fromStorage(storage, host, options) {
+        options = options || {};
+        const storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+        const value = await storage.getItem(storageKey);
+        if (!value) {
+            return null;
+        }
+
+        const {accessToken, notValidAfter} = JSON.parse(value);
+        const expired = !!notValidAfter && new Date(notValidAfter).getTime() <= Date.now();
+        if (expired && typeof options.refreshCredentials !== 'function') {
+            await storage.removeItem(storageKey);
+            return null;
+        }
+
+        const client = new this({accessToken, notValidAfter}, host, options);
+        return client.persist(storage);
+    }
+
+    /**
+     * Log in with a username and password and return the resulting access token.
+     * See https://docs.truevault.com/authentication#login-a-user.
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `generateAccessToken({accountId, username, password, notValidAfter})`.
+     * @param {string} accountId account id that the user belongs to.
+     * @param {string} username user's username.
+     * @param {string} password user's password.
+     * @param {string} [mfaCode] current MFA code, if user has MFA configured.
+     * @param {string} [host] host optional parameter specifying TV API host; defaults to https://api.truevault.com
+     * @param {Date} [notValidAfter] notValidAfter optional parameter specifying when the returned access token expires
+     * @param {object} [options] client options (e. g. `transport`) to use for the login request; see the constructor.
+     * @returns {Promise.<string>}
+     */
+    static async generateAccessToken(accountId, username, password, mfaCode, host, notValidAfter, options) {
+        const named = namedArgs('generateAccessToken', [
+            accountId, username, password, mfaCode, host, notValidAfter, options
+        ]);
+        if (named) {
+            ({accountId, username, password, mfaCode, host, notValidAfter, options} = named);
+        }
+        const tvClient = new this(null, host, options);
+        const formData = tvClient._newFormData();
+        formData.append("account_id", accountId);
+        formData.append("username", username);
+        formData.append("password", password);
+        if (!!mfaCode) {
+            formData.append("mfa_code", mfaCode);
+        }
+        if (!!notValidAfter) {
+            formData.append("not_valid_after", notValidAfter.toISOString());
+        }
+
+        const response = await tvClient.performLegacyRequest(`v1/auth/login`, {
+            method: 'POST',
+            body: formData
+        });
+
+        return response.user.access_token;
+    }
+
+    /**
+     * Log the authenticated user out, which deactivates its access token. See
+     * https://docs.truevault.com/authentication#logout-a-user. The client forgets the session, and removes it from
+     * storage, even if the request fails; the request's error is still thrown.
+     * @returns {Promise.<Object>}
+     */
+    async logout() {
+        try {
+            const response = await this.performLegacyRequest(`v1/auth/logout`, {method: 'POST'});
+            return response.logout;
+        } finally {
+            this._session.cancelTimers.forEach(cancel => cancel());
+            this._session.cancelTimers = [];
+            this._session.authHeader = null;
+            if (this._session.storage) {
+                const storage = this._session.storage;
+                this._session.storage = null;
+                await storage.removeItem(this._session.storageKey);
+            }
+        }
+    }
+
+    static _makeHeaderForUsername(username) {
+        return `Basic ${base64.encode(username + ':')}`;
+    };
+
+    /**
+     * Resolves to the cached value for `key` if there is one. Otherwise resolves to the result of `fetch`, caching it
+     * for as long as `resource` is configured to be kept.
+     * @private
+     */
+    async _cached(resource, key, fetch) {
+        if (!this._cache || !this._cache.isEnabled(resource)) {
+            return fetch();
+        }
+        const cached = await this._cache.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+        const value = await fetch();
+        if (value !== undefined && value !== null) {
+            await this._cache.set(resource, key, value);
+        }
+        return value;
+    }
+
+    /**
+     * Like `_cached` for a list of ids: `read` is only called with the ids that aren't cached, and resolves to their
+     * items in the same order, with null for missing ones. Missing items aren't cached.
+     * @private
+     */
+    async _cachedByIds(resource, ids, keyForId, read) {
+        if (!this._cache || !this._cache.isEnabled(resource)) {
+            return read(ids);
+        }
+        const cached = await Promise.all(ids.map(id => this._cache.get(keyForId(id))));
+        const missingIds = ids.filter((id, index) => cached[index] === undefined);
+        const fetchedById = Object.create(null);
+        if (missingIds.length > 0) {
+            const fetched = await read(missingIds);
+            missingIds.forEach((id, index) => fetchedById[id] = fetched[index]);
+            await Promise.all(Object.keys(fetchedById)
+                .filter(id => fetchedById[id] !== null)
+                .map(id => this._cache.set(resource, keyForId(id), fetchedById[id])));
+        }
+        return ids.map((id, index) => cached[index] !== undefined ? cached[index] : fetchedById[id]);
+    }
+
+    /**
+     * Evicts the given cache keys after a write.
+     * @private
+     */
+    async _invalidateCache(keys) {
+        if (this._cache) {
+            await Promise.all(keys.map(key => this._cache.delete(key)));
+        }
+    }
+
+    /**
+     * Evicts every cache key starting with one of `prefixes`, e. g. after deleting a vault.
+     * @private
+     */
+    async _invalidateCachePrefixes(prefixes) {
+        if (this._cache) {
+            await Promise.all(prefixes.map(prefix => this._cache.deletePrefix(prefix)));
+        }
+    }
+
+    /**
+     * Reads the items with the given ids, `fetchChunk` reading a URL-safe chunk of them at a time. Resolves to the
+     * items in the order of `ids`, with null for ids that weren't found. `missingItemCode` is the API error code
+     * TrueVault uses when one of the requested items doesn't exist (e. g. `DOCUMENT.NOT_FOUND`); any other error,
+     * including a 404 for a missing vault, is rethrown.
+     * @private
+     */
+    async _readByIds(ids, missingItemCode, fetchChunk) {
+        const itemsById = Object.create(null);
+        const uniqueIds = ids.filter(id => {
+            const isNew = !(id in itemsById);
+            itemsById[id] = null;
+            return isNew;
+        });
+
+        await mapWithConcurrency(chunkIds(uniqueIds), DEFAULT_CONCURRENCY, async chunk => {
+            const items = await TrueVaultCore._fetchIdsChunk(chunk, missingItemCode, fetchChunk);
+            items.forEach(item => itemsById[item.id] = item);
+        });
+        return ids.map(id => itemsById[id]);
+    }
+
+    /**
+     * Calls `fetchChunk` for `chunk`. If some of the ids don't exist, TrueVault fails the whole request, so we split the
+     * chunk in half and try again until we've narrowed down the missing ids. The halves are fetched one after the other,
+     * so each chunk never has more than one request in flight.
+     * @private
+     */
+    static async _fetchIdsChunk(chunk, missingItemCode, fetchChunk) {
+        try {
+            return await fetchChunk(chunk);
+        } catch (e) {
+            if (!(e instanceof NotFoundError) || e.code !== missingItemCode) {
+                throw e;
+            }
+            if (chunk.length === 1) {
+                return [];
+            }
+            const middle = Math.ceil(chunk.length / 2);
+            const firstHalf = await TrueVaultCore._fetchIdsChunk(chunk.slice(0, middle), missingItemCode, fetchChunk);
+            const secondHalf = await TrueVaultCore._fetchIdsChunk(chunk.slice(middle), missingItemCode, fetchChunk);
+            return firstHalf.concat(secondHalf);
+        }
+    }
+
+    static _makeRetryPolicy(retry) {
+        if (!retry) {
+            return Object.assign({}, DEFAULT_RETRY_POLICY, {maxAttempts: 1});
+        }
+        return Object.assign({}, DEFAULT_RETRY_POLICY, retry === true ? {} : retry);
+    }
+
+    static _withSignal(options, signal) {
+        if (!signal) {
+            return options;
+        }
+        return Object.assign({}, options, {signal});
+    }
+
+    static _isRetryableStatus(status) {
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Releases the connection held by a fetch response whose body won't be read, so that retrying doesn't leave it
+     * open. XMLHttpRequests have already read their bodies.
+     * @private
+     */
+    static _discardBody(response) {
+        const body = response.body;
+        if (body && typeof body.cancel === 'function') {
+            body.cancel().catch(() => {});
+        } else if (body && typeof body.resume === 'function') {
+            body.resume();
+        }
+    }
+
+    static _getResponseHeader(response, name) {
+        return response.headers ? response.headers.get(name) : response.getResponseHeader(name);
+    }
+
+    /**
+     * Converts a Retry-After header, which is either a number of seconds or an HTTP date, to milliseconds. Returns
+     * null if the header is missing or malformed.
+     * @private
+     */
+    static _parseRetryAfter(retryAfterHeader) {
+        if (!retryAfterHeader) {
+            return null;
+        }
+        if (/^\s*\d+\s*$/.test(retryAfterHeader)) {
+            return parseInt(retryAfterHeader, 10) * 1000;
+        }
+        const date = Date.parse(retryAfterHeader);
+        if (isNaN(date)) {
+            return null;
+        }
+        return Math.max(0, date - Date.now());
+    }
+}
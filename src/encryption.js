@@ -0,0 +1,407 @@
+import base64 from 'base-64';
+import {DecryptionError} from './errors';
+import {concatChunks, decodeText, encodeText} from './progress';
+
+// AES-256-GCM with 96-bit IVs. The 128-bit authentication tag follows the ciphertext, as WebCrypto produces it.
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted document fields are strings of the form `tvenc1.<key id>.<wrapped key>.<iv>.<ciphertext>`, each part
+// base64-encoded. Encrypted BLOBs start with BLOB_MAGIC, then a 4-byte big-endian length and a JSON header with the key
+// id, wrapped key, iv and original content type, then the ciphertext.
+//
+// The ciphertext is bound to where it belongs through AES-GCM's additional authenticated data: for fields, the vault
+// id and the field's path (see fieldAdditionalData); for BLOBs, everything before the ciphertext plus the vault id.
+// Ciphertext copied to another field or vault, or a BLOB with an altered header, then fails to decrypt. Fields aren't
+// bound to their document, whose id TrueVault only assigns after the fields are encrypted.
+const FIELD_PREFIX = 'tvenc1.';
+const BLOB_MAGIC = 'TVENC1';
+
+/**
+ * The AES-GCM implementation for nodejs, given its crypto module; see `NodeSupport`. It's passed in rather than
+ * imported so that bundles for other environments don't need it.
+ */
+export function nodeCryptoBackend(nodeCrypto) {
+    return {
+        randomBytes: length => new Uint8Array(nodeCrypto.randomBytes(length)),
+
+        async encrypt(key, iv, plaintext, additionalData) {
+            const cipher = nodeCrypto.createCipheriv('aes-256-gcm', key, iv);
+            if (additionalData) {
+                cipher.setAAD(additionalData);
+            }
+            const ciphertext = [cipher.update(plaintext), cipher.final(), cipher.getAuthTag()];
+            return concatChunks(ciphertext, ciphertext.reduce((total, chunk) => total + chunk.length, 0));
+        },
+
+        async decrypt(key, iv, data, additionalData) {
+            const decipher = nodeCrypto.createDecipheriv('aes-256-gcm', key, iv);
+            if (additionalData) {
+                decipher.setAAD(additionalData);
+            }
+            decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+            const plaintext = [decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()];
+            return concatChunks(plaintext, plaintext.reduce((total, chunk) => total + chunk.length, 0));
+        }
+    };
+}
+
+function webCryptoBackend(webCrypto) {
+    const importKey = (key, usage) => webCrypto.subtle.importKey('raw', key, 'AES-GCM', false, [usage]);
+    const params = (iv, additionalData) => Object.assign({name: 'AES-GCM', iv}, additionalData ? {additionalData} : {});
+    return {
+        randomBytes: length => webCrypto.getRandomValues(new Uint8Array(length)),
+
+        async encrypt(key, iv, plaintext, additionalData) {
+            const cryptoKey = await importKey(key, 'encrypt');
+            return new Uint8Array(await webCrypto.subtle.encrypt(params(iv, additionalData), cryptoKey, plaintext));
+        },
+
+        async decrypt(key, iv, data, additionalData) {
+            const cryptoKey = await importKey(key, 'decrypt');
+            return new Uint8Array(await webCrypto.subtle.decrypt(params(iv, additionalData), cryptoKey, data));
+        }
+    };
+}
+
+// `backend` is one with the same methods as webCryptoBackend's, which the nodejs entry point supplies so that nothing
+// here needs nodejs' crypto module. Otherwise WebCrypto is used, which is global in browsers and nodejs 19+.
+function getBackend(backend) {
+    if (backend) {
+        return backend;
+    }
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('Encryption needs WebCrypto, or the nodejs entry point in nodejs');
+    }
+    return webCryptoBackend(crypto);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    // Convert in slices, since fromCharCode can't take arbitrarily many arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return base64.encode(binary);
+}
+
+function fromBase64(encoded) {
+    const binary = base64.decode(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function toKeyBytes(key, keyId) {
+    const bytes = typeof key === 'string' ? fromBase64(key) : new Uint8Array(key);
+    if (bytes.length !== KEY_LENGTH) {
+        throw new Error(`Key ${keyId} must be ${KEY_LENGTH} bytes long`);
+    }
+    return bytes;
+}
+
+/**
+ * A key provider that keeps key-encryption keys in memory, e. g. loaded from environment variables or a secrets
+ * manager at startup. Each document or BLOB is encrypted with its own random data key, which is in turn encrypted
+ * ("wrapped") with the current key and stored alongside the ciphertext together with the key's id.
+ *
+ * To rotate keys, add a new key and make it current. Data encrypted under older keys stays readable as long as their
+ * keys are kept:
+ *
+ * ```js
+ * const keyProvider = new TrueVaultClient.LocalKeyProvider({
+ *   currentKeyId: '2024-06',
+ *   keys: {'2024-01': process.env.OLD_KEY, '2024-06': process.env.NEW_KEY}
+ * });
+ * ```
+ *
+ * Other key providers, e. g. ones backed by a KMS, need to implement the same two methods.
+ */
+export class LocalKeyProvider {
+    /**
+     * @param {Object} options
+     * @param {Object} options.keys 256-bit AES keys by id, as Uint8Arrays, ArrayBuffers or base64 strings.
+     * @param {string} options.currentKeyId the id of the key that new data keys are wrapped with.
+     */
+    constructor(options) {
+        const {keys, currentKeyId} = options || {};
+        if (!keys || !keys.hasOwnProperty(currentKeyId)) {
+            throw new Error('LocalKeyProvider needs keys, including one for currentKeyId');
+        }
+        this._keys = {};
+        Object.keys(keys).forEach(keyId => this._keys[keyId] = toKeyBytes(keys[keyId], keyId));
+        this._currentKeyId = currentKeyId;
+        this._backend = null;
+    }
+
+    /**
+     * Encrypts a data key with the current key.
+     * @param {Uint8Array} dataKey
+     * @returns {Promise.<{keyId: string, wrappedKey: Uint8Array}>}
+     */
+    async wrapKey(dataKey) {
+        const backend = getBackend(this._backend);
+        const iv = backend.randomBytes(IV_LENGTH);
+        const ciphertext = await backend.encrypt(this._keys[this._currentKeyId], iv, dataKey);
+        return {keyId: this._currentKeyId, wrappedKey: concatChunks([iv, ciphertext], iv.length + ciphertext.length)};
+    }
+
+    /**
+     * Decrypts a data key wrapped by `wrapKey`.
+     * @param {Uint8Array} wrappedKey
+     * @param {string} keyId the id of the key it was wrapped with.
+     * @returns {Promise.<Uint8Array>}
+     */
+    async unwrapKey(wrappedKey, keyId) {
+        if (!this._keys.hasOwnProperty(keyId)) {
+            throw new DecryptionError(`Unknown key ${keyId}`, keyId);
+        }
+        const iv = wrappedKey.subarray(0, IV_LENGTH);
+        return getBackend(this._backend).decrypt(this._keys[keyId], iv, wrappedKey.subarray(IV_LENGTH));
+    }
+}
+
+/**
+ * Lets a client class encrypt document fields and BLOBs, via the `encryption` option of its constructor; see
+ * `TrueVaultCore.with`. `TrueVaultClient` includes it.
+ */
+export class EncryptionSupport {
+    _createEncryptor(options) {
+        return new Encryptor(options, this._cryptoBackend());
+    }
+
+    /**
+     * The AES-GCM implementation to encrypt with, or null for WebCrypto. `NodeSupport` supplies nodejs' crypto module.
+     * @private
+     */
+    _cryptoBackend() {
+        return null;
+    }
+}
+
+/**
+ * Encrypts and decrypts documents and BLOBs for a client configured with `options.encryption`; see the
+ * `TrueVaultClient` constructor. `backend` is as for `getBackend`.
+ */
+export class Encryptor {
+    constructor(options, backend) {
+        const {keyProvider, documentFields, blobs, allowPlaintext} = options;
+        if (!keyProvider) {
+            throw new Error('options.encryption needs a keyProvider');
+        }
+        this._keyProvider = keyProvider;
+        this._documentFields = typeof documentFields === 'function' ? documentFields : () => documentFields || [];
+        this._blobs = typeof blobs === 'function' ? blobs : () => !!blobs;
+        this._allowPlaintext = !!allowPlaintext;
+        this._backend = backend;
+    }
+
+    /**
+     * Whether BLOBs in `vaultId` are encrypted.
+     */
+    encryptsBlobs(vaultId) {
+        return !!this._blobs(vaultId);
+    }
+
+    /**
+     * Returns a copy of `document` with the configured fields encrypted. Fields are named by dotted paths (e. g.
+     * `'patient.ssn'`); each is JSON-encoded and encrypted, and the result is a string.
+     */
+    async encryptDocument(vaultId, document) {
+        const paths = this._documentFields(vaultId) || [];
+        if (paths.length === 0 || !document || typeof document !== 'object') {
+            return document;
+        }
+        const envelope = await this._newDataKey(vaultId);
+        const keyPrefix = `${FIELD_PREFIX}${toBase64(encodeText(envelope.keyId))}.${toBase64(envelope.wrappedKey)}.`;
+        const encrypted = cloneAlongPaths(document, paths);
+
+        await Promise.all(paths.map(async path => {
+            const parent = getParent(encrypted, path);
+            const name = lastComponent(path);
+            if (!parent || parent[name] === undefined) {
+                return;
+            }
+            const iv = envelope.backend.randomBytes(IV_LENGTH);
+            const plaintext = encodeText(JSON.stringify(parent[name]));
+            const additionalData = fieldAdditionalData(vaultId, path);
+            const ciphertext = await envelope.backend.encrypt(envelope.dataKey, iv, plaintext, additionalData);
+            parent[name] = `${keyPrefix}${toBase64(iv)}.${toBase64(ciphertext)}`;
+        }));
+        return encrypted;
+    }
+
+    /**
+     * Returns a copy of `document` with the configured fields decrypted. Other fields are returned as they are, even
+     * if they look encrypted. Configured fields that aren't encrypted raise a `DecryptionError`, unless
+     * `allowPlaintext` is set.
+     */
+    async decryptDocument(vaultId, document) {
+        const paths = this._documentFields(vaultId) || [];
+        if (paths.length === 0 || !document || typeof document !== 'object') {
+            return document;
+        }
+        const decrypted = cloneAlongPaths(document, paths);
+
+        // Fields encrypted together share a data key, so only unwrap it once
+        const dataKeys = {};
+        await Promise.all(paths.map(async path => {
+            const parent = getParent(decrypted, path);
+            const name = lastComponent(path);
+            const value = parent ? parent[name] : undefined;
+            if (value === undefined) {
+                return;
+            }
+            if (!(typeof value === 'string' && value.indexOf(FIELD_PREFIX) === 0)) {
+                if (!this._allowPlaintext) {
+                    throw new DecryptionError(`Field ${path} should be encrypted, but isn't`);
+                }
+                return;
+            }
+            const parts = value.substring(FIELD_PREFIX.length).split('.');
+            if (parts.length !== 4) {
+                throw new DecryptionError('Malformed encrypted field');
+            }
+            const [keyId, wrappedKey, iv, ciphertext] = parts;
+            const cacheKey = `${keyId}.${wrappedKey}`;
+            if (!dataKeys[cacheKey]) {
+                const decodedKeyId = decodeText(fromBase64(keyId));
+                dataKeys[cacheKey] = this._unwrapDataKey(vaultId, decodedKeyId, fromBase64(wrappedKey));
+            }
+            const dataKey = await dataKeys[cacheKey];
+            const plaintext = await decrypt(this._backend, dataKey, fromBase64(iv), fromBase64(ciphertext),
+                fieldAdditionalData(vaultId, path));
+            parent[name] = JSON.parse(decodeText(plaintext));
+        }));
+        return decrypted;
+    }
+
+    /**
+     * Encrypts a BLOB's contents.
+     * @param {string} vaultId
+     * @param {Uint8Array} bytes
+     * @param {string} [contentType] the original content type, restored by `decryptBlob`.
+     * @returns {Promise.<Uint8Array>}
+     */
+    async encryptBlob(vaultId, bytes, contentType) {
+        const envelope = await this._newDataKey(vaultId);
+        const iv = envelope.backend.randomBytes(IV_LENGTH);
+        const header = encodeText(JSON.stringify({
+            keyId: envelope.keyId,
+            wrappedKey: toBase64(envelope.wrappedKey),
+            iv: toBase64(iv),
+            contentType: contentType || null
+        }));
+
+        const prefix = new Uint8Array(BLOB_MAGIC.length + 4);
+        prefix.set(encodeText(BLOB_MAGIC));
+        new DataView(prefix.buffer).setUint32(BLOB_MAGIC.length, header.length);
+        const prefixAndHeader = concatChunks([prefix, header], prefix.length + header.length);
+        const additionalData = blobAdditionalData(vaultId, prefixAndHeader);
+        const ciphertext = await envelope.backend.encrypt(envelope.dataKey, iv, bytes, additionalData);
+        return concatChunks([prefixAndHeader, ciphertext], prefixAndHeader.length + ciphertext.length);
+    }
+
+    /**
+     * Decrypts a BLOB's contents. BLOBs that weren't encrypted raise a `DecryptionError`, unless `allowPlaintext` is
+     * set, in which case they're returned as they are.
+     * @param {string} vaultId
+     * @param {Uint8Array} bytes
+     * @returns {Promise.<{bytes: Uint8Array, contentType: string|null, encrypted: boolean}>}
+     */
+    async decryptBlob(vaultId, bytes) {
+        const headerStart = BLOB_MAGIC.length + 4;
+        if (bytes.length < headerStart || decodeText(bytes.subarray(0, BLOB_MAGIC.length)) !== BLOB_MAGIC) {
+            if (!this._allowPlaintext) {
+                throw new DecryptionError(`BLOBs in vault ${vaultId} should be encrypted, but this one isn't`);
+            }
+            return {bytes, contentType: null, encrypted: false};
+        }
+        const headerLength = new DataView(bytes.buffer, bytes.byteOffset + BLOB_MAGIC.length, 4).getUint32(0);
+        let header;
+        try {
+            header = JSON.parse(decodeText(bytes.subarray(headerStart, headerStart + headerLength)));
+        } catch (e) {
+            throw new DecryptionError('Malformed encrypted BLOB');
+        }
+        const dataKey = await this._unwrapDataKey(vaultId, header.keyId, fromBase64(header.wrappedKey));
+        const ciphertext = bytes.subarray(headerStart + headerLength);
+        const additionalData = blobAdditionalData(vaultId, bytes.subarray(0, headerStart + headerLength));
+        const plaintext = await decrypt(this._backend, dataKey, fromBase64(header.iv), ciphertext, additionalData);
+        return {bytes: plaintext, contentType: header.contentType, encrypted: true};
+    }
+
+    async _newDataKey(vaultId) {
+        const backend = getBackend(this._backend);
+        const dataKey = backend.randomBytes(KEY_LENGTH);
+        const {keyId, wrappedKey} = await this._keyProvider.wrapKey(dataKey, {vaultId});
+        return {backend, dataKey, keyId, wrappedKey: new Uint8Array(wrappedKey)};
+    }
+
+    async _unwrapDataKey(vaultId, keyId, wrappedKey) {
+        try {
+            return new Uint8Array(await this._keyProvider.unwrapKey(wrappedKey, keyId, {vaultId}));
+        } catch (e) {
+            if (e instanceof DecryptionError) {
+                throw e;
+            }
+            throw new DecryptionError(`Couldn't unwrap data key: ${e.message}`, keyId);
+        }
+    }
+}
+
+async function decrypt(backend, key, iv, data, additionalData) {
+    backend = getBackend(backend);
+    try {
+        return await backend.decrypt(key, iv, data, additionalData);
+    } catch (e) {
+        // AES-GCM fails the same way for a wrong key, tampered data and data moved from elsewhere
+        throw new DecryptionError('Decryption failed: the data was modified or moved, or the key is wrong');
+    }
+}
+
+// A JSON array, so that no vault id and path can run together into the same bytes as another pair
+function fieldAdditionalData(vaultId, path) {
+    return encodeText(JSON.stringify([vaultId, path]));
+}
+
+// The prefix and header give their own lengths, so the vault id can simply follow them
+function blobAdditionalData(vaultId, prefixAndHeader) {
+    const vaultIdBytes = encodeText(vaultId);
+    return concatChunks([prefixAndHeader, vaultIdBytes], prefixAndHeader.length + vaultIdBytes.length);
+}
+
+function lastComponent(path) {
+    return path.split('.').pop();
+}
+
+// The object holding the field at `path`, or undefined if its path doesn't exist
+function getParent(object, path) {
+    const components = path.split('.');
+    components.pop();
+    return components.reduce((parent, name) => {
+        return parent && parent[name] && typeof parent[name] === 'object' ? parent[name] : undefined;
+    }, object);
+}
+
+// Copies the objects along each path, so that fields can be replaced without changing the caller's document
+function cloneAlongPaths(document, paths) {
+    const clone = Object.assign({}, document);
+    paths.forEach(path => {
+        const components = path.split('.');
+        components.pop();
+        let parent = clone;
+        components.forEach(name => {
+            if (parent && parent[name] && typeof parent[name] === 'object') {
+                parent[name] = Array.isArray(parent[name]) ? parent[name].slice() : Object.assign({}, parent[name]);
+                parent = parent[name];
+            } else {
+                parent = undefined;
+            }
+        });
+    });
+    return clone;
+}
@@ -0,0 +1,174 @@
+/**
+ * Base class for all errors thrown because of a failed TrueVault request. Besides `message`, it has the following
+ * properties, each of which may be undefined if the failure happened before TrueVault responded:
+ *
+ * - `status`: the HTTP status code of the response
+ * - `type` and `code`: the machine-readable error type and code returned by TrueVault
+ * - `transactionId`: a unique ID that can be used in support requests to help@truevault.com (also available as
+ *   `transaction_id`, for compatibility)
+ * - `method` and `path`: the HTTP method and API path of the failed request
+ * - `error`: the raw error object returned by TrueVault
+ */
+export class TrueVaultError {
+    constructor(message, details) {
+        details = details || {};
+        this.message = message;
+        this.status = details.status;
+        this.type = details.error && details.error.type;
+        this.code = details.error && details.error.code;
+        this.transactionId = details.transactionId;
+        this.method = details.method;
+        this.path = details.path;
+        this.error = details.error;
+        this.transaction_id = details.transactionId;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = new Error(message).stack;
+        }
+    }
+}
+
+// Babel can't subclass builtins like Error, so we link up the prototype chain by hand.
+Object.setPrototypeOf(TrueVaultError.prototype, Error.prototype);
+
+TrueVaultError.prototype.name = 'TrueVaultError';
+
+/**
+ * Thrown when the request's credentials are missing, invalid or expired (HTTP 401).
+ */
+export class AuthenticationError extends TrueVaultError {
+}
+
+AuthenticationError.prototype.name = 'AuthenticationError';
+
+/**
+ * Thrown when the authenticated user isn't allowed to perform the request (HTTP 403).
+ */
+export class PermissionDeniedError extends TrueVaultError {
+}
+
+PermissionDeniedError.prototype.name = 'PermissionDeniedError';
+
+/**
+ * Thrown when the requested resource doesn't exist (HTTP 404).
+ */
+export class NotFoundError extends TrueVaultError {
+}
+
+NotFoundError.prototype.name = 'NotFoundError';
+
+/**
+ * Thrown when TrueVault rejects the request because too many requests have been made (HTTP 429).
+ */
+export class RateLimitError extends TrueVaultError {
+}
+
+RateLimitError.prototype.name = 'RateLimitError';
+
+/**
+ * Thrown when TrueVault rejects the request's parameters (HTTP 400 and 422).
+ */
+export class ValidationError extends TrueVaultError {
+}
+
+ValidationError.prototype.name = 'ValidationError';
+
+/**
+ * Thrown when TrueVault couldn't be reached or didn't respond. The underlying error, if any, is available as `cause`.
+ */
+export class NetworkError extends TrueVaultError {
+    constructor(message, details) {
+        super(message, details);
+        this.cause = details && details.cause;
+    }
+}
+
+NetworkError.prototype.name = 'NetworkError';
+
+/**
+ * Thrown when a request doesn't complete within the configured timeout. See the `timeout` option of the
+ * `TrueVaultClient` constructor and `withRequestOptions`.
+ */
+export class TimeoutError extends NetworkError {
+    constructor(timeout, details) {
+        super(`Request timed out after ${timeout}ms`, details);
+        this.timeout = timeout;
+    }
+}
+
+TimeoutError.prototype.name = 'TimeoutError';
+
+/**
+ * Thrown when encrypted data read from TrueVault can't be decrypted, because it was modified or moved, or its key isn't
+ * available, or when data that should be encrypted isn't. `keyId` is the id of the key it was encrypted under, if
+ * known. See the `encryption` option of the `TrueVaultClient` constructor.
+ */
+export class DecryptionError extends TrueVaultError {
+    constructor(message, keyId) {
+        super(message);
+        this.keyId = keyId;
+    }
+}
+
+DecryptionError.prototype.name = 'DecryptionError';
+
+/**
+ * Thrown when a BLOB's contents don't match the SHA-256 digest they were expected to have, e. g. the `expectedHash`
+ * passed to `getBlob`. `expectedHash` and `actualHash` are lowercase hex digests.
+ */
+export class IntegrityError extends TrueVaultError {
+    constructor(expectedHash, actualHash) {
+        super(`BLOB contents have SHA-256 ${actualHash}, but ${expectedHash} was expected`);
+        this.expectedHash = expectedHash;
+        this.actualHash = actualHash;
+    }
+}
+
+IntegrityError.prototype.name = 'IntegrityError';
+
+/**
+ * Thrown when a `Search` is built with a mistake, e. g. an empty `in()` list or both `and()` and `or()` conditions,
+ * before anything is sent to TrueVault.
+ */
+export class SearchBuildError extends TrueVaultError {
+}
+
+SearchBuildError.prototype.name = 'SearchBuildError';
+
+const ERROR_CLASSES_BY_STATUS = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: PermissionDeniedError,
+    404: NotFoundError,
+    422: ValidationError,
+    429: RateLimitError
+};
+
+/**
+ * Builds the error to throw for a failed response. `json` is the parsed response body, or null if the body wasn't
+ * JSON.
+ */
+export function makeResponseError(status, json, rawBody, requestInfo) {
+    const ErrorClass = ERROR_CLASSES_BY_STATUS[status] || TrueVaultError;
+    const details = Object.assign({status}, requestInfo);
+
+    if (json && json.error) {
+        details.error = json.error;
+        details.transactionId = json.transaction_id;
+        return new ErrorClass(json.error.message, details);
+    }
+
+    const error = new ErrorClass(`Unexpected response from TrueVault (HTTP ${status})`, details);
+    error.responseBody = rawBody;
+    return error;
+}
+
+export function makeAbortError(signal) {
+    if (signal.reason instanceof Error) {
+        return signal.reason;
+    }
+    const error = new Error('Request aborted');
+    error.name = 'AbortError';
+    return error;
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import {callFs} from './files';
+
+/**
+ * Session storage that keeps sessions in a JSON file, for nodejs scripts and servers. Since the file holds access
+ * tokens, it's only readable by its owner. It needs nodejs' fs module, so it's only part of the nodejs entry point
+ * (`src/node.js`).
+ */
+export class JSONFileStorage {
+    /**
+     * @param {string} path the file to use. It's created when the first session is stored.
+     */
+    constructor(path) {
+        this._path = path;
+        this._pendingUpdate = Promise.resolve();
+    }
+
+    async getItem(key) {
+        const items = await this._readItems();
+        return items.hasOwnProperty(key) ? items[key] : null;
+    }
+
+    setItem(key, value) {
+        return this._updateItems(items => items[key] = String(value));
+    }
+
+    removeItem(key) {
+        return this._updateItems(items => delete items[key]);
+    }
+
+    async _readItems() {
+        let contents;
+        try {
+            contents = await callNodeFs('readFile', this._path, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return {};
+            }
+            throw e;
+        }
+        // A file that isn't a JSON object (e. g. one edited by hand) holds no sessions, and is replaced by the next
+        // update
+        try {
+            const items = JSON.parse(contents);
+            return items && typeof items === 'object' && !Array.isArray(items) ? items : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _updateItems(update) {
+        // Run read-modify-write cycles one at a time so that concurrent updates don't overwrite each other
+        const run = async () => {
+            const items = await this._readItems();
+            update(items);
+            // Write to a temporary file first so that a crash can't leave a truncated file behind
+            const tempPath = `${this._path}.tmp`;
+            try {
+                await callNodeFs('writeFile', tempPath, JSON.stringify(items), {mode: 0o600});
+                await callNodeFs('rename', tempPath, this._path);
+            } catch (e) {
+                // Don't leave a stray copy of the tokens behind
+                await callNodeFs('unlink', tempPath).catch(() => {});
+                throw e;
+            }
+        };
+        this._pendingUpdate = this._pendingUpdate.then(run, run);
+        return this._pendingUpdate;
+    }
+}
+
+// Bundles for browsers (such as the browser tests') get an empty object in place of the fs module
+function callNodeFs(method, ...args) {
+    if (typeof fs[method] !== 'function') {
+        return Promise.reject(new Error('JSONFileStorage is only available in nodejs'));
+    }
+    return callFs(fs, method, ...args);
+}
@@ -0,0 +1,145 @@
+import {hashBlobData} from './hash';
+
+// Helpers for moving BLOBs between TrueVault and the local filesystem in nodejs; see `BlobMethods#downloadBlobToFile`
+// and `BlobMethods#uploadBlobFromFile`. Each takes nodejs' fs module as its first argument rather than importing it,
+// so that bundles for other environments don't need it; see `NodeSupport`.
+
+export function callFs(fs, method, ...args) {
+    return new Promise((resolve, reject) => {
+        fs[method](...args, (err, result) => err ? reject(err) : resolve(result));
+    });
+}
+
+/**
+ * The last component of a path, with either separator.
+ */
+export function baseName(path) {
+    return String(path).split(/[\\/]/).pop();
+}
+
+/**
+ * Where to save a download: `path` itself, or if it's a directory, the file in it named `fileName` (falling back to
+ * `defaultName` when there's no usable name, so that a server-supplied name can't point outside the directory).
+ */
+export async function resolveDownloadPath(fs, path, fileName, defaultName) {
+    let stats;
+    try {
+        stats = await callFs(fs, 'stat', path);
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return path;
+        }
+        throw e;
+    }
+    if (!stats.isDirectory()) {
+        return path;
+    }
+    const name = fileName ? baseName(fileName) : '';
+    const safeName = name && name !== '.' && name !== '..' ? name : defaultName;
+    return `${path.replace(/[\\/]+$/, '')}/${safeName}`;
+}
+
+/**
+ * Writes a response body (a WHATWG stream from native fetch, or a nodejs stream from node-fetch) to `path` a chunk at a
+ * time, passing each chunk to `onChunk` too. Resolves once the file is closed; on failure, the stream is cancelled and
+ * the file is closed but left in place.
+ */
+export function writeBodyToFile(fs, body, path, onChunk) {
+    return new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(path);
+        let error = null;
+        let cancelBody = () => {};
+        const fail = err => {
+            if (!error) {
+                error = err;
+                cancelBody();
+                file.destroy();
+            }
+        };
+        // 'close' follows both a finished write and a destroy, once the file descriptor has been released
+        file.on('close', () => error ? reject(error) : resolve());
+        file.on('error', fail);
+
+        if (!body) {
+            file.end();
+        } else if (typeof body.getReader === 'function') {
+            const reader = body.getReader();
+            cancelBody = () => reader.cancel().catch(() => {});
+            pumpReader(reader, file, onChunk).then(() => file.end(), fail);
+        } else {
+            cancelBody = () => {
+                body.unpipe(file);
+                if (typeof body.destroy === 'function') {
+                    body.destroy();
+                }
+            };
+            body.on('error', fail);
+            body.on('data', onChunk);
+            body.pipe(file);
+        }
+    });
+}
+
+async function pumpReader(reader, file, onChunk) {
+    for (;;) {
+        const {done, value} = await reader.read();
+        if (done || file.destroyed) {
+            return;
+        }
+        onChunk(value);
+        if (!file.write(value)) {
+            await waitForDrain(file);
+        }
+    }
+}
+
+function waitForDrain(file) {
+    return new Promise(resolve => {
+        const done = () => {
+            file.removeListener('drain', done);
+            file.removeListener('close', done);
+            resolve();
+        };
+        file.on('drain', done);
+        file.on('close', done);
+    });
+}
+
+/**
+ * Removes a file left behind by a failed transfer, ignoring errors (it may never have been created).
+ */
+export function removePartialFile(fs, path) {
+    return callFs(fs, 'unlink', path).catch(() => {});
+}
+
+/**
+ * Appends the file at `path` to `formData` without reading it into memory: as a stream for nodejs' form-data, or as a
+ * file-backed Blob for native FormData. Resolves to `release`, a function that releases the file if the upload fails,
+ * and `hashing`, which resolves to the file's hex SHA-256 digest, computed with the hash `createHash` returns.
+ */
+export async function appendFile(fs, formData, name, path, filename, contentType, createHash) {
+    if (typeof formData.getBoundary === 'function') {
+        // form-data pipes the stream itself, but needs its length up front to compute the request's
+        const {size} = await callFs(fs, 'stat', path);
+        const stream = fs.createReadStream(path);
+        formData.append(name, stream, {filename, contentType, knownLength: size});
+        // Only after appending: form-data pauses the stream, so the digest is computed from the chunks as they're sent
+        return {release: () => stream.destroy(), hashing: hashBlobData(stream, createHash)};
+    }
+
+    const options = contentType ? {type: contentType} : {};
+    let blob;
+    let hashing;
+    if (typeof fs.openAsBlob === 'function') {
+        blob = await fs.openAsBlob(path, options);
+        // fetch reads a file-backed Blob itself, so there are no chunks to tap, and the file is read a second time
+        hashing = hashBlobData(fs.createReadStream(path), createHash);
+    } else {
+        // Older nodejs versions lack openAsBlob, so the file has to be read into memory there
+        const contents = await callFs(fs, 'readFile', path);
+        blob = new Blob([contents], options);
+        hashing = hashBlobData(contents, createHash);
+    }
+    formData.append(name, blob, filename);
+    return {release: () => {}, hashing};
+}
@@ -0,0 +1,152 @@
+import base64 from 'base-64';
+import {cacheKeys} from './cacheKeys';
+
+/**
+ * Methods for groups; see `TrueVaultCore.with`.
+ */
+export class GroupMethods {
+    /**
+     * Create a new group. See https://docs.truevault.com/groups#create-a-group.
+     * @param {string} name group name.
+     * @param {Array} policy group policy. See https://docs.truevault.com/groups.
+     * @param {Array} [userIds] user ids to add to the group.
+     * @returns {Promise.<Object>}
+     */
+    async createGroup(name, policy, userIds) {
+        const formData = this._newFormData();
+        formData.append("name", name);
+        formData.append("policy", base64.encode(JSON.stringify(policy)));
+        if (!!userIds) {
+            formData.append("user_ids", userIds.join(','));
+        }
+        const response = await this.performLegacyRequest('v1/groups', {
+            method: 'POST',
+            body: formData
+        });
+        return response.group;
+    }
+
+    /**
+     * Update an existing group's name and policy. See https://docs.truevault.com/groups#update-a-group.
+     * @param {string} groupId group id to update.
+     * @param {string} name group name.
+     * @param {Array} policy group policy. See https://docs.truevault.com/groups.
+     * @returns {Promise.<Object>}
+     */
+    async updateGroup(groupId, name, policy) {
+        const formData = this._newFormData();
+        if (!!name) {
+            formData.append("name", name);
+        }
+
+        if (!!policy) {
+            formData.append("policy", base64.encode(JSON.stringify(policy)));
+        }
+
+        const response = await this.performLegacyRequest(`v1/groups/${groupId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.group(groupId)]);
+        return response.group;
+    }
+
+    /**
+     * Delete a group. See https://docs.truevault.com/groups#delete-a-group.
+     * @param {string} groupId group id to delete.
+     * @returns {Promise.<Object>}
+     */
+    async deleteGroup(groupId) {
+        const response = await this.performLegacyRequest(`v1/groups/${groupId}`, {
+            method: 'DELETE'
+        });
+        await this._invalidateCache([cacheKeys.group(groupId)]);
+        return response.group;
+    }
+
+    /**
+     * List all groups. See https://docs.truevault.com/groups#list-all-groups.
+     * @returns {Promise.<Array>}
+     */
+    async listGroups() {
+        const response = await this.performLegacyRequest(`v1/groups`);
+        return response.groups;
+    }
+
+    /**
+     * Gets a group, including user ids. See https://docs.truevault.com/groups#read-a-group.
+     * @param {string} groupId group id to get.
+     * @returns {Promise.<Object>}
+     */
+    async readFullGroup(groupId) {
+        return this._cached('group', cacheKeys.group(groupId), async () => {
+            const response = await this.performLegacyRequest(`v1/groups/${groupId}?full=true`);
+            return response.group;
+        });
+    }
+
+    /**
+     * Add users to a group. See https://docs.truevault.com/groups#add-users-to-a-group.
+     * @param {string} groupId group to add to.
+     * @param {Array} userIds user ids to add to the group.
+     * @returns {Promise.<undefined>}
+     */
+    async addUsersToGroup(groupId, userIds) {
+        await this.performJSONRequest(`v1/groups/${groupId}/membership`, {
+            method: 'POST',
+            body: JSON.stringify({user_ids: userIds})
+        });
+        await this._invalidateCache([cacheKeys.group(groupId)]);
+    }
+
+    /**
+     * Remove users from a group. See https://docs.truevault.com/groups#remove-users-from-a-group
+     * @param {string} groupId group to add to.
+     * @param {Array} userIds user ids to add to the group.
+     * @returns {Promise.<undefined>}
+     */
+    async removeUsersFromGroup(groupId, userIds) {
+        await this.performJSONRequest(`v1/groups/${groupId}/membership/${userIds.join(',')}`, {
+            method: 'DELETE'
+        });
+        await this._invalidateCache([cacheKeys.group(groupId)]);
+    }
+
+    /**
+     * Add users to a group returning user ids. See https://docs.truevault.com/groups#update-a-group.
+     * @param {string} groupId group to add to.
+     * @param {Array} userIds user ids to add to the group.
+     * @returns {Promise.<Object>}
+     */
+    async addUsersToGroupReturnUserIds(groupId, userIds) {
+        const formData = this._newFormData();
+        formData.append('operation', 'APPEND');
+        formData.append('user_ids', userIds.join(','));
+
+        const response = await this.performLegacyRequest(`v1/groups/${groupId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.group(groupId)]);
+        return response.group;
+    }
+
+    /**
+     * Remove users from a group. See https://docs.truevault.com/groups#update-a-group
+     * @param {string} groupId group to remove from.
+     * @param {Array} userIds user ids to remove from the group.
+     * @returns {Promise.<Object>}
+     */
+    async removeUsersFromGroupReturnUserIds(groupId, userIds) {
+        const formData = this._newFormData();
+        formData.append('operation', 'REMOVE');
+        formData.append('user_ids', userIds.join(','));
+
+        const response = await this.performLegacyRequest(`v1/groups/${groupId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.group(groupId)]);
+        return response.group;
+    }
+}
@@ -0,0 +1,654 @@
+/**
+ * Operations on a single vault, returned by `TrueVaultClient#vault`. Its methods (and those of its `documents`,
+ * `schemas` and `blobs`) call the matching `TrueVaultClient` methods with the vault id filled in.
+ */
+class VaultHandle {
+    constructor(client, vaultId) {
+        this._client = client;
+
+        /**
+         * The vault's id.
+         * @type {string}
+         */
+        this.id = vaultId;
+
+        /**
+         * @type {DocumentsHandle}
+         */
+        this.documents = new DocumentsHandle(client, vaultId);
+
+        /**
+         * @type {SchemasHandle}
+         */
+        this.schemas = new SchemasHandle(client, vaultId);
+
+        /**
+         * @type {BlobsHandle}
+         */
+        this.blobs = new BlobsHandle(client, vaultId);
+    }
+
+    /**
+     * See `TrueVaultClient#readVault`.
+     * @returns {Promise.<Object>}
+     */
+    read() {
+        return this._client.readVault(this.id);
+    }
+
+    /**
+     * See `TrueVaultClient#updateVault`.
+     * @returns {Promise.<Object>}
+     */
+    update(name) {
+        return this._client.updateVault(this.id, name);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteVault`.
+     * @returns {Promise.<Object>}
+     */
+    delete() {
+        return this._client.deleteVault(this.id);
+    }
+}
+
+/**
+ * The documents in a vault. See `VaultHandle`.
+ */
+class DocumentsHandle {
+    constructor(client, vaultId) {
+        this._client = client;
+        this._vaultId = vaultId;
+    }
+
+    /**
+     * See `TrueVaultClient#createDocument`.
+     * @returns {Promise.<Object>}
+     */
+    create(schemaId, document, ownerId) {
+        return this._client.createDocument(this._vaultId, schemaId, document, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#createDocuments`.
+     * @returns {Promise.<Array>}
+     */
+    createMany(documents, options) {
+        return this._client.createDocuments(this._vaultId, documents, options);
+    }
+
+    /**
+     * Reads documents like `TrueVaultClient#getDocuments`. Given a single id rather than an array, resolves to that
+     * document, or null if it doesn't exist.
+     * @param {string|Array} documentIds
+     * @returns {Promise.<Object|Array>}
+     */
+    async get(documentIds) {
+        if (Array.isArray(documentIds)) {
+            return this._client.getDocuments(this._vaultId, documentIds);
+        }
+        const documents = await this._client.getDocuments(this._vaultId, [documentIds]);
+        return documents[0];
+    }
+
+    /**
+     * See `TrueVaultClient#updateDocument`.
+     * @returns {Promise.<Object>}
+     */
+    update(documentId, document, ownerId, schemaId) {
+        return this._client.updateDocument(this._vaultId, documentId, document, ownerId, schemaId);
+    }
+
+    /**
+     * See `TrueVaultClient#updateDocumentOwner`.
+     * @returns {Promise.<Object>}
+     */
+    updateOwner(documentId, ownerId) {
+        return this._client.updateDocumentOwner(this._vaultId, documentId, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteDocument`.
+     * @returns {Promise.<Object>}
+     */
+    delete(documentId) {
+        return this._client.deleteDocument(this._vaultId, documentId);
+    }
+
+    /**
+     * See `TrueVaultClient#listDocuments`.
+     * @returns {Promise.<Object>}
+     */
+    list(full, page, perPage) {
+        return this._client.listDocuments(this._vaultId, full, page, perPage);
+    }
+
+    /**
+     * See `TrueVaultClient#listDocumentsInSchema`.
+     * @returns {Promise.<Object>}
+     */
+    listInSchema(schemaId, full, page, perPage) {
+        return this._client.listDocumentsInSchema(this._vaultId, schemaId, full, page, perPage);
+    }
+
+    /**
+     * See `TrueVaultClient#iterateDocuments`.
+     * @returns {PageIterator}
+     */
+    iterate(options) {
+        return this._client.iterateDocuments(this._vaultId, options);
+    }
+
+    /**
+     * See `TrueVaultClient#searchDocuments`.
+     * @returns {Promise.<Object>}
+     */
+    search(searchOption) {
+        return this._client.searchDocuments(this._vaultId, searchOption);
+    }
+
+    /**
+     * See `TrueVaultClient#iterateSearchDocuments`.
+     * @returns {PageIterator}
+     */
+    iterateSearch(searchOption) {
+        return this._client.iterateSearchDocuments(this._vaultId, searchOption);
+    }
+}
+
+/**
+ * The schemas in a vault. See `VaultHandle`.
+ */
+class SchemasHandle {
+    constructor(client, vaultId) {
+        this._client = client;
+        this._vaultId = vaultId;
+    }
+
+    /**
+     * See `TrueVaultClient#createSchema`.
+     * @returns {Promise.<Object>}
+     */
+    create(name, fields) {
+        return this._client.createSchema(this._vaultId, name, fields);
+    }
+
+    /**
+     * See `TrueVaultClient#readSchema`.
+     * @returns {Promise.<Object>}
+     */
+    read(schemaId) {
+        return this._client.readSchema(this._vaultId, schemaId);
+    }
+
+    /**
+     * See `TrueVaultClient#updateSchema`.
+     * @returns {Promise.<Object>}
+     */
+    update(schemaId, name, fields) {
+        return this._client.updateSchema(this._vaultId, schemaId, name, fields);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteSchema`.
+     * @returns {Promise.<undefined>}
+     */
+    delete(schemaId) {
+        return this._client.deleteSchema(this._vaultId, schemaId);
+    }
+
+    /**
+     * See `TrueVaultClient#listSchemas`.
+     * @returns {Promise.<Array>}
+     */
+    list() {
+        return this._client.listSchemas(this._vaultId);
+    }
+}
+
+/**
+ * The BLOBs in a vault. See `VaultHandle`.
+ */
+class BlobsHandle {
+    constructor(client, vaultId) {
+        this._client = client;
+        this._vaultId = vaultId;
+    }
+
+    /**
+     * See `TrueVaultClient#createBlob`.
+     * @returns {Promise.<Object>}
+     */
+    create(file, ownerId) {
+        return this._client.createBlob(this._vaultId, file, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#createBlobWithProgress`.
+     * @returns {Promise.<Object>}
+     */
+    createWithProgress(file, progressCallback, ownerId) {
+        return this._client.createBlobWithProgress(this._vaultId, file, progressCallback, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#getBlob`.
+     * @returns {Promise.<Object>}
+     */
+    get(blobId, options) {
+        return this._client.getBlob(this._vaultId, blobId, options);
+    }
+
+    /**
+     * See `TrueVaultClient#getBlobWithProgress`.
+     * @returns {Promise.<Object>}
+     */
+    getWithProgress(blobId, progressCallback, options) {
+        return this._client.getBlobWithProgress(this._vaultId, blobId, progressCallback, options);
+    }
+
+    /**
+     * See `TrueVaultClient#downloadBlobToFile`.
+     * @returns {Promise.<Object>}
+     */
+    downloadToFile(blobId, path, options) {
+        return this._client.downloadBlobToFile(this._vaultId, blobId, path, options);
+    }
+
+    /**
+     * See `TrueVaultClient#uploadBlobFromFile`.
+     * @returns {Promise.<Object>}
+     */
+    uploadFromFile(path, options) {
+        return this._client.uploadBlobFromFile(this._vaultId, path, options);
+    }
+
+    /**
+     * See `TrueVaultClient#createChunkedUpload`.
+     * @returns {ChunkedUpload}
+     */
+    createChunkedUpload(source, options) {
+        return this._client.createChunkedUpload(this._vaultId, source, options);
+    }
+
+    /**
+     * See `TrueVaultClient#getChunkedBlob`.
+     * @returns {Promise.<Object>}
+     */
+    getChunked(blobId) {
+        return this._client.getChunkedBlob(this._vaultId, blobId);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteChunkedBlob`.
+     * @returns {Promise.<Object>}
+     */
+    deleteChunked(blobId) {
+        return this._client.deleteChunkedBlob(this._vaultId, blobId);
+    }
+
+    /**
+     * See `TrueVaultClient#updateBlob`.
+     * @returns {Promise.<Object>}
+     */
+    update(blobId, file, ownerId) {
+        return this._client.updateBlob(this._vaultId, blobId, file, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#updateBlobWithProgress`.
+     * @returns {Promise.<Object>}
+     */
+    updateWithProgress(blobId, file, progressCallback, ownerId) {
+        return this._client.updateBlobWithProgress(this._vaultId, blobId, file, progressCallback, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#updateBlobOwner`.
+     * @returns {Promise.<Object>}
+     */
+    updateOwner(blobId, ownerId) {
+        return this._client.updateBlobOwner(this._vaultId, blobId, ownerId);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteBlob`.
+     * @returns {Promise.<Object>}
+     */
+    delete(blobId) {
+        return this._client.deleteBlob(this._vaultId, blobId);
+    }
+
+    /**
+     * See `TrueVaultClient#listBlobs`.
+     * @returns {Promise.<Object>}
+     */
+    list(page, perPage) {
+        return this._client.listBlobs(this._vaultId, page, perPage);
+    }
+
+    /**
+     * See `TrueVaultClient#iterateBlobs`.
+     * @returns {PageIterator}
+     */
+    iterate(options) {
+        return this._client.iterateBlobs(this._vaultId, options);
+    }
+}
+
+/**
+ * The account's users, returned by `TrueVaultClient#users`.
+ */
+class UsersHandle {
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * See `TrueVaultClient#createUser`.
+     * @returns {Promise.<Object>}
+     */
+    create(username, password, attributes, groupIds, status) {
+        return this._client.createUser(username, password, attributes, groupIds, status);
+    }
+
+    /**
+     * See `TrueVaultClient#readUser`.
+     * @returns {Promise.<Object>}
+     */
+    read(userId) {
+        return this._client.readUser(userId);
+    }
+
+    /**
+     * See `TrueVaultClient#readUsers`.
+     * @returns {Promise.<Array>}
+     */
+    readMany(userIds) {
+        return this._client.readUsers(userIds);
+    }
+
+    /**
+     * See `TrueVaultClient#readCurrentUser`.
+     * @returns {Promise.<Object>}
+     */
+    readCurrent(full) {
+        return this._client.readCurrentUser(full);
+    }
+
+    /**
+     * See `TrueVaultClient#updateCurrentUser`.
+     * @returns {Promise.<Object>}
+     */
+    updateCurrent(attributes) {
+        return this._client.updateCurrentUser(attributes);
+    }
+
+    /**
+     * See `TrueVaultClient#listUsers` and `TrueVaultClient#listUsersWithStatus`.
+     * @param {boolean} [full]
+     * @param {string} [status]
+     * @returns {Promise.<Array>}
+     */
+    list(full, status) {
+        return status ? this._client.listUsersWithStatus(status, full) : this._client.listUsers(full);
+    }
+
+    /**
+     * See `TrueVaultClient#iterateUsers`.
+     * @returns {PageIterator}
+     */
+    iterate(options) {
+        return this._client.iterateUsers(options);
+    }
+
+    /**
+     * See `TrueVaultClient#searchUsers`.
+     * @returns {Promise.<Object>}
+     */
+    search(searchOption) {
+        return this._client.searchUsers(searchOption);
+    }
+
+    /**
+     * See `TrueVaultClient#iterateSearchUsers`.
+     * @returns {PageIterator}
+     */
+    iterateSearch(searchOption) {
+        return this._client.iterateSearchUsers(searchOption);
+    }
+
+    /**
+     * See `TrueVaultClient#updateUserAttributes`.
+     * @returns {Promise.<Object>}
+     */
+    updateAttributes(userId, attributes) {
+        return this._client.updateUserAttributes(userId, attributes);
+    }
+
+    /**
+     * See `TrueVaultClient#updateUserStatus`.
+     * @returns {Promise.<Object>}
+     */
+    updateStatus(userId, status) {
+        return this._client.updateUserStatus(userId, status);
+    }
+
+    /**
+     * See `TrueVaultClient#updateUserUsername`.
+     * @returns {Promise.<Object>}
+     */
+    updateUsername(userId, newUsername) {
+        return this._client.updateUserUsername(userId, newUsername);
+    }
+
+    /**
+     * See `TrueVaultClient#updateUserPassword`.
+     * @returns {Promise.<Object>}
+     */
+    updatePassword(userId, newPassword) {
+        return this._client.updateUserPassword(userId, newPassword);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteUser`.
+     * @returns {Promise.<Object>}
+     */
+    delete(userId) {
+        return this._client.deleteUser(userId);
+    }
+
+    /**
+     * See `TrueVaultClient#createUserApiKey`.
+     * @returns {Promise.<string>}
+     */
+    createApiKey(userId) {
+        return this._client.createUserApiKey(userId);
+    }
+
+    /**
+     * See `TrueVaultClient#createUserAccessToken`.
+     * @returns {Promise.<string>}
+     */
+    createAccessToken(userId, notValidAfter) {
+        return this._client.createUserAccessToken(userId, notValidAfter);
+    }
+
+    /**
+     * See `TrueVaultClient#startUserMfaEnrollment`.
+     * @returns {Promise.<Object>}
+     */
+    startMfaEnrollment(userId, issuer) {
+        return this._client.startUserMfaEnrollment(userId, issuer);
+    }
+
+    /**
+     * See `TrueVaultClient#finalizeMfaEnrollment`.
+     * @returns {Promise.<undefined>}
+     */
+    finalizeMfaEnrollment(userId, mfaCode1, mfaCode2) {
+        return this._client.finalizeMfaEnrollment(userId, mfaCode1, mfaCode2);
+    }
+
+    /**
+     * See `TrueVaultClient#unenrollMfa`.
+     * @returns {Promise.<undefined>}
+     */
+    unenrollMfa(userId, mfaCode, password) {
+        return this._client.unenrollMfa(userId, mfaCode, password);
+    }
+}
+
+/**
+ * The account's groups, returned by `TrueVaultClient#groups`.
+ */
+class GroupsHandle {
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * See `TrueVaultClient#createGroup`.
+     * @returns {Promise.<Object>}
+     */
+    create(name, policy, userIds) {
+        return this._client.createGroup(name, policy, userIds);
+    }
+
+    /**
+     * See `TrueVaultClient#readFullGroup`.
+     * @returns {Promise.<Object>}
+     */
+    read(groupId) {
+        return this._client.readFullGroup(groupId);
+    }
+
+    /**
+     * See `TrueVaultClient#updateGroup`.
+     * @returns {Promise.<Object>}
+     */
+    update(groupId, name, policy) {
+        return this._client.updateGroup(groupId, name, policy);
+    }
+
+    /**
+     * See `TrueVaultClient#deleteGroup`.
+     * @returns {Promise.<Object>}
+     */
+    delete(groupId) {
+        return this._client.deleteGroup(groupId);
+    }
+
+    /**
+     * See `TrueVaultClient#listGroups`.
+     * @returns {Promise.<Array>}
+     */
+    list() {
+        return this._client.listGroups();
+    }
+
+    /**
+     * See `TrueVaultClient#addUsersToGroup`.
+     * @returns {Promise.<undefined>}
+     */
+    addUsers(groupId, userIds) {
+        return this._client.addUsersToGroup(groupId, userIds);
+    }
+
+    /**
+     * See `TrueVaultClient#removeUsersFromGroup`.
+     * @returns {Promise.<undefined>}
+     */
+    removeUsers(groupId, userIds) {
+        return this._client.removeUsersFromGroup(groupId, userIds);
+    }
+}
+
+/**
+ * The account's scoped access tokens, returned by `TrueVaultClient#scopedAccessTokens`.
+ */
+class ScopedAccessTokensHandle {
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * See `TrueVaultClient#createScopedAccessToken`.
+     * @returns {Promise.<Object>}
+     */
+    create(name, policy, notValidAfter, allowedUses) {
+        return this._client.createScopedAccessToken(name, policy, notValidAfter, allowedUses);
+    }
+
+    /**
+     * See `TrueVaultClient#getScopedAccessToken`.
+     * @returns {Promise.<Object>}
+     */
+    get(tokenId) {
+        return this._client.getScopedAccessToken(tokenId);
+    }
+
+    /**
+     * See `TrueVaultClient#listScopedAccessTokens`.
+     * @returns {Promise.<Array>}
+     */
+    list() {
+        return this._client.listScopedAccessTokens();
+    }
+
+    /**
+     * See `TrueVaultClient#deleteScopedAccessToken`.
+     * @returns {Promise.<undefined>}
+     */
+    delete(tokenId) {
+        return this._client.deleteScopedAccessToken(tokenId);
+    }
+}
+
+/**
+ * Adds `vault()`, `users`, `groups` and `scopedAccessTokens` to a client class; see `TrueVaultCore.with`. The handles
+ * call methods from `VaultMethods`, `BlobMethods`, `UserMethods`, `GroupMethods` and `ScopedAccessTokenMethods`, so the
+ * class needs those as well.
+ */
+export class HandleMethods {
+    /**
+     * Returns a handle for working with a vault and its documents, schemas and BLOBs without repeating its id:
+     *
+     * ```js
+     * const patients = client.vault(vaultId).documents;
+     * const created = await patients.create(schemaId, {name: 'Jane'});
+     * const patient = await patients.get(created.id);
+     * ```
+     *
+     * @param {string} vaultId
+     * @returns {VaultHandle}
+     */
+    vault(vaultId) {
+        return new VaultHandle(this, vaultId);
+    }
+
+    /**
+     * The account's users, e. g. `client.users.read(userId)`.
+     * @returns {UsersHandle}
+     */
+    get users() {
+        return new UsersHandle(this);
+    }
+
+    /**
+     * The account's groups, e. g. `client.groups.list()`.
+     * @returns {GroupsHandle}
+     */
+    get groups() {
+        return new GroupsHandle(this);
+    }
+
+    /**
+     * The account's scoped access tokens, e. g. `client.scopedAccessTokens.create(name, policy)`.
+     * @returns {ScopedAccessTokensHandle}
+     */
+    get scopedAccessTokens() {
+        return new ScopedAccessTokensHandle(this);
+    }
+}
@@ -0,0 +1,180 @@
+import {IntegrityError} from './errors';
+import {encodeText} from './progress';
+
+// SHA-256 round constants: the first 32 bits of the fractional parts of the cube roots of the first 64 primes
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function rotateRight(x, n) {
+    return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * Incremental SHA-256 in plain JavaScript, so that it works everywhere without pulling in nodejs' crypto module.
+ * WebCrypto can only hash a whole message at once, which would mean holding large BLOBs in memory. In nodejs,
+ * `NodeSupport` swaps in the crypto module's much faster implementation.
+ */
+class Sha256 {
+    constructor() {
+        this._state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this._words = new Uint32Array(64);
+        this._block = new Uint8Array(64);
+        this._blockLength = 0;
+        this._length = 0;
+    }
+
+    update(bytes) {
+        let offset = 0;
+        this._length += bytes.length;
+        if (this._blockLength > 0) {
+            offset = Math.min(64 - this._blockLength, bytes.length);
+            this._block.set(bytes.subarray(0, offset), this._blockLength);
+            this._blockLength += offset;
+            if (this._blockLength < 64) {
+                return this;
+            }
+            this._compress(this._block, 0);
+            this._blockLength = 0;
+        }
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this._compress(bytes, offset);
+        }
+        if (offset < bytes.length) {
+            this._block.set(bytes.subarray(offset));
+            this._blockLength = bytes.length - offset;
+        }
+        return this;
+    }
+
+    digest() {
+        // Pad with a 1 bit, then zeros up to 8 bytes short of a block boundary, then the message length in bits
+        const padding = new Uint8Array(this._blockLength < 56 ? 64 - this._blockLength : 128 - this._blockLength);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(this._length / 0x20000000));
+        view.setUint32(padding.length - 4, (this._length * 8) >>> 0);
+        this.update(padding);
+
+        let hex = '';
+        for (let i = 0; i < 8; i++) {
+            hex += `0000000${this._state[i].toString(16)}`.slice(-8);
+        }
+        return hex;
+    }
+
+    _compress(bytes, offset) {
+        const w = this._words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotateRight(w[i - 15], 7) ^ rotateRight(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotateRight(w[i - 2], 17) ^ rotateRight(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        const state = this._state;
+        let a = state[0], b = state[1], c = state[2], d = state[3];
+        let e = state[4], f = state[5], g = state[6], h = state[7];
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+            const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        // Uint32Array stores the sums modulo 2^32
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+}
+
+/**
+ * Returns an incremental SHA-256 hash: call `update(bytes)` with each chunk, then `digest()` for the hex digest.
+ */
+export function createSha256() {
+    return new Sha256();
+}
+
+/**
+ * The hex SHA-256 digest of a Uint8Array. `createHash` returns the hash to use, and defaults to `createSha256`.
+ */
+export function hashBytes(bytes, createHash) {
+    return (createHash || createSha256)().update(bytes).digest();
+}
+
+/**
+ * Hashes anything `createBlob` accepts, a chunk at a time: strings, byte arrays, Blobs (read as a stream where
+ * supported) and nodejs streams. A nodejs stream is hashed as it's read by whoever consumes it, so this resolves once
+ * the stream ends. Resolves to undefined for contents that can't be hashed, or if the stream fails. `createHash` is as
+ * for `hashBytes`.
+ * @returns {Promise.<string|undefined>} the hex digest.
+ */
+export async function hashBlobData(data, createHash) {
+    createHash = createHash || createSha256;
+    if (typeof data === 'string') {
+        return hashBytes(encodeText(data), createHash);
+    }
+    if (data instanceof ArrayBuffer) {
+        return hashBytes(new Uint8Array(data), createHash);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return hashBytes(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), createHash);
+    }
+    if (data && typeof data.pipe === 'function' && typeof data.on === 'function') {
+        const hash = createHash();
+        return new Promise(resolve => {
+            data.on('data', chunk => hash.update(chunk));
+            data.on('end', () => resolve(hash.digest()));
+            data.on('error', () => resolve(undefined));
+        });
+    }
+    if (data && typeof data.stream === 'function') {
+        const hash = createHash();
+        const reader = data.stream().getReader();
+        for (;;) {
+            const {done, value} = await reader.read();
+            if (done) {
+                return hash.digest();
+            }
+            hash.update(value);
+        }
+    }
+    if (data && typeof data.arrayBuffer === 'function') {
+        return hashBytes(new Uint8Array(await data.arrayBuffer()), createHash);
+    }
+    return undefined;
+}
+
+/**
+ * Throws an `IntegrityError` unless `actualHash` is `expectedHash`, which may be in either case.
+ */
+export function checkHash(expectedHash, actualHash) {
+    if (String(expectedHash).toLowerCase() !== actualHash) {
+        throw new IntegrityError(String(expectedHash).toLowerCase(), actualHash);
+    }
+}
@@ -0,0 +1,23 @@
+// Entry point for bundlers that understand ES modules (see the `module` field in package.json). Importing named
+// exports from here rather than the default TrueVaultClient lets them leave out the parts of the SDK you don't use.
+export {default} from './client';
+export {TrueVaultCore} from './core';
+export {UserMethods} from './users';
+export {GroupMethods} from './groups';
+export {VaultMethods} from './vaults';
+export {BlobMethods} from './blobs';
+export {MessagingMethods} from './messaging';
+export {PasswordResetMethods} from './passwordReset';
+export {ScopedAccessTokenMethods} from './scopedAccessTokens';
+export {LoaderMethods, BatchLoader} from './loaders';
+export {HandleMethods} from './handles';
+export {
+    TrueVaultError, AuthenticationError, PermissionDeniedError, NotFoundError, RateLimitError, ValidationError,
+    NetworkError, TimeoutError, DecryptionError, IntegrityError, SearchBuildError
+} from './errors';
+export {PageIterator} from './pagination';
+export {ChunkedUpload} from './chunkedUpload';
+export {Search} from './search';
+export {CacheSupport, MemoryCacheStore} from './cache';
+export {EncryptionSupport, LocalKeyProvider} from './encryption';
+export {MemoryStorage, WebStorage} from './storage';
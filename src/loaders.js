@@ -0,0 +1,163 @@
+/**
+ * Batches and caches reads of individual items by id, in the style of DataLoader. Every `load` made before the running
+ * code yields (i. e. in the same frame of execution) is collected into one call to the batch function, and each id's
+ * result is remembered until `clear` is called. Obtain instances from `TrueVaultClient#loaders` or `TrueVaultClient#createLoaders`.
+ */
+export class BatchLoader {
+    /**
+     * @param {function} batchFn called with an array of ids; resolves to an array of results in the same order.
+     * @param {Object} [options]
+     * @param {boolean} [options.cache] remember results after their batch completes (default true). When false, loads
+     * of an id are only shared while its batch is in flight.
+     */
+    constructor(batchFn, options) {
+        this._batchFn = batchFn;
+        this._cacheResults = !options || options.cache !== false;
+        this._cache = Object.create(null);
+        this._queue = [];
+    }
+
+    /**
+     * Resolves to the item with the given id, or null if it doesn't exist.
+     * @param {string} id
+     * @returns {Promise.<Object>}
+     */
+    load(id) {
+        if (!(id in this._cache)) {
+            const entry = {id};
+            entry.promise = new Promise((resolve, reject) => {
+                entry.resolve = resolve;
+                entry.reject = reject;
+            });
+            this._cache[id] = entry.promise;
+            this._queue.push(entry);
+            if (this._queue.length === 1) {
+                // A microtask runs as soon as the current code yields, so the batch doesn't wait for timers or I/O
+                Promise.resolve().then(() => this._dispatch());
+            }
+        }
+        return this._cache[id];
+    }
+
+    /**
+     * Resolves to the items with the given ids, in the same order.
+     * @param {Array} ids
+     * @returns {Promise.<Array>}
+     */
+    loadMany(ids) {
+        return Promise.all(ids.map(id => this.load(id)));
+    }
+
+    /**
+     * Forgets the result for `id`, so that the next `load` fetches it again.
+     * @param {string} id
+     * @returns {BatchLoader}
+     */
+    clear(id) {
+        delete this._cache[id];
+        return this;
+    }
+
+    /**
+     * Forgets all results.
+     * @returns {BatchLoader}
+     */
+    clearAll() {
+        this._cache = Object.create(null);
+        return this;
+    }
+
+    async _dispatch() {
+        const queue = this._queue;
+        this._queue = [];
+        try {
+            const results = await this._batchFn(queue.map(entry => entry.id));
+            queue.forEach((entry, index) => {
+                if (!this._cacheResults) {
+                    this._forget(entry);
+                }
+                entry.resolve(results[index]);
+            });
+        } catch (e) {
+            // Don't remember failures, so that loading the ids again retries them
+            queue.forEach(entry => {
+                this._forget(entry);
+                entry.reject(e);
+            });
+        }
+    }
+
+    _forget(entry) {
+        // An id that was cleared and loaded again while this entry's batch ran belongs to a newer batch, so leave it be
+        if (this._cache[entry.id] === entry.promise) {
+            this.clear(entry.id);
+        }
+    }
+}
+
+/**
+ * The set of loaders returned by `TrueVaultClient#createLoaders`.
+ */
+export class Loaders {
+    constructor(client, options) {
+        this._client = client;
+        this._options = options;
+        this._documentLoaders = Object.create(null);
+
+        /**
+         * Loads users via `readUsers`.
+         * @type {BatchLoader}
+         */
+        this.user = new BatchLoader(userIds => client.readUsers(userIds), options);
+    }
+
+    /**
+     * Returns the loader for documents in a vault, which loads them via `getDocuments`.
+     * @param {string} vaultId
+     * @returns {BatchLoader}
+     */
+    document(vaultId) {
+        if (!this._documentLoaders[vaultId]) {
+            const batchFn = documentIds => this._client.getDocuments(vaultId, documentIds);
+            this._documentLoaders[vaultId] = new BatchLoader(batchFn, this._options);
+        }
+        return this._documentLoaders[vaultId];
+    }
+}
+
+/**
+ * Adds `loaders` and `createLoaders()` to a client class; see `TrueVaultCore.with`. The loaders call `readUsers` and
+ * `getDocuments`, so the class needs `UserMethods` and `VaultMethods` as well.
+ */
+export class LoaderMethods {
+    /**
+     * Loaders that batch reads of individual documents and users into as few requests as possible. Useful for
+     * resolving GraphQL fields, which would otherwise request the same kind of item one at a time:
+     *
+     * ```js
+     * const patient = await client.loaders.document(vaultId).load(patientId);
+     * const user = await client.loaders.user.load(userId);
+     * ```
+     *
+     * These loaders only batch: a result is shared by the loads made while its batch is in flight, and forgotten once
+     * the batch completes, so later loads see later writes. To also remember results for the duration of a single
+     * incoming request, call `createLoaders()` once per request.
+     * @returns {Loaders}
+     */
+    get loaders() {
+        if (!this._loaders) {
+            this._loaders = this.createLoaders({cache: false});
+        }
+        return this._loaders;
+    }
+
+    /**
+     * Creates a new, empty set of loaders, which remember every result until it's cleared. See `loaders`.
+     * @param {Object} [options]
+     * @param {boolean} [options.cache] false to only batch loads, like `loaders` (default true).
+     * @returns {Loaders}
+     */
+    createLoaders(options) {
+        return new Loaders(this, options);
+    }
+}
@@ -0,0 +1,84 @@
+import {namedArgs} from './util';
+
+/**
+ * Methods for emailing and texting users; see `TrueVaultCore.with`.
+ */
+export class MessagingMethods {
+    /**
+     * Send an email to a user via Sendgrid. See https://docs.truevault.com/email#email-a-user.
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `sendEmailSendgrid({sendgridApiKey, userId, sendgridTemplateId, fromEmailSpecifier, toEmailSpecifier})`.
+     * @param {string} sendgridApiKey Sendgrid API key.
+     * @param {string} userId the user to send to.
+     * @param {string} sendgridTemplateId the Sendgrid template to use.
+     * @param {string} fromEmailSpecifier the specifier for the "From" address. See https://docs.truevault.com/email#value-specifiers.
+     * @param {string} toEmailSpecifier the specifier for the "To" address. See https://docs.truevault.com/email#value-specifiers.
+     * @param {Object} substitutions substitutions to use in the template. See https://docs.truevault.com/email#template-substitution.
+     * @returns {Promise.<String>}
+     */
+    async sendEmailSendgrid(sendgridApiKey, userId, sendgridTemplateId, fromEmailSpecifier,
+                            toEmailSpecifier, substitutions) {
+        const named = namedArgs('sendEmailSendgrid', [
+            sendgridApiKey, userId, sendgridTemplateId, fromEmailSpecifier, toEmailSpecifier, substitutions
+        ]);
+        if (named) {
+            ({sendgridApiKey, userId, sendgridTemplateId, fromEmailSpecifier, toEmailSpecifier, substitutions} = named);
+        }
+        const response = await this.performJSONRequest(`v1/users/${userId}/message/email`, {
+            method: 'POST',
+            body: JSON.stringify({
+                provider: 'SENDGRID',
+                auth: {sendgrid_api_key: sendgridApiKey},
+                template_id: sendgridTemplateId,
+                from_email_address: fromEmailSpecifier,
+                to_email_address: toEmailSpecifier,
+                substitutions
+            })
+        });
+        return response.provider_message_id;
+    }
+
+    /**
+     * Send an SMS message to a user via Twilio.
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `sendSMSTwilio({twilioAccountSid, twilioKeySid, twilioKeySecret, userId, messageBody, ...})`.
+     * @param {string} twilioAccountSid Twilio Account Sid. See https://www.twilio.com/console
+     * @param {string} twilioKeySid Twilio Key Sid. See https://www.twilio.com/docs/api/rest/keys
+     * @param {string} twilioKeySecret Twilio Key Secret. See https://www.twilio.com/docs/api/rest/keys
+     * @param {string} userId the user to send to.
+     * @param {string} fromNumberSpecifier the specifier for the "From" phone number. See https://docs.truevault.com/email#value-specifiers.
+     * @param {string} toNumberSpecifier the specifier for the "To" phone number. See https://docs.truevault.com/email#value-specifiers.
+     * @param {Object} messageBody The text to send in the body of the message
+     * @param {Array} mediaURLs Optional array of value specifiers producing URLs of images to include in the message. See https://docs.truevault.com/email#value-specifiers.
+     * @returns {Promise.<String>}
+     */
+    async sendSMSTwilio(twilioAccountSid, twilioKeySid, twilioKeySecret, userId, fromNumberSpecifier, toNumberSpecifier, messageBody, mediaURLs) {
+        const named = namedArgs('sendSMSTwilio', [
+            twilioAccountSid, twilioKeySid, twilioKeySecret, userId, fromNumberSpecifier, toNumberSpecifier,
+            messageBody, mediaURLs
+        ]);
+        if (named) {
+            ({
+                twilioAccountSid, twilioKeySid, twilioKeySecret, userId,
+                fromNumberSpecifier, toNumberSpecifier, messageBody, mediaURLs
+            } = named);
+        }
+        const response = await this.performJSONRequest(`v1/users/${userId}/message/sms`, {
+            method: 'POST',
+            body: JSON.stringify({
+                provider: 'TWILIO',
+                auth: {
+                    account_sid: twilioAccountSid,
+                    username: twilioKeySid,
+                    password: twilioKeySecret
+                },
+                from_number: fromNumberSpecifier,
+                to_number: toNumberSpecifier,
+                message_body: messageBody,
+                media_urls: mediaURLs || []
+            })
+        });
+
+        return response.provider_message_id;
+    }
+}
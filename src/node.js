@@ -0,0 +1,101 @@
+// Entry point for nodejs. It adds the parts of the SDK that need nodejs modules such as fs to everything in ./index,
+// which has to stay free of them for bundles built for other environments.
+import fs from 'fs';
+import nodeCrypto from 'crypto';
+import nodeFetch from 'node-fetch';
+import nodeFormData from 'form-data';
+import {TrueVaultCore} from './core';
+import TrueVaultClient from './client';
+import {LocalKeyProvider, nodeCryptoBackend} from './encryption';
+import {createSha256} from './hash';
+import {JSONFileStorage} from './fileStorage';
+
+// Listed rather than `export *`, which Babel can't combine with exporting this module's own LocalKeyProvider
+export {
+    TrueVaultCore, UserMethods, GroupMethods, VaultMethods, BlobMethods, MessagingMethods, PasswordResetMethods,
+    ScopedAccessTokenMethods, LoaderMethods, BatchLoader, HandleMethods, TrueVaultError, AuthenticationError,
+    PermissionDeniedError, NotFoundError, RateLimitError, ValidationError, NetworkError, TimeoutError, DecryptionError,
+    IntegrityError, SearchBuildError, PageIterator, ChunkedUpload, Search, CacheSupport, MemoryCacheStore,
+    EncryptionSupport, MemoryStorage, WebStorage
+} from './index';
+export {JSONFileStorage};
+
+/**
+ * Supplies what a client class needs from nodejs: node-fetch and form-data where there's no global fetch or FormData,
+ * the fs module for the BLOB file methods, and the crypto module for BLOB digests and encryption. List it last in
+ * `TrueVaultCore.with`, since it replaces defaults that other mixins define:
+ *
+ * ```js
+ * const Client = TrueVaultCore.with(UserMethods, BlobMethods, NodeSupport);
+ * ```
+ *
+ * The default export of the nodejs build already includes it.
+ */
+export class NodeSupport {
+    _defaultTransport() {
+        const transport = TrueVaultCore.prototype._defaultTransport.call(this);
+        return Object.assign(transport, {
+            fetch: transport.fetch || nodeFetch,
+            FormData: transport.FormData || nodeFormData
+        });
+    }
+
+    _createSha256() {
+        // See nodeBackend
+        if (typeof nodeCrypto.createHash !== 'function') {
+            return createSha256();
+        }
+        const hash = nodeCrypto.createHash('sha256');
+        return {
+            update(bytes) {
+                hash.update(bytes);
+                return this;
+            },
+            digest: () => hash.digest('hex')
+        };
+    }
+
+    _fileSystem() {
+        return fs;
+    }
+
+    _cryptoBackend() {
+        return nodeBackend();
+    }
+}
+
+// Bundles of this entry point for browsers (such as the browser tests') get an empty object in place of the crypto
+// module, so they use WebCrypto and the portable SHA-256 instead
+function nodeBackend() {
+    return typeof nodeCrypto.createCipheriv === 'function' ? nodeCryptoBackend(nodeCrypto) : null;
+}
+
+/**
+ * `LocalKeyProvider` as exported for nodejs, which uses nodejs' crypto module.
+ */
+class NodeLocalKeyProvider extends LocalKeyProvider {
+    constructor(options) {
+        super(options);
+        this._backend = nodeBackend();
+    }
+}
+
+/**
+ * `TrueVaultClient` as exported for nodejs, which includes `NodeSupport` and also carries `JSONFileStorage`.
+ */
+class NodeTrueVaultClient extends TrueVaultClient.with(NodeSupport) {
+    static get LocalKeyProvider() {
+        return NodeLocalKeyProvider;
+    }
+
+    static get JSONFileStorage() {
+        return JSONFileStorage;
+    }
+
+    static get NodeSupport() {
+        return NodeSupport;
+    }
+}
+
+export {NodeLocalKeyProvider as LocalKeyProvider};
+export default NodeTrueVaultClient;
@@ -0,0 +1,102 @@
+/**
+ * An async iterator over the items of a paginated TrueVault listing, as returned by methods like
+ * `iterateDocuments`. Pages are requested lazily, one at a time, as items are consumed:
+ *
+ * ```js
+ * for await (const item of client.iterateDocuments(vaultId, {full: true})) {
+ *   ...
+ * }
+ * ```
+ *
+ * Without `for await`, call `next()` repeatedly; it resolves to `{done, value}` like any async iterator.
+ *
+ * For listings that report paging information, such as searches, the most recently received information is available
+ * as `info` (e. g. `info.total_result_count`), and is null until the first page has been fetched.
+ *
+ * Iteration ends at the first empty page, or at a page identical to the one before it, which is what an endpoint that
+ * ignores the page number returns.
+ */
+export class PageIterator {
+    /**
+     * @param {function} fetchPage called with a 1-based page number; resolves to `{items, hasMore, info}`.
+     * @param {number} [firstPage=1] the first page to fetch.
+     */
+    constructor(fetchPage, firstPage) {
+        this.info = null;
+        this._fetchPage = fetchPage;
+        this._page = (firstPage || 1) - 1;
+        this._buffer = [];
+        this._previousItems = null;
+        this._done = false;
+        this._pending = Promise.resolve();
+    }
+
+    /**
+     * Resolves to the next item, fetching the next page if needed.
+     * @returns {Promise.<{done: boolean, value: *}>}
+     */
+    next() {
+        // Chain calls so that concurrent callers don't fetch the same page twice
+        const result = this._pending.then(() => this._next());
+        this._pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Collects the remaining items into an array.
+     * @param {Object} [options]
+     * @param {number} [options.limit] stop after collecting this many items.
+     * @returns {Promise.<Array>}
+     */
+    async toArray(options) {
+        const limit = options && typeof options.limit === 'number' ? options.limit : Infinity;
+        const items = [];
+        while (items.length < limit) {
+            const item = await this.next();
+            if (item.done) {
+                break;
+            }
+            items.push(item.value);
+        }
+        return items;
+    }
+
+    async _next() {
+        while (this._buffer.length === 0) {
+            if (this._done) {
+                return {done: true, value: undefined};
+            }
+            this._page++;
+            const page = await this._fetchPage(this._page);
+            if (page.info) {
+                this.info = page.info;
+            }
+            const items = JSON.stringify(page.items);
+            if (items === this._previousItems) {
+                // The endpoint ignored the page number, so we'd fetch this page forever
+                this._done = true;
+                continue;
+            }
+            this._previousItems = items;
+            this._buffer = page.items.slice();
+            this._done = !page.hasMore || page.items.length === 0;
+        }
+        return {done: false, value: this._buffer.shift()};
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+/**
+ * Decides whether a v1 listing has pages after this one, using its paging_info if present. Otherwise, a full page
+ * is taken to mean there may be more.
+ */
+export function hasMorePages(response, items, perPage) {
+    const pagingInfo = response.paging_info;
+    if (pagingInfo && typeof pagingInfo.num_pages === 'number') {
+        return pagingInfo.current_page < pagingInfo.num_pages;
+    }
+    return items.length >= perPage;
+}
@@ -0,0 +1,78 @@
+import {namedArgs} from './util';
+
+/**
+ * Methods for password reset flows; see `TrueVaultCore.with`.
+ */
+export class PasswordResetMethods {
+    /**
+     * Create a password reset flow. See https://docs.truevault.com/PasswordResetFlow.html.
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `createPasswordResetFlow({name, sendGridTemplateId, sendGridApiKey, userEmailValueSpec, fromEmailValueSpec})`.
+     * @param {string} name name of this flow
+     * @param {string} sendGridTemplateId SendGrid template id to use when sending password reset emails
+     * @param {string} sendGridApiKey SendGrid API key
+     * @param {Object} userEmailValueSpec Value specifier for the "To" address. See https://docs.truevault.com/email#value-specifiers.
+     * @param {Object} fromEmailValueSpec Value specifier for the "From" address. See https://docs.truevault.com/email#value-specifiers.
+     * @param {Object} substitutions substitutions to use in the template. See https://docs.truevault.com/email#template-substitution.
+     * @returns {Promise.<Object>}
+     */
+    async createPasswordResetFlow(name, sendGridTemplateId, sendGridApiKey, userEmailValueSpec, fromEmailValueSpec, substitutions) {
+        const named = namedArgs('createPasswordResetFlow', [
+            name, sendGridTemplateId, sendGridApiKey, userEmailValueSpec, fromEmailValueSpec, substitutions
+        ]);
+        if (named) {
+            ({name, sendGridTemplateId, sendGridApiKey, userEmailValueSpec, fromEmailValueSpec, substitutions} = named);
+        }
+        const response = await this.performJSONRequest(`v1/password_reset_flows`, {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                sg_api_key: sendGridApiKey,
+                sg_template_id: sendGridTemplateId,
+                user_email_value_spec: userEmailValueSpec,
+                from_email_value_spec: fromEmailValueSpec,
+                substitutions
+            })
+        });
+        return response.password_reset_flow;
+    }
+
+    /**
+     * List password reset flows. See https://docs.truevault.com/PasswordResetFlow.html.
+     * @returns {Promise.<Object>}
+     */
+    async listPasswordResetFlows() {
+        const response = await this.performJSONRequest(`v1/password_reset_flows`);
+        return response.password_reset_flows;
+    }
+
+    /**
+     * Send a password reset email to a user. See https://docs.truevault.com/PasswordResetFlow.html.
+     * @param {string} flowId the flow to use to send a password reset email
+     * @param {string} username
+     * @returns {Promise.<undefined>}
+     */
+    async sendPasswordResetEmail(flowId, username) {
+        await this.performJSONRequest(`v1/password_reset_flows/${flowId}/email`, {
+            method: 'POST',
+            body: JSON.stringify({
+                username
+            })
+        });
+    }
+
+    /**
+     * Link a Scoped Access Token to a Password Reset Flow. See https://docs.truevault.com/passwordresetflow#link-a-scoped-access-token-to-a-password-reset-flow
+     * @param {string} flowId
+     * @param {string} tokenId
+     * @returns {Promise.<undefined>}
+     */
+    async linkScopedAccessTokenToPasswordResetFlow(flowId, tokenId) {
+        return await this.performJSONRequest(`v1/password_reset_flows/${flowId}/link_sat`, {
+            method: 'POST',
+            body: JSON.stringify({
+                scoped_access_token_id: tokenId
+            })
+        });
+    }
+}
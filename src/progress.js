@@ -0,0 +1,184 @@
+function reportProgress(progressCallback, type, loaded, total) {
+    const lengthComputable = typeof total === 'number';
+    progressCallback({type, loaded, total: lengthComputable ? total : 0, lengthComputable});
+}
+
+function getFormDataLength(formData) {
+    if (typeof formData.getLength !== 'function') {
+        return Promise.resolve(undefined);
+    }
+    return new Promise(resolve => formData.getLength((err, length) => resolve(err ? undefined : length)));
+}
+
+// The length of a native FormData once serialized, or undefined if it can't be worked out. A copy with empty files is
+// serialized instead, so the files aren't read; only their sizes and the lengths of the two copies' boundaries differ.
+async function getSerializedLength(formData, contentType) {
+    if (typeof formData.entries !== 'function' || typeof Blob === 'undefined') {
+        return undefined;
+    }
+    const entries = Array.from(formData.entries());
+    const skeleton = new formData.constructor();
+    let fileSizes = 0;
+    entries.forEach(([name, value]) => {
+        if (typeof value === 'string') {
+            skeleton.append(name, value);
+        } else {
+            fileSizes += value.size;
+            skeleton.append(name, new Blob([], {type: value.type}), value.name);
+        }
+    });
+    const serializedSkeleton = new Response(skeleton);
+    const skeletonLength = (await serializedSkeleton.arrayBuffer()).byteLength;
+    const boundaryLength = type => (/boundary=(.*)$/.exec(type || '') || ['', ''])[1].length;
+    // Each entry starts with the boundary, and another one ends the body
+    const boundaryDifference = boundaryLength(contentType) -
+        boundaryLength(serializedSkeleton.headers.get('Content-Type'));
+    return skeletonLength + fileSizes + boundaryDifference * (entries.length + 1);
+}
+
+/**
+ * Returns the fetch options (`body`, plus `headers` and `duplex` where needed) that send `body` while reporting upload
+ * progress to `progressCallback` in the shape of XMLHttpRequest's progress events. Streams, such as nodejs form data,
+ * are counted as fetch reads them. Other bodies, such as native FormData, are serialized as a stream, which passes
+ * their chunks on to fetch as it reads them and counts them on the way, so files aren't read into memory.
+ */
+export async function progressRequestBody(body, progressCallback) {
+    if (typeof body.pipe === 'function') {
+        const total = await getFormDataLength(body);
+        let loaded = 0;
+        body.on('data', chunk => {
+            loaded += chunk.length;
+            reportProgress(progressCallback, 'progress', loaded, total);
+        });
+        body.on('end', () => reportProgress(progressCallback, 'load', loaded, total));
+        return {body};
+    }
+
+    if (typeof Response === 'undefined' || typeof ReadableStream === 'undefined') {
+        throw new Error('Progress callbacks need XMLHttpRequest, a stream body, or fetch with ReadableStream support');
+    }
+    const serialized = new Response(body);
+    const headers = {};
+    const contentType = serialized.headers.get('Content-Type');
+    if (contentType) {
+        headers['Content-Type'] = contentType;
+    }
+    const total = await getSerializedLength(body, contentType);
+
+    const reader = serialized.body.getReader();
+    let loaded = 0;
+    const stream = new ReadableStream({
+        async pull(controller) {
+            const {done, value} = await reader.read();
+            if (done) {
+                controller.close();
+                reportProgress(progressCallback, 'load', loaded, total);
+                return;
+            }
+            loaded += value.length;
+            controller.enqueue(value);
+            reportProgress(progressCallback, 'progress', loaded, total);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+    // fetch implementations that take stream bodies need to be told they may start responding before it's sent
+    return {body: stream, headers, duplex: 'half'};
+}
+
+/**
+ * Joins Uint8Array chunks totalling `length` bytes into one Uint8Array.
+ */
+export function concatChunks(chunks, length) {
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Reads a fetch response's body into a Uint8Array, reporting download progress to `progressCallback` (if given) as
+ * chunks arrive. Handles both WHATWG streams (browsers and nodejs' native fetch) and nodejs streams (node-fetch).
+ */
+export function readResponseBody(response, progressCallback) {
+    const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+    return readStream(response.body, isNaN(contentLength) ? undefined : contentLength, progressCallback);
+}
+
+/**
+ * Reads a WHATWG or nodejs stream into a Uint8Array. `total`, the expected length, is only used for progress events.
+ */
+export function readStream(body, total, progressCallback) {
+    const chunks = [];
+    let loaded = 0;
+    const onChunk = chunk => {
+        chunks.push(chunk);
+        loaded += chunk.length;
+        if (progressCallback) {
+            reportProgress(progressCallback, 'progress', loaded, total);
+        }
+    };
+    const onEnd = () => {
+        if (progressCallback) {
+            reportProgress(progressCallback, 'load', loaded, total);
+        }
+        return concatChunks(chunks, loaded);
+    };
+
+    if (!body) {
+        return Promise.resolve(onEnd());
+    }
+    if (typeof body.getReader === 'function') {
+        const reader = body.getReader();
+        const read = async () => {
+            for (;;) {
+                const {done, value} = await reader.read();
+                if (done) {
+                    return onEnd();
+                }
+                onChunk(value);
+            }
+        };
+        return read();
+    }
+    return new Promise((resolve, reject) => {
+        body.on('data', onChunk);
+        body.on('end', () => resolve(onEnd()));
+        body.on('error', reject);
+    });
+}
+
+/**
+ * Decodes a UTF-8 response body.
+ */
+export function decodeText(bytes) {
+    if (typeof TextDecoder !== 'undefined') {
+        return new TextDecoder().decode(bytes);
+    }
+    // Older environments: percent-encode each byte and let decodeURIComponent assemble the characters
+    let encoded = '';
+    for (let i = 0; i < bytes.length; i++) {
+        encoded += `%${(bytes[i] < 16 ? '0' : '')}${bytes[i].toString(16)}`;
+    }
+    return decodeURIComponent(encoded);
+}
+
+/**
+ * Encodes a string as UTF-8.
+ */
+export function encodeText(text) {
+    if (typeof TextEncoder !== 'undefined') {
+        return new TextEncoder().encode(text);
+    }
+    // Older environments: encodeURIComponent produces UTF-8, percent-encoded; unescape turns that into bytes
+    const binary = unescape(encodeURIComponent(text));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
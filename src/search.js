@@ -0,0 +1,333 @@
+import {SearchBuildError} from './errors';
+import {PageIterator} from './pagination';
+
+const SEARCH_FILTER_TYPES = ['and', 'or'];
+
+const SEARCH_SORT_DIRECTIONS = ['asc', 'desc'];
+
+const SEARCH_RANGE_BOUNDS = ['gt', 'gte', 'lt', 'lte'];
+
+function withCaseSensitivity(filter, options) {
+    if (options && typeof options.caseSensitive === 'boolean') {
+        filter.case_sensitive = options.caseSensitive;
+    }
+    return filter;
+}
+
+/**
+ * Builds the search options accepted by `searchDocuments` and `searchUsers`, checking them for mistakes before they
+ * reach TrueVault. See https://docs.truevault.com/documentsearch#defining-search-options.
+ *
+ * ```js
+ * const search = TrueVaultClient.Search
+ *   .where('last_name').eq('Smith')
+ *   .and('age').range({gte: 18})
+ *   .and('status').not.in(['DELETED', 'ARCHIVED'])
+ *   .schema(schemaId)
+ *   .full()
+ *   .sortBy('created', 'desc')
+ *   .page(2, 50);
+ * const results = await client.searchDocuments(vaultId, search);
+ * ```
+ *
+ * Conditions are combined with `and()` or `or()`; a single search can't mix the two. Invalid searches throw a
+ * `SearchBuildError` when they're built.
+ */
+export class Search {
+    constructor() {
+        this._filter = {};
+        this._filterType = null;
+        this._schemaId = undefined;
+        this._full = undefined;
+        this._sort = [];
+        this._page = undefined;
+        this._perPage = undefined;
+    }
+
+    /**
+     * Starts a new search with a condition on `field`.
+     * @param {string} field
+     * @returns {SearchCondition}
+     */
+    static where(field) {
+        return new Search().where(field);
+    }
+
+    /**
+     * Adds a condition on `field`.
+     * @param {string} field
+     * @returns {SearchCondition}
+     */
+    where(field) {
+        return new SearchCondition(this, field, false);
+    }
+
+    /**
+     * Adds a condition on `field` that must hold in addition to the others.
+     * @param {string} field
+     * @returns {SearchCondition}
+     */
+    and(field) {
+        this._setFilterType('and');
+        return this.where(field);
+    }
+
+    /**
+     * Adds a condition on `field`, any one of which must hold.
+     * @param {string} field
+     * @returns {SearchCondition}
+     */
+    or(field) {
+        this._setFilterType('or');
+        return this.where(field);
+    }
+
+    /**
+     * Only search documents in this schema.
+     * @param {string} schemaId
+     * @returns {Search}
+     */
+    schema(schemaId) {
+        this._schemaId = schemaId;
+        return this;
+    }
+
+    /**
+     * Whether to return document contents (or user attributes) with the results.
+     * @param {boolean} [full=true]
+     * @returns {Search}
+     */
+    full(full) {
+        this._full = full !== false;
+        return this;
+    }
+
+    /**
+     * Sorts the results by `field`. Can be called more than once to sort by several fields.
+     * @param {string} field
+     * @param {string} [direction='asc'] `asc` or `desc`.
+     * @returns {Search}
+     */
+    sortBy(field, direction) {
+        this._sort.push({[field]: direction || 'asc'});
+        return this;
+    }
+
+    /**
+     * Which page of results to return.
+     * @param {number} page 1-based page number.
+     * @param {number} [perPage] number of results per page.
+     * @returns {Search}
+     */
+    page(page, perPage) {
+        this._page = page;
+        this._perPage = perPage;
+        return this;
+    }
+
+    /**
+     * Returns the search option object to send to TrueVault. Throws a `SearchBuildError` if the search is invalid.
+     * @returns {Object}
+     */
+    toSearchOption() {
+        const searchOption = {filter: this._filter};
+        if (this._filterType) {
+            searchOption.filter_type = this._filterType;
+        }
+        if (this._schemaId !== undefined) {
+            searchOption.schema_id = this._schemaId;
+        }
+        if (this._full !== undefined) {
+            searchOption.full_document = this._full;
+        }
+        if (this._sort.length > 0) {
+            searchOption.sort = this._sort;
+        }
+        if (this._page !== undefined) {
+            searchOption.page = this._page;
+        }
+        if (this._perPage !== undefined) {
+            searchOption.per_page = this._perPage;
+        }
+        Search.validate(searchOption);
+        return searchOption;
+    }
+
+    toJSON() {
+        return this.toSearchOption();
+    }
+
+    /**
+     * Checks a search option object, throwing a `SearchBuildError` describing the first problem found.
+     * @param {Object} searchOption
+     */
+    static validate(searchOption) {
+        const fail = message => {
+            throw new SearchBuildError(`Invalid search: ${message}`);
+        };
+        const isPositiveInteger = value => typeof value === 'number' && value % 1 === 0 && value > 0;
+
+        if (!searchOption.filter || Object.keys(searchOption.filter).length === 0) {
+            fail('at least one filter is required');
+        }
+        Object.keys(searchOption.filter).forEach(field => {
+            const message = Search._validateFilter(searchOption.filter[field], true);
+            if (message) {
+                fail(`filter on '${field}' ${message}`);
+            }
+        });
+        if (searchOption.filter_type !== undefined && SEARCH_FILTER_TYPES.indexOf(searchOption.filter_type) === -1) {
+            fail(`filter_type must be one of ${SEARCH_FILTER_TYPES.join(', ')}`);
+        }
+        if (searchOption.schema_id !== undefined && typeof searchOption.schema_id !== 'string') {
+            fail('schema_id must be a string');
+        }
+        (searchOption.sort || []).forEach(sort => {
+            const fields = Object.keys(sort);
+            if (fields.length !== 1 || SEARCH_SORT_DIRECTIONS.indexOf(sort[fields[0]]) === -1) {
+                fail(`sort on '${fields.join(', ')}' must have a direction of ${SEARCH_SORT_DIRECTIONS.join(' or ')}`);
+            }
+        });
+        if (searchOption.page !== undefined && !isPositiveInteger(searchOption.page)) {
+            fail('page must be a positive integer');
+        }
+        if (searchOption.per_page !== undefined && !isPositiveInteger(searchOption.per_page)) {
+            fail('per_page must be a positive integer');
+        }
+    }
+
+    /**
+     * Returns a description of what's wrong with `filter`, or undefined if it's valid.
+     * @private
+     */
+    static _validateFilter(filter, allowNot) {
+        const value = filter && filter.value;
+        const isScalar = typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+        switch (filter && filter.type) {
+            case 'eq':
+                return isScalar ? undefined : 'must compare against a string, number or boolean';
+            case 'wildcard':
+                return typeof value === 'string' ? undefined : 'must use a string pattern';
+            case 'range':
+                const bounds = value && typeof value === 'object' ? Object.keys(value) : [];
+                if (bounds.length === 0 || bounds.some(bound => SEARCH_RANGE_BOUNDS.indexOf(bound) === -1)) {
+                    return `must have one or more of the bounds ${SEARCH_RANGE_BOUNDS.join(', ')}`;
+                }
+                return undefined;
+            case 'in':
+                return Array.isArray(value) && value.length > 0 ? undefined : 'must list at least one value';
+            case 'not':
+                return allowNot ? Search._validateFilter(value, false) : 'can\'t negate a negation';
+            default:
+                return 'has an unknown type';
+        }
+    }
+
+    _setFilterType(filterType) {
+        if (this._filterType && this._filterType !== filterType) {
+            throw new SearchBuildError(`Invalid search: can't combine 'and' and 'or' conditions`);
+        }
+        this._filterType = filterType;
+    }
+
+    _addFilter(field, filter) {
+        if (typeof field !== 'string' || field.length === 0) {
+            throw new SearchBuildError('Invalid search: field names must be non-empty strings');
+        }
+        if (this._filter.hasOwnProperty(field)) {
+            throw new SearchBuildError(`Invalid search: more than one condition on '${field}'`);
+        }
+        this._filter[field] = filter;
+        return this;
+    }
+}
+
+/**
+ * A condition on a single field, created by `Search.where`, `and` and `or`. Each method completes the condition and
+ * returns the search so that more can be chained.
+ */
+export class SearchCondition {
+    constructor(search, field, negated) {
+        this._search = search;
+        this._field = field;
+        this._negated = negated;
+    }
+
+    /**
+     * Negates the condition, e. g. `where('status').not.eq('DELETED')`.
+     * @returns {SearchCondition}
+     */
+    get not() {
+        if (this._negated) {
+            throw new SearchBuildError(`Invalid search: can't negate a negation`);
+        }
+        return new SearchCondition(this._search, this._field, true);
+    }
+
+    /**
+     * The field is equal to `value`.
+     * @param {string|number|boolean} value
+     * @param {Object} [options]
+     * @param {boolean} [options.caseSensitive]
+     * @returns {Search}
+     */
+    eq(value, options) {
+        return this._complete(withCaseSensitivity({type: 'eq', value}, options));
+    }
+
+    /**
+     * The field matches `pattern`, in which `*` matches any characters and `?` any single character.
+     * @param {string} pattern
+     * @param {Object} [options]
+     * @param {boolean} [options.caseSensitive]
+     * @returns {Search}
+     */
+    wildcard(pattern, options) {
+        return this._complete(withCaseSensitivity({type: 'wildcard', value: pattern}, options));
+    }
+
+    /**
+     * The field falls within the given bounds.
+     * @param {Object} bounds any of `gt`, `gte`, `lt` and `lte`.
+     * @returns {Search}
+     */
+    range(bounds) {
+        return this._complete({type: 'range', value: bounds});
+    }
+
+    /**
+     * The field is equal to one of `values`.
+     * @param {Array} values
+     * @returns {Search}
+     */
+    in(values) {
+        return this._complete({type: 'in', value: values});
+    }
+
+    _complete(filter) {
+        if (this._negated) {
+            filter = {type: 'not', value: filter};
+        }
+        const message = Search._validateFilter(filter, true);
+        if (message) {
+            throw new SearchBuildError(`Invalid search: filter on '${this._field}' ${message}`);
+        }
+        return this._search._addFilter(this._field, filter);
+    }
+}
+
+export function toSearchOption(searchOption) {
+    return searchOption instanceof Search ? searchOption.toSearchOption() : searchOption;
+}
+
+export function iterateSearch(searchOption, search) {
+    searchOption = toSearchOption(searchOption);
+    return new PageIterator(async page => {
+        const results = await search(Object.assign({}, searchOption, {page}));
+        return {
+            items: results.documents,
+            hasMore: results.info.current_page < results.info.num_pages,
+            info: results.info
+        };
+    }, searchOption.page);
+}
@@ -0,0 +1,61 @@
+/**
+ * Session storage that keeps sessions in memory, e. g. for tests or short-lived scripts.
+ *
+ * Any object with `getItem(key)`, `setItem(key, value)` and `removeItem(key)` methods can be passed to
+ * `TrueVaultClient#persist` and `TrueVaultClient.fromStorage`, including `localStorage` and React Native's
+ * `AsyncStorage`. The methods may return promises.
+ */
+export class MemoryStorage {
+    constructor() {
+        this._items = new Map();
+    }
+
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this._items.delete(key);
+    }
+}
+
+/**
+ * Session storage backed by the browser's `localStorage` or `sessionStorage`.
+ */
+export class WebStorage {
+    /**
+     * @param {string} [area='local'] `'local'` to use localStorage or `'session'` to use sessionStorage.
+     */
+    constructor(area) {
+        this._area = area || 'local';
+        if (this._area !== 'local' && this._area !== 'session') {
+            throw new Error(`Unknown web storage area: ${this._area}`);
+        }
+    }
+
+    getItem(key) {
+        return this._getStorage().getItem(key);
+    }
+
+    setItem(key, value) {
+        this._getStorage().setItem(key, value);
+    }
+
+    removeItem(key) {
+        this._getStorage().removeItem(key);
+    }
+
+    _getStorage() {
+        // Looked up on use rather than in the constructor, since merely accessing localStorage throws in some
+        // sandboxed iframes
+        const storage = typeof window !== 'undefined' ? window[`${this._area}Storage`] : undefined;
+        if (!storage) {
+            throw new Error(`${this._area}Storage is not available in this environment`);
+        }
+        return storage;
+    }
+}
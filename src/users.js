@@ -0,0 +1,427 @@
+import base64 from 'base-64';
+import {DEFAULT_PER_PAGE} from './util';
+import {NotFoundError} from './errors';
+import {PageIterator, hasMorePages} from './pagination';
+import {toSearchOption, iterateSearch} from './search';
+import {cacheKeys, cacheKeyPrefixes} from './cacheKeys';
+
+/**
+ * Methods for users, the current user and the user schema; see `TrueVaultCore.with`.
+ */
+export class UserMethods {
+    /**
+     * Get data about the authenticated user. See https://docs.truevault.com/authentication#verify-a-user.
+     * @param [full=true] Whether to include user attributes and groups
+     * @returns {Promise.<Object>}
+     */
+    async readCurrentUser(full) {
+        if (full !== false) {
+            full = true;
+        }
+
+        const response = await this.performLegacyRequest(`v1/auth/me?full=${full}`);
+        const user = response.user;
+        if (user.attributes) {
+            user.attributes = JSON.parse(base64.decode(user.attributes));
+        }
+        return user;
+    }
+
+    /**
+     * Updates the currently authenticated user's attributes. See https://docs.truevault.com/authentication#verify-a-user.
+     * @param attributes
+     * @returns {Promise<Object>}
+     */
+    async updateCurrentUser(attributes) {
+        const formData = this._newFormData();
+        formData.append("attributes", base64.encode(JSON.stringify(attributes)));
+
+        const response = await this.performLegacyRequest('v1/auth/me?full=true', {
+            method: 'PUT',
+            body: formData
+        });
+
+        const user = response.user;
+        if (user.attributes) {
+            user.attributes = JSON.parse(base64.decode(user.attributes));
+        }
+        return user;
+    }
+
+    /**
+     * List all users in the account. See https://docs.truevault.com/users#list-all-users.
+     * @param [full=false] Whether to return user attributes and group IDs
+     * @returns {Promise.<Array>}
+     */
+    async listUsers(full) {
+        return this.listUsersWithStatus(null, full);
+    }
+
+    /**
+     * List all users in the account. See https://docs.truevault.com/users#list-all-users.
+     * @param [status=null] If ACTIVE, DEACTIVATED, PENDING, or LOCKED only returns users with that status
+     * @param [full=false] Whether to return user attributes and group IDs
+     * @returns {Promise.<Array>}
+     */
+    async listUsersWithStatus(status, full) {
+        const response = await this._listUsers(status, full);
+        return response.users;
+    }
+
+    /**
+     * Iterate over all users in the account, fetching them a page at a time. See
+     * https://docs.truevault.com/users#list-all-users.
+     * @param {Object} [options]
+     * @param {string} [options.status] if ACTIVE, DEACTIVATED, PENDING, or LOCKED only returns users with that status
+     * @param {boolean} [options.full=false] whether to return user attributes and group IDs
+     * @param {number} [options.perPage=100] number of users to request per page.
+     * @returns {PageIterator} an async iterator of users.
+     */
+    iterateUsers(options) {
+        const {status, full, perPage = DEFAULT_PER_PAGE} = options || {};
+        return new PageIterator(async page => {
+            const response = await this._listUsers(status, full, page, perPage);
+            return {items: response.users, hasMore: hasMorePages(response, response.users, perPage)};
+        });
+    }
+
+    async _listUsers(status, full, page, perPage) {
+        if (full !== true) {
+            full = false;
+        }
+        var path = `v1/users?full=${full}`;
+
+        if (status) {
+            path = `${path}&status=${status}`;
+        }
+        if (!!page) {
+            path = `${path}&page=${page}&per_page=${perPage}`;
+        }
+
+        const response = await this.performLegacyRequest(path);
+        response.users = response.users.map(user => {
+            if (user.attributes) {
+                user.attributes = JSON.parse(base64.decode(user.attributes));
+            }
+            return user;
+        });
+        return response;
+    }
+
+    /**
+     * Read a single user. See https://docs.truevault.com/users#read-a-user.
+     * @returns {Promise.<Object>}
+     */
+    async readUser(userId) {
+        const users = await this.readUsers([userId]);
+        if (!users[0]) {
+            throw new NotFoundError(`User ${userId} not found`, {status: 404, method: 'GET', path: `v2/users/${userId}`});
+        }
+        return users[0];
+    }
+
+    /**
+     * Reads multiple users. See https://docs.truevault.com/users#read-a-user. Long lists of ids are split over several
+     * requests, some of which are made in parallel.
+     * @param {Array} userIds user ids to read.
+     * @returns {Promise.<Array>} the users, in the same order as `userIds`, with null in place of users that don't exist.
+     * (TrueVault fails a request for several users if any of them is missing; this method finds the missing ones with
+     * further requests and leaves them out rather than throwing a `NotFoundError`.)
+     */
+    async readUsers(userIds) {
+        return this._readByIds(userIds, 'USER.NOT_FOUND', async chunk => {
+            const response = await this.performLegacyRequest(`v2/users/${chunk.join(',')}?full=true`);
+            return response.users;
+        });
+    }
+
+    /**
+     * Create a new user. See https://docs.truevault.com/users#create-a-user.
+     * @param {string} username new user's username.
+     * @param {string} password new user's password.
+     * @param {Object} [attributes] new user's attributes, if desired.
+     * @param {Array} [groupIds] add user to the given groups, if provided.
+     * @param {string} [status] the newly created user's status
+     * @returns {Promise.<Object>}
+     */
+    async createUser(username, password, attributes, groupIds, status) {
+        const formData = this._newFormData();
+        formData.append("username", username);
+        formData.append("password", password);
+        if (attributes) {
+            formData.append("attributes", base64.encode(JSON.stringify(attributes)));
+        }
+        if (groupIds) {
+            formData.append("group_ids", groupIds.join(","));
+        }
+        if (status) {
+            formData.append("status", status);
+        }
+        const response = await this.performLegacyRequest('v1/users', {
+            method: 'POST',
+            body: formData
+        });
+        if (groupIds) {
+            await this._invalidateCache(groupIds.map(groupId => cacheKeys.group(groupId)));
+        }
+        return response.user;
+    }
+
+    /**
+     * Update a user's attributes. See https://docs.truevault.com/users#update-a-user.
+     * @param {string} userId the user's userId
+     * @param {Object} attributes
+     * @returns {Promise.<Object>}
+     */
+    async updateUserAttributes(userId, attributes) {
+        const formData = this._newFormData();
+        formData.append("attributes", base64.encode(JSON.stringify(attributes)));
+
+        const response = await this.performLegacyRequest(`v1/users/${userId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        return response.user;
+    }
+
+    /**
+     * Update a user's status. See https://docs.truevault.com/users#update-a-user.
+     * @param {string} userId the user's userId
+     * @param {string} status
+     * @returns {Promise.<Object>}
+     */
+    async updateUserStatus(userId, status) {
+        const formData = this._newFormData();
+        formData.append("status", status);
+
+        const response = await this.performLegacyRequest(`v1/users/${userId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        return response.user;
+    }
+
+    /**
+     * Update a user's username. See https://docs.truevault.com/users#update-a-user.
+     * @param {string} userId the user id to change.
+     * @param {string} newUsername user's new username.
+     * @returns {Promise.<Object>}
+     */
+    async updateUserUsername(userId, newUsername) {
+        const formData = this._newFormData();
+        formData.append("username", newUsername);
+
+        const response = await this.performLegacyRequest(`v1/users/${userId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        return response.user;
+    }
+
+    /**
+     * Update a user's password. See https://docs.truevault.com/users#update-a-user.
+     * @param {string} userId the user id to change.
+     * @param {string} newPassword user's new password.
+     * @returns {Promise.<Object>}
+     */
+    async updateUserPassword(userId, newPassword) {
+        const formData = this._newFormData();
+        formData.append("password", newPassword);
+
+        const response = await this.performLegacyRequest(`v1/users/${userId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        return response.user;
+    }
+
+    /**
+     * Delete a user. See https://docs.truevault.com/users#delete-a-user
+     * @param {string} userId the user id to delete.
+     * @returns {Promise.<Object>}
+     */
+    async deleteUser(userId) {
+        const response = await this.performLegacyRequest(`v1/users/${userId}`, {
+            method: 'DELETE',
+        });
+        // The user's groups aren't known here, so evict every group
+        await this._invalidateCachePrefixes(cacheKeyPrefixes.groups());
+        return response.user;
+    }
+
+    /**
+     * Create an API key for a user. See https://docs.truevault.com/users#create-api-key-for-a-user.
+     * @param {string} userId user id.
+     * @returns {Promise.<string>}
+     */
+    async createUserApiKey(userId) {
+        const response = await this.performLegacyRequest(`v1/users/${userId}/api_key`, {method: 'POST'});
+        return response.api_key;
+    }
+
+    /**
+     * Create an access token for a user. See https://docs.truevault.com/users#create-access-token-for-a-user.
+     * @param {string} userId user id.
+     * @param {Date} [notValidAfter] notValidAfter optional parameter specifying when the returned access token expires
+     * @returns {Promise.<string>}
+     */
+    async createUserAccessToken(userId, notValidAfter) {
+        const formData = this._newFormData();
+        if (!!notValidAfter) {
+            formData.append("not_valid_after ", notValidAfter.toISOString());
+        }
+
+        const response = await this.performLegacyRequest(`v1/users/${userId}/access_token`, {method: 'POST', body: formData});
+        return response.user.access_token;
+    }
+
+    /**
+     * Start MFA enrollment for a user. See https://docs.truevault.com/users#start-mfa-enrollment-for-a-user.
+     * @param {string} userId user id.
+     * @param {string} issuer MFA issuer.
+     * @returns {Promise.<Object>}
+     */
+    async startUserMfaEnrollment(userId, issuer) {
+        const result = await this.performJSONRequest(`v1/users/${userId}/mfa/start_enrollment`, {
+            method: 'POST',
+            body: JSON.stringify({issuer})
+        });
+        return result.mfa;
+    }
+
+    /**
+     * Finalize MFA enrollment for a user. See https://docs.truevault.com/users#finalize-mfa-enrollment-for-a-user.
+     * @param {string} userId user id.
+     * @param {string} mfaCode1 first MFA code.
+     * @param {string} mfaCode2 second MFA code.
+     * @returns {Promise.<undefined>}
+     */
+    async finalizeMfaEnrollment(userId, mfaCode1, mfaCode2) {
+        await this.performJSONRequest(`v1/users/${userId}/mfa/finalize_enrollment`, {
+            method: 'POST',
+            body: JSON.stringify({mfa_code_1: mfaCode1, mfa_code_2: mfaCode2})
+        });
+    }
+
+    /**
+     * Unenroll a user from MFA. See #https://docs.truevault.com/users#unenroll-mfa-for-a-user.
+     * @param {string} userId user id.
+     * @param {string} mfaCode MFA code for user.
+     * @param {string} password user's password.
+     * @returns {Promise.<undefined>}
+     */
+    async unenrollMfa(userId, mfaCode, password) {
+        await this.performJSONRequest(`v1/users/${userId}/mfa/unenroll`, {
+            method: 'POST',
+            body: JSON.stringify({mfa_code: mfaCode, password: password})
+        });
+    }
+
+    /**
+     * Perform a user search. See https://docs.truevault.com/documentsearch#search-users.
+     * @param {Object|Search} searchOption search query, either as a `Search` or a plain object. See
+     * https://docs.truevault.com/documentsearch#defining-search-options. Plain objects are sent as they are, without
+     * the checks that `Search` makes.
+     * @returns {Promise.<Object>}
+     */
+    async searchUsers(searchOption) {
+        const formData = this._newFormData();
+        formData.append("search_option", base64.encode(JSON.stringify(toSearchOption(searchOption))));
+
+        const response = await this.performLegacyRequest(`v1/users/search`, {
+            method: 'POST',
+            body: formData
+        });
+
+        const documents = response.data.documents.map(doc => {
+            if (doc.attributes) {
+                doc.attributes = JSON.parse(base64.decode(doc.attributes));
+            }
+            return doc;
+        });
+
+        return {
+            info: response.data.info,
+            documents
+        };
+    }
+
+    /**
+     * Iterate over all results of a user search, fetching pages as needed. Attributes are decoded as in
+     * `searchUsers`. The iterator's `info` property holds the paging info of the latest page, e. g.
+     * `info.total_result_count`.
+     * @param {Object|Search} searchOption search query. Results start from its `page`, if given.
+     * @returns {PageIterator} an async iterator of users.
+     */
+    iterateSearchUsers(searchOption) {
+        return iterateSearch(searchOption, searchOptionForPage => this.searchUsers(searchOptionForPage));
+    }
+
+    /**
+     * Create the user schema. See https://docs.truevault.com/schemas#create-the-user-schema
+     * @param {string} accountId account id that the user schema belongs to.
+     * @param {string} name the name of the schema.
+     * @param {Array} fields field metadata for the schema. See https://docs.truevault.com/schemas.
+     * @returns {Promise.<Object>}
+     */
+    async createUserSchema(accountId, name, fields) {
+        const schemaDefinition = {name, fields};
+        const formData = this._newFormData();
+        formData.append("schema", base64.encode(JSON.stringify(schemaDefinition)));
+
+        const response = await this.performLegacyRequest(`v1/accounts/${accountId}/user_schema`, {
+            method: 'POST',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.userSchema(accountId)]);
+        return response.user_schema;
+    }
+
+    /**
+     * Read the user schema. See https://docs.truevault.com/schemas#read-the-user-schema
+     * @param {string} accountId account id that the user schema belongs to.
+     * @returns {Promise.<Object>}
+     */
+    async readUserSchema(accountId) {
+        return this._cached('userSchema', cacheKeys.userSchema(accountId), async () => {
+            const response = await this.performLegacyRequest(`v1/accounts/${accountId}/user_schema`, {
+                method: 'GET',
+            });
+            return response.user_schema;
+        });
+    }
+
+    /**
+     * Update the user schema. See https://docs.truevault.com/schemas#update-the-user-schema
+     * @param {string} accountId account id that the user schema belongs to.
+     * @param {string} name the name of the schema.
+     * @param {Array} fields field metadata for the schema. See https://docs.truevault.com/schemas.
+     * @returns {Promise.<Object>}
+     */
+    async updateUserSchema(accountId, name, fields) {
+        const schemaDefinition = {name, fields};
+        const formData = this._newFormData();
+        formData.append("schema", base64.encode(JSON.stringify(schemaDefinition)));
+
+        const response = await this.performLegacyRequest(`v1/accounts/${accountId}/user_schema`, {
+            method: 'PUT',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.userSchema(accountId)]);
+        return response.user_schema;
+    }
+
+    /**
+     * Delete the user schema. See https://docs.truevault.com/schemas#delete-the-user-schema
+     * @param {string} accountId account id that the user schema belongs to.
+     * @returns {Promise.<Object>}
+     */
+    async deleteUserSchema(accountId) {
+        const response = await this.performLegacyRequest(`v1/accounts/${accountId}/user_schema`, {
+            method: 'DELETE',
+            body: this._newFormData()
+        });
+        await this._invalidateCache([cacheKeys.userSchema(accountId)]);
+        return response.user_schema;
+    }
+}
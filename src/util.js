@@ -0,0 +1,137 @@
+// Page size used by the iterate* methods for listings whose page size isn't reported back by the API
+export const DEFAULT_PER_PAGE = 100;
+
+// Number of requests bulk operations make at once, unless told otherwise
+export const DEFAULT_CONCURRENCY = 4;
+
+// Longest comma-separated id list we put in a URL path. Longer lists are split over several requests to stay well
+// under the ~2000 character URL limit of browsers and proxies.
+const MAX_ID_LIST_LENGTH = 1500;
+
+// setTimeout fires right away when given a delay that doesn't fit in 32 bits
+const MAX_TIMER_DELAY = 2147483647;
+
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Arguments that methods accepting named arguments (see namedArgs) require or allow
+const NAMED_ARGS = {
+    login: {
+        required: ['accountId', 'username', 'password'],
+        optional: ['mfaCode', 'host', 'notValidAfter', 'options']
+    },
+    beginLogin: {
+        required: ['accountId', 'username', 'password'],
+        optional: ['host', 'notValidAfter', 'options']
+    },
+    generateAccessToken: {
+        required: ['accountId', 'username', 'password'],
+        optional: ['mfaCode', 'host', 'notValidAfter', 'options']
+    },
+    updateDocument: {
+        required: ['vaultId', 'documentId', 'document'],
+        optional: ['ownerId', 'schemaId']
+    },
+    sendEmailSendgrid: {
+        required: ['sendgridApiKey', 'userId', 'sendgridTemplateId', 'fromEmailSpecifier', 'toEmailSpecifier'],
+        optional: ['substitutions']
+    },
+    sendSMSTwilio: {
+        required: [
+            'twilioAccountSid', 'twilioKeySid', 'twilioKeySecret', 'userId', 'fromNumberSpecifier', 'toNumberSpecifier',
+            'messageBody'
+        ],
+        optional: ['mediaURLs']
+    },
+    createPasswordResetFlow: {
+        required: ['name', 'sendGridTemplateId', 'sendGridApiKey', 'userEmailValueSpec', 'fromEmailValueSpec'],
+        optional: ['substitutions']
+    }
+};
+
+/**
+ * Lets a method take its arguments by name as well as by position. `args` are the method's positional arguments, in
+ * order. If the first is a plain object and the others are left out, it's taken to hold the arguments by name: it's
+ * checked against the method's entry in NAMED_ARGS and returned. Otherwise, returns null.
+ */
+export function namedArgs(method, args) {
+    const {required, optional} = NAMED_ARGS[method];
+    const named = args[0];
+    if (named === null || typeof named !== 'object' || Object.getPrototypeOf(named) !== Object.prototype) {
+        return null;
+    }
+    if (args.slice(1).some(arg => arg !== undefined)) {
+        throw new TypeError(`${method}: pass either an object of named arguments or positional arguments, not both`);
+    }
+
+    const missing = required.filter(key => named[key] === undefined);
+    if (missing.length > 0) {
+        throw new TypeError(`${method}: missing required argument(s) ${missing.join(', ')}`);
+    }
+    const unknown = Object.keys(named).filter(key => required.indexOf(key) === -1 && optional.indexOf(key) === -1);
+    if (unknown.length > 0) {
+        throw new TypeError(`${method}: unknown argument(s) ${unknown.join(', ')}`);
+    }
+    return named;
+}
+
+/**
+ * Calls `callback` once the clock reaches `time` (in ms since the epoch), waiting in steps if it's far in the future.
+ * The timer doesn't keep nodejs processes alive. Returns a function that cancels it.
+ */
+export function setTimer(time, callback) {
+    let timer;
+    const wait = () => {
+        const delay = Math.min(Math.max(time - Date.now(), 0), MAX_TIMER_DELAY);
+        timer = setTimeout(() => Date.now() >= time ? callback() : wait(), delay);
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+    };
+    wait();
+    return () => clearTimeout(timer);
+}
+
+/**
+ * Splits `ids` into lists whose comma-joined length doesn't exceed MAX_ID_LIST_LENGTH.
+ */
+export function chunkIds(ids) {
+    const chunks = [];
+    let chunk = [];
+    let chunkLength = 0;
+    ids.forEach(id => {
+        const idLength = String(id).length + (chunk.length > 0 ? 1 : 0);
+        if (chunk.length > 0 && chunkLength + idLength > MAX_ID_LIST_LENGTH) {
+            chunks.push(chunk);
+            chunk = [];
+            chunkLength = 0;
+        }
+        chunkLength += String(id).length + (chunk.length > 0 ? 1 : 0);
+        chunk.push(id);
+    });
+    if (chunk.length > 0) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Like `Promise.all(items.map(fn))`, but with at most `concurrency` calls to `fn` in flight at a time.
+ */
+export function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(concurrency, 1), items.length); i++) {
+        workers.push(worker());
+    }
+    return Promise.all(workers).then(() => results);
+}
@@ -0,0 +1,490 @@
+import base64 from 'base-64';
+import {DEFAULT_PER_PAGE, DEFAULT_CONCURRENCY, namedArgs, mapWithConcurrency} from './util';
+import {PageIterator, hasMorePages} from './pagination';
+import {toSearchOption, iterateSearch} from './search';
+import {cacheKeys, cacheKeyPrefixes} from './cacheKeys';
+
+/**
+ * Methods for vaults, schemas and documents; see `TrueVaultCore.with`.
+ */
+export class VaultMethods {
+    /**
+     * Lists all vaults. See https://docs.truevault.com/vaults#list-all-vaults.
+     * @param [page=1]
+     * @param [per_page=100]
+     * @returns {Promise<*>}
+     */
+    async listVaults(page, per_page) {
+        if (typeof page !== "number") {
+            page = 1;
+        }
+        if (typeof per_page !== "number") {
+            per_page = 100
+        }
+        const response = await this.performLegacyRequest(`v1/vaults?page=${page}&per_page=${per_page}`);
+        return response.vaults;
+    }
+
+    /**
+     * Iterate over all vaults, fetching them a page at a time. See https://docs.truevault.com/vaults#list-all-vaults.
+     * @param {Object} [options]
+     * @param {number} [options.perPage=100] number of vaults to request per page.
+     * @returns {PageIterator} an async iterator of vaults.
+     */
+    iterateVaults(options) {
+        const {perPage = DEFAULT_PER_PAGE} = options || {};
+        return new PageIterator(async page => {
+            const response = await this.performLegacyRequest(`v1/vaults?page=${page}&per_page=${perPage}`);
+            return {items: response.vaults, hasMore: hasMorePages(response, response.vaults, perPage)};
+        });
+    }
+
+    /**
+     * Create a new vault. See https://docs.truevault.com/vaults#create-a-vault.
+     * @param {string} name the name of the new vault.
+     * @returns {Promise.<Object>}
+     */
+    async createVault(name) {
+        const formData = this._newFormData();
+        formData.append("name", name);
+
+        const response = await this.performLegacyRequest('v1/vaults', {
+            method: 'POST',
+            body: formData
+        });
+        return response.vault;
+    }
+
+    /**
+     * Read a vault. See https://docs.truevault.com/vaults#read-a-vault
+     * @param vaultId
+     * @returns {Promise<Object>}
+     */
+    async readVault(vaultId) {
+        return this._cached('vault', cacheKeys.vault(vaultId), async () => {
+            const response = await this.performLegacyRequest(`v1/vaults/${vaultId}`);
+
+            return response.vault;
+        });
+    }
+
+    /**
+     * Update a vault. See https://docs.truevault.com/vaults#update-a-vault
+     * @param vaultId
+     * @param name
+     * @returns {Promise<Object>}
+     */
+    async updateVault(vaultId, name) {
+        const formData = this._newFormData();
+        formData.append('name', name);
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}`, {
+            method: 'PUT',
+            body: formData
+        });
+
+        await this._invalidateCache([cacheKeys.vault(vaultId)]);
+        return response.vault;
+    }
+
+    /**
+     * Delete a vault. See https://docs.truevault.com/vaults#delete-a-vault
+     * @param vaultId
+     * @returns {Promise<Object>}
+     */
+    async deleteVault(vaultId) {
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}`, {
+            method: 'DELETE'
+        });
+
+        await this._invalidateCache([cacheKeys.vault(vaultId), cacheKeys.schemas(vaultId)]);
+        await this._invalidateCachePrefixes(cacheKeyPrefixes.vaultContents(vaultId));
+        return response.vault;
+    }
+
+    /**
+     * Create a new schema. See https://docs.truevault.com/schemas#create-a-schema.
+     * @param {string} vaultId the vault that should contain the schema.
+     * @param {string} name the name of the schema.
+     * @param {Array} fields field metadata for the schema. See https://docs.truevault.com/schemas.
+     * @returns {Promise.<Object>}
+     */
+    async createSchema(vaultId, name, fields) {
+        const schemaDefinition = {name, fields};
+        const formData = this._newFormData();
+        formData.append("schema", base64.encode(JSON.stringify(schemaDefinition)));
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/schemas`, {
+            method: 'POST',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.schemas(vaultId)]);
+        return response.schema;
+    }
+
+    /**
+     * Create a new schema. See https://docs.truevault.com/schemas#update-a-schema
+     * @param {string} vaultId the vault that should contain the schema.
+     * @param {string} schemaId the schemathat should contain the schema.
+     * @param {string} name the name of the schema.
+     * @param {Array} fields field metadata for the schema. See https://docs.truevault.com/schemas.
+     * @returns {Promise.<Object>}
+     */
+    async updateSchema(vaultId, schemaId, name, fields) {
+        const schemaDefinition = {name, fields};
+        const formData = this._newFormData();
+        formData.append("schema", base64.encode(JSON.stringify(schemaDefinition)));
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/schemas/${schemaId}`, {
+            method: 'PUT',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.schema(vaultId, schemaId), cacheKeys.schemas(vaultId)]);
+        return response.schema;
+    }
+
+    /**
+     * Read a schema. See https://docs.truevault.com/schemas#read-a-schema
+     * @param vaultId
+     * @param schemaId
+     * @returns {Promise<Object>}
+     */
+    async readSchema(vaultId, schemaId) {
+        return this._cached('schema', cacheKeys.schema(vaultId, schemaId), async () => {
+            const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/schemas/${schemaId}`);
+            return response.schema;
+        });
+    }
+
+    /**
+     * List all schemas in a vault. See https://docs.truevault.com/schemas#list-all-schemas
+     * @param vaultId
+     * @returns {Promise<Object>}
+     */
+    async listSchemas(vaultId) {
+        return this._cached('schemas', cacheKeys.schemas(vaultId), async () => {
+            const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/schemas`);
+            return response.schemas;
+        });
+    }
+
+    /**
+     * Delete a schema. See https://docs.truevault.com/schemas#delete-a-schema
+     * @param vaultId
+     * @param schemaId
+     * @returns {Promise<undefined>}
+     */
+    async deleteSchema(vaultId, schemaId) {
+        await this.performLegacyRequest(`v1/vaults/${vaultId}/schemas/${schemaId}`, {
+            method: 'DELETE'
+        });
+        await this._invalidateCache([cacheKeys.schema(vaultId, schemaId), cacheKeys.schemas(vaultId)]);
+    }
+
+    /**
+     * Create a new document. See https://docs.truevault.com/documents#create-a-document.
+     * @param {string} vaultId vault to place the document in.
+     * @param {string|null} schemaId schema to associate with the document.
+     * @param {Object} document document contents.
+     * @param {string|null} [ownerId] the document's owner.
+     * @returns {Promise.<Object>}
+     */
+    async createDocument(vaultId, schemaId, document, ownerId) {
+        const body = {document: await this._encryptDocument(vaultId, document)};
+
+        if (typeof schemaId === 'string') {
+            body.schema_id = schemaId;
+        }
+
+        if (typeof ownerId === 'string') {
+            body.owner_id = ownerId;
+        }
+        const response = await this.performJSONRequest(`v2/vaults/${vaultId}/documents`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        return response.document;
+    }
+
+    /**
+     * Create many documents, making several requests at once. A failure to create one document doesn't stop the
+     * others from being created; check each result's `error`. See https://docs.truevault.com/documents#create-a-document.
+     *
+     * ```js
+     * const results = await client.createDocuments(vaultId, records, {
+     *   schemaId,
+     *   concurrency: 8,
+     *   onProgress: ({completed, total}) => console.log(`${completed}/${total}`)
+     * });
+     * const failed = results.filter(result => result.error);
+     * ```
+     *
+     * @param {string} vaultId vault to place the documents in.
+     * @param {Array<Object>} documents contents of the documents to create.
+     * @param {Object} [options]
+     * @param {string} [options.schemaId] schema to associate with the documents.
+     * @param {string} [options.ownerId] owner of the documents.
+     * @param {number} [options.concurrency=4] maximum number of documents to create at once.
+     * @param {function} [options.onProgress] called after each document with `{completed, succeeded, failed, total}`.
+     * @returns {Promise.<Array>} one result per document, in the same order: `{index, id, document, error}`, where
+     * `document` is the created document (as returned by `createDocument`) and `error` is the error that prevented it
+     * from being created, if any.
+     */
+    async createDocuments(vaultId, documents, options) {
+        const {schemaId, ownerId, concurrency = DEFAULT_CONCURRENCY, onProgress} = options || {};
+        const progress = {completed: 0, succeeded: 0, failed: 0, total: documents.length};
+
+        return mapWithConcurrency(documents, concurrency, async (document, index) => {
+            let result;
+            try {
+                const created = await this.createDocument(vaultId, schemaId, document, ownerId);
+                result = {index, id: created.id, document: created, error: null};
+                progress.succeeded++;
+            } catch (e) {
+                result = {index, id: null, document: null, error: e};
+                progress.failed++;
+            }
+            progress.completed++;
+            if (onProgress) {
+                onProgress(Object.assign({}, progress));
+            }
+            return result;
+        });
+    }
+
+    /**
+     * List documents in a vault. See https://docs.truevault.com/documents#list-all-documents.
+     * @param {string} vaultId vault to look in.
+     * @param {boolean} full include document contents in listing.
+     * @param {number} [page] which page to get, if pagination is needed.
+     * @param {number} [perPage] number of documents per page.
+     * @returns {Promise.<Object>}
+     */
+    async listDocuments(vaultId, full, page, perPage) {
+        let url = `v1/vaults/${vaultId}/documents?`;
+        if (!!full) {
+            url += `&full=${full}`;
+        }
+        if (!!page) {
+            url += `&page=${page}`;
+        }
+        if (!!perPage) {
+            url += `&per_page=${perPage}`;
+        }
+        const response = await this.performLegacyRequest(url);
+        if (!!full) {
+            response.data.items = await this._decryptDocuments(vaultId, response.data.items.map(item => {
+                if (item.document) {
+                    item.document = JSON.parse(base64.decode(item.document));
+                }
+                return item;
+            }));
+        }
+        return response.data;
+    }
+
+    /**
+     * List documents in a schema. See https://docs.truevault.com/documents#list-all-documents-with-schema
+     * @param {string} vaultId vault to look in.
+     * @param {string} schemaId
+     * @param {boolean} [full] include document contents in listing.
+     * @param {number} [page] which page to get, if pagination is needed.
+     * @param {number} [perPage] number of documents per page.
+     * @returns {Promise.<Object>}
+     */
+    async listDocumentsInSchema(vaultId, schemaId, full, page, perPage) {
+        let url = `v1/vaults/${vaultId}/schemas/${schemaId}/documents?`;
+        if (!!full) {
+            url += `&full=${full}`;
+        }
+        if (!!page) {
+            url += `&page=${page}`;
+        }
+        if (!!perPage) {
+            url += `&per_page=${perPage}`;
+        }
+        const response = await this.performLegacyRequest(url);
+        if (!!full) {
+            response.data.items = await this._decryptDocuments(vaultId, response.data.items.map(item => {
+                if (item.document) {
+                    item.document = JSON.parse(base64.decode(item.document));
+                }
+                return item;
+            }));
+        }
+        return response.data;
+    }
+
+    /**
+     * Iterate over every document in a vault, or in one of its schemas, fetching pages as needed. See
+     * `listDocuments` and `listDocumentsInSchema`.
+     * @param {string} vaultId vault to look in.
+     * @param {Object} [options]
+     * @param {string} [options.schemaId] only iterate over documents in this schema.
+     * @param {boolean} [options.full] include (decoded) document contents.
+     * @param {number} [options.perPage] number of documents to request per page.
+     * @returns {PageIterator} an async iterator of document list items.
+     */
+    iterateDocuments(vaultId, options) {
+        const {schemaId, full, perPage} = options || {};
+        return new PageIterator(async page => {
+            const data = schemaId ?
+                await this.listDocumentsInSchema(vaultId, schemaId, full, page, perPage) :
+                await this.listDocuments(vaultId, full, page, perPage);
+            return {items: data.items, hasMore: data.page * data.per_page < data.total};
+        });
+    }
+
+    /**
+     * Get the contents of one or more documents. See https://docs.truevault.com/documents#read-a-document. Long lists
+     * of ids are split over several requests, some of which are made in parallel.
+     * @param {string} vaultId vault to look in.
+     * @param {Array} documentIds document ids to retrieve.
+     * @returns {Promise.<Array>} the documents, in the same order as `documentIds`, with null in place of documents
+     * that don't exist. (TrueVault fails a request for several documents if any of them is missing; this method finds
+     * the missing ones with further requests and leaves them out rather than throwing a `NotFoundError`.)
+     */
+    async getDocuments(vaultId, documentIds) {
+        // Cached documents stay encrypted; they're decrypted on every read
+        const keyForId = id => cacheKeys.document(vaultId, id);
+        const documents = await this._cachedByIds('document', documentIds, keyForId, ids => {
+            return this._readByIds(ids, 'DOCUMENT.NOT_FOUND', async chunk => {
+                const response = await this.performJSONRequest(`v2/vaults/${vaultId}/documents/${chunk.join(',')}`);
+                return response.documents;
+            });
+        });
+        return this._decryptDocuments(vaultId, documents);
+    }
+
+    /**
+     * Perform a search. See https://docs.truevault.com/documentsearch#search-documents.
+     * @param {string} vaultId vault to search in.
+     * @param {Object|Search} searchOption search query, either as a `Search` or a plain object. See
+     * https://docs.truevault.com/documentsearch#defining-search-options. Plain objects are sent as they are, without
+     * the checks that `Search` makes.
+     * @returns {Promise.<Object>}
+     */
+    async searchDocuments(vaultId, searchOption) {
+        const formData = this._newFormData();
+        formData.append("search_option", base64.encode(JSON.stringify(toSearchOption(searchOption))));
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/search`, {
+            method: 'POST',
+            body: formData
+        });
+
+        const documents = await this._decryptDocuments(vaultId, response.data.documents.map(doc => {
+            if (doc.document) {
+                doc.document = JSON.parse(base64.decode(doc.document));
+            }
+            return doc;
+        }));
+
+        return {
+            info: response.data.info,
+            documents
+        };
+    }
+
+    /**
+     * Iterate over all results of a document search, fetching pages as needed. Documents are decoded as in
+     * `searchDocuments`. The iterator's `info` property holds the paging info of the latest page, e. g.
+     * `info.total_result_count`.
+     * @param {string} vaultId vault to search in.
+     * @param {Object|Search} searchOption search query. Results start from its `page`, if given.
+     * @returns {PageIterator} an async iterator of search results.
+     */
+    iterateSearchDocuments(vaultId, searchOption) {
+        return iterateSearch(searchOption, searchOptionForPage => this.searchDocuments(vaultId, searchOptionForPage));
+    }
+
+    /**
+     * Update an existing document. See https://docs.truevault.com/documents#update-a-document.
+     * Can also be called with a single object holding the arguments by name, e. g.
+     * `updateDocument({vaultId, documentId, document, ownerId})`.
+     * @param {string} vaultId vault that contains the document.
+     * @param {string} documentId document id to update.
+     * @param {Object} document new document contents.
+     * @param {string|null} [ownerId] the new document owner.
+     * @param {string|null} [schemaId] the new document schema.
+     * @returns {Promise.<Object>}
+     */
+    async updateDocument(vaultId, documentId, document, ownerId, schemaId) {
+        const named = namedArgs('updateDocument', [vaultId, documentId, document, ownerId, schemaId]);
+        if (named) {
+            ({vaultId, documentId, document, ownerId, schemaId} = named);
+        }
+        const body = {document: await this._encryptDocument(vaultId, document)};
+
+        if (typeof ownerId === 'string') {
+            body.owner_id = ownerId;
+        }
+
+        if (typeof schemaId === 'string') {
+            body.schema_id = schemaId;
+        }
+
+        const response = await this.performJSONRequest(`v2/vaults/${vaultId}/documents/${documentId}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+        await this._invalidateCache([cacheKeys.document(vaultId, documentId)]);
+        return response.document;
+    }
+
+    /**
+     * Update a document's owner. See https://docs.truevault.com/documents#update-a-document-s-owner.
+     * @param {string} vaultId the vault containing the document.
+     * @param {string} documentId id of the document.
+     * @param {string} ownerId the new document owner, or '' to remove owner.
+     * @returns {Promise.<Object>}
+     */
+    async updateDocumentOwner(vaultId, documentId, ownerId) {
+        const formData = this._newFormData();
+        formData.append('owner_id', ownerId);
+
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/documents/${documentId}/owner`, {
+            method: 'PUT',
+            body: formData
+        });
+        await this._invalidateCache([cacheKeys.document(vaultId, documentId)]);
+        return response.document;
+    }
+
+    /**
+     * Delete a document. See https://docs.truevault.com/documents#delete-a-document.
+     * @param {string} vaultId vault that contains the document.
+     * @param {string} documentId document id to delete.
+     * @returns {Promise.<Object>}
+     */
+    async deleteDocument(vaultId, documentId) {
+        const response = await this.performLegacyRequest(`v1/vaults/${vaultId}/documents/${documentId}`, {
+            method: 'DELETE'
+        });
+        await this._invalidateCache([cacheKeys.document(vaultId, documentId)]);
+        return {
+            id: response.document_id,
+            owner_id: response.owner_id
+        };
+    }
+
+    _encryptDocument(vaultId, document) {
+        return this._encryption ? this._encryption.encryptDocument(vaultId, document) : Promise.resolve(document);
+    }
+
+    /**
+     * Decrypts the `document` of each item (e. g. a search result), leaving null items as they are.
+     * @private
+     */
+    _decryptDocuments(vaultId, items) {
+        if (!this._encryption) {
+            return Promise.resolve(items);
+        }
+        return Promise.all(items.map(async item => {
+            if (!item || !item.document) {
+                return item;
+            }
+            return Object.assign({}, item, {document: await this._encryption.decryptDocument(vaultId, item.document)});
+        }));
+    }
+}
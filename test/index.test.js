@@ -1,4 +1,8 @@
 import TrueVault from '../index';
+import * as modules from '../src/node';
+import * as esModules from '../src/index';
+import {TrueVaultCore, UserMethods, VaultMethods, BlobMethods} from '../src/index';
+import {createSha256} from '../src/hash';
 
 import base64 from 'base-64';
 import uuid from 'uuid';
@@ -96,6 +100,88 @@ describe('TrueVaultClient', function () {
             (await loginClient.logout()).should.matchSchema(USER_SCHEMA);
             should(loginClient.authHeader).equals(null);
         });
+
+        it('works in steps', async function () {
+            const loginUserUsername = uniqueString();
+            const loginUserPassword = 'testpassword';
+            await client.createUser(loginUserUsername, loginUserPassword);
+
+            const step = await TrueVault.beginLogin(TEST_ACCOUNT_UUID, loginUserUsername, loginUserPassword, TEST_TRUEVAULT_HOST);
+            step.state.should.equal('authenticated');
+            (await step.client.readCurrentUser(false)).username.should.equal(loginUserUsername);
+        });
+
+        it('asks for MFA codes in steps', async function () {
+            const submittedCodes = [];
+            const fakeFetch = async (url, options) => {
+                const mfaCode = options.body.get('mfa_code');
+                submittedCodes.push(mfaCode);
+                if (mfaCode !== '123456') {
+                    const code = mfaCode ? 'AUTH.INVALID_MFA_CODE' : 'AUTH.MFA_REQUIRED';
+                    return {status: 401, text: async () => JSON.stringify({result: 'error', error: {type: 'AUTH', code, message: code}})};
+                }
+                return {status: 200, text: async () => JSON.stringify({result: 'success', user: {access_token: 'token'}})};
+            };
+
+            let step = await TrueVault.beginLogin(TEST_ACCOUNT_UUID, 'username', 'password', 'https://example.com', undefined, {transport: {fetch: fakeFetch}});
+            step.state.should.equal('mfaRequired');
+            step = await step.submitMfaCode('000000');
+            step.state.should.equal('invalidMfaCode');
+            step.error.should.be.instanceOf(TrueVault.AuthenticationError);
+            step = await step.submitMfaCode('123456');
+            step.state.should.equal('authenticated');
+            step.client.accessToken.should.equal('token');
+            submittedCodes.should.eql([null, '000000', '123456']);
+        });
+
+        it('reports each login error code as a step, and throws other errors', async function () {
+            const loginFailingWith = (status, code) => {
+                const body = JSON.stringify({result: 'error', error: {type: 'AUTH', code, message: code}});
+                const fakeFetch = async () => ({status, text: async () => body});
+                return TrueVault.beginLogin(TEST_ACCOUNT_UUID, 'username', 'password', 'https://example.com', undefined,
+                    {transport: {fetch: fakeFetch}});
+            };
+            const expectedStates = [
+                [401, 'AUTH.MFA_REQUIRED', 'mfaRequired', true],
+                [401, 'AUTH.INVALID_MFA_CODE', 'invalidMfaCode', true],
+                [403, 'AUTH.USER_LOCKED', 'locked', false],
+                [401, 'AUTH.INVALID_CREDENTIALS', 'invalidCredentials', false]
+            ];
+
+            for (const [status, code, state, acceptsMfaCode] of expectedStates) {
+                const step = await loginFailingWith(status, code);
+                step.state.should.equal(state);
+                step.error.should.be.instanceOf(TrueVault.TrueVaultError);
+                step.error.code.should.equal(code);
+                (typeof step.submitMfaCode === 'function').should.equal(acceptsMfaCode);
+            }
+
+            await loginFailingWith(401, 'AUTH.SOMETHING_ELSE')
+                .should.be.rejectedWith(TrueVault.AuthenticationError, {code: 'AUTH.SOMETHING_ELSE'});
+            await loginFailingWith(500, undefined).should.be.rejectedWith(TrueVault.TrueVaultError, {status: 500});
+        });
+
+        it('accepts named arguments', async function () {
+            const fakeFetch = async (url, options) => {
+                options.body.get('username').should.equal('username');
+                options.body.get('mfa_code').should.equal('123456');
+                return {status: 200, text: async () => JSON.stringify({result: 'success', user: {access_token: 'token'}})};
+            };
+
+            const loginClient = await TrueVault.login({
+                accountId: 'account',
+                username: 'username',
+                password: 'password',
+                mfaCode: '123456',
+                host: 'https://example.com',
+                options: {transport: {fetch: fakeFetch}}
+            });
+            loginClient.accessToken.should.equal('token');
+
+            await TrueVault.login({accountId: 'account', username: 'username'}).should.be.rejectedWith(TypeError, {message: /password/});
+            await TrueVault.login({accountId: 'account', username: 'username', password: 'password', mfa: '123456'})
+                .should.be.rejectedWith(TypeError, {message: /unknown argument\(s\) mfa/});
+        });
     });
 
     describe('error handling', function () {
@@ -104,6 +190,10 @@ describe('TrueVaultClient', function () {
                 await TrueVault.login(TEST_ACCOUNT_UUID, 'invalid', 'invalid', undefined, TEST_TRUEVAULT_HOST);
                 should.fail(null, null, 'Should have thrown');
             } catch (e) {
+                e.should.be.instanceOf(TrueVault.TrueVaultError);
+                e.method.should.equal('POST');
+                e.path.should.equal('v1/auth/login');
+                e.transactionId.should.equal(e.transaction_id);
                 e.error.should.matchSchema({
                     type: 'object',
                     properties: {
@@ -118,6 +208,1114 @@ describe('TrueVaultClient', function () {
         });
     });
 
+    describe('transport', function () {
+        it('routes requests through the supplied fetch', async function () {
+            const requestedUrls = [];
+            const fakeFetch = async url => {
+                requestedUrls.push(url);
+                return {
+                    status: 200,
+                    text: async () => JSON.stringify({result: 'success', user: {access_token: 'faketoken'}})
+                };
+            };
+
+            const loginClient = await TrueVault.login(TEST_ACCOUNT_UUID, 'username', 'password', undefined, 'https://example.com', undefined, {transport: {fetch: fakeFetch}});
+            loginClient.accessToken.should.equal('faketoken');
+            requestedUrls.should.have.length(1);
+            requestedUrls[0].should.startWith('https://example.com/v1/auth/login');
+        });
+
+        describe('progress without XMLHttpRequest', function () {
+            const fakeHeaders = headers => ({get: name => headers.hasOwnProperty(name) ? headers[name] : null});
+
+            const fakeBody = chunks => new Readable({
+                read() {
+                    chunks.forEach(chunk => this.push(Buffer.from(chunk)));
+                    this.push(null);
+                }
+            });
+
+            // Reads a request body the way fetch would: either a WHATWG stream or a nodejs stream
+            async function consumeBody(body) {
+                let length = 0;
+                if (typeof body.getReader === 'function') {
+                    const reader = body.getReader();
+                    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                        length += chunk.value.length;
+                    }
+                    return length;
+                }
+                return new Promise(resolve => {
+                    body.on('data', chunk => length += chunk.length);
+                    body.on('end', () => resolve(length));
+                    body.resume();
+                });
+            }
+
+            it('reports upload progress as fetch consumes the body', async function () {
+                let sentLength;
+                const fakeFetch = async (url, options) => {
+                    sentLength = await consumeBody(options.body);
+                    return {
+                        status: 200,
+                        headers: fakeHeaders({}),
+                        body: fakeBody([JSON.stringify({result: 'success', blob: {id: 'blob'}})])
+                    };
+                };
+                const progressClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                    transport: {fetch: fakeFetch, createXMLHttpRequest: null}
+                });
+
+                const events = [];
+                const file = typeof Blob !== 'undefined' ? new Blob(['x'.repeat(100000)]) : 'x'.repeat(100000);
+                const blob = await progressClient.createBlobWithProgress('vault', file, event => events.push(event));
+                blob.id.should.equal('blob');
+
+                events.length.should.be.above(1);
+                events[events.length - 1].type.should.equal('load');
+                events[events.length - 1].loaded.should.equal(sentLength);
+                events.forEach(event => {
+                    event.lengthComputable.should.be.true();
+                    event.total.should.equal(sentLength);
+                });
+            });
+
+            it('reports download progress as the response arrives', async function () {
+                const fakeFetch = async () => ({
+                    status: 200,
+                    headers: fakeHeaders({
+                        'Content-Type': 'text/plain',
+                        'Content-Length': '5',
+                        'Content-Disposition': 'attachment; filename="hello.txt"'
+                    }),
+                    body: fakeBody(['hel', 'lo'])
+                });
+                const progressClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                    transport: {fetch: fakeFetch, createXMLHttpRequest: null}
+                });
+
+                const events = [];
+                const response = await progressClient.getBlobWithProgress('vault', 'blob', event => events.push(event));
+                response.contentType.should.equal('text/plain');
+                response.fileName.should.equal('hello.txt');
+                (response.blob.size || response.blob.length).should.equal(5);
+                events.map(event => `${event.type} ${event.loaded}/${event.total}`).should.eql([
+                    'progress 3/5',
+                    'progress 5/5',
+                    'load 5/5'
+                ]);
+            });
+        });
+    });
+
+    describe('retries', function () {
+        const vaultResponse = {
+            status: 200,
+            text: async () => JSON.stringify({result: 'success', vault: {id: 'vault'}})
+        };
+
+        // A fetch that answers with each of `responses` in turn; functions are called to produce the response
+        function sequenceFetch(responses) {
+            const fetch = async (url, options) => {
+                fetch.methods.push(options.method);
+                const response = responses[Math.min(fetch.methods.length, responses.length) - 1];
+                return typeof response === 'function' ? response() : response;
+            };
+            fetch.methods = [];
+            return fetch;
+        }
+
+        function errorResponse(status, headers) {
+            const response = {
+                status,
+                headers: {get: name => (headers || {})[name] || null},
+                body: {cancel: async () => response.cancelled = true},
+                text: async () => JSON.stringify({result: 'error', error: {message: 'Try again'}})
+            };
+            return response;
+        }
+
+        function retryingClient(fetch, retry) {
+            return new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                retry: Object.assign({maxAttempts: 3, baseDelay: 1, maxDelay: 20}, retry),
+                transport: {fetch}
+            });
+        }
+
+        it('retries 5xx responses and discards their bodies', async function () {
+            const failure = errorResponse(503);
+            const fetch = sequenceFetch([failure, vaultResponse]);
+
+            (await retryingClient(fetch).readVault('vault')).id.should.equal('vault');
+            fetch.methods.should.eql(['GET', 'GET']);
+            failure.cancelled.should.be.true();
+        });
+
+        it('retries network failures', async function () {
+            const fetch = sequenceFetch([() => Promise.reject(new Error('connection reset')), vaultResponse]);
+
+            (await retryingClient(fetch).readVault('vault')).id.should.equal('vault');
+            fetch.methods.should.have.length(2);
+        });
+
+        it('gives up after maxAttempts', async function () {
+            const fetch = sequenceFetch([errorResponse(500)]);
+
+            try {
+                await retryingClient(fetch).readVault('vault');
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.status.should.equal(500);
+                fetch.methods.should.have.length(3);
+            }
+        });
+
+        it('waits as long as Retry-After asks, in seconds or as a date', async function () {
+            const fetch = sequenceFetch([
+                errorResponse(429, {'Retry-After': '0'}),
+                errorResponse(429, {'Retry-After': new Date(Date.now() - 1000).toUTCString()}),
+                vaultResponse
+            ]);
+
+            // A backoff this long would time the test out, so the Retry-After delays must have been used instead
+            const vault = await retryingClient(fetch, {baseDelay: 60000, maxDelay: 60000}).readVault('vault');
+            vault.id.should.equal('vault');
+            fetch.methods.should.have.length(3);
+        });
+
+        it('gives up when Retry-After exceeds maxDelay', async function () {
+            const fetch = sequenceFetch([errorResponse(429, {'Retry-After': '3600'}), vaultResponse]);
+
+            try {
+                await retryingClient(fetch).readVault('vault');
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.RateLimitError);
+                fetch.methods.should.have.length(1);
+            }
+        });
+
+        it('caps the backoff at maxDelay', async function () {
+            const fetch = sequenceFetch([errorResponse(502), errorResponse(502), vaultResponse]);
+
+            const start = Date.now();
+            await retryingClient(fetch, {baseDelay: 60000, maxDelay: 10}).readVault('vault');
+            (Date.now() - start).should.be.below(1000);
+            fetch.methods.should.have.length(3);
+        });
+
+        it('only retries POSTs marked idempotent', async function () {
+            const documentResponse = {status: 200, text: async () => JSON.stringify({result: 'success', id: 'doc'})};
+
+            const fetch = sequenceFetch([errorResponse(503), documentResponse]);
+            try {
+                await retryingClient(fetch).createDocument('vault', null, {});
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.status.should.equal(503);
+                fetch.methods.should.eql(['POST']);
+            }
+
+            const idempotentFetch = sequenceFetch([errorResponse(503), documentResponse]);
+            const idempotentClient = retryingClient(idempotentFetch).withRequestOptions({idempotent: true});
+            await idempotentClient.createDocument('vault', null, {});
+            idempotentFetch.methods.should.eql(['POST', 'POST']);
+        });
+    });
+
+    describe('timeouts', function () {
+        it('rejects with a TimeoutError', async function () {
+            const hangingFetch = () => new Promise(() => {});
+            const timeoutClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                timeout: 10,
+                transport: {fetch: hangingFetch}
+            });
+
+            try {
+                await timeoutClient.readCurrentUser();
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.TimeoutError);
+            }
+        });
+
+        it('stops retrying once timed out', async function () {
+            let attempts = 0;
+            const failingFetch = async () => {
+                attempts++;
+                throw new Error('connection reset');
+            };
+            const timeoutClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                timeout: 10,
+                retry: {maxAttempts: 5, baseDelay: 40, maxDelay: 40},
+                transport: {fetch: failingFetch}
+            });
+
+            try {
+                await timeoutClient.readCurrentUser();
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.TimeoutError);
+            }
+            const attemptsWhenTimedOut = attempts;
+            await sleep(200);
+            attempts.should.equal(attemptsWhenTimedOut);
+        });
+
+        it('can be cancelled with an AbortSignal', async function () {
+            if (typeof AbortController === "undefined") {
+                this.skip();
+            }
+            const controller = new AbortController();
+            const hangingFetch = () => new Promise(() => {});
+            const abortableClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: hangingFetch}});
+
+            const request = abortableClient.withRequestOptions({signal: controller.signal}).readCurrentUser();
+            controller.abort();
+            try {
+                await request;
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.name.should.equal('AbortError');
+            }
+        });
+    });
+
+    describe('error classes', function () {
+        function clientRespondingWith(status, body) {
+            const fakeFetch = async () => ({status, text: async () => body});
+            return new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+        }
+
+        it('are chosen by HTTP status', async function () {
+            const notFoundClient = clientRespondingWith(404, JSON.stringify({
+                result: 'error',
+                error: {code: 'VAULT.NOT_FOUND', message: 'Vault not found', type: 'VAULT.NOT_FOUND'},
+                transaction_id: 'transaction'
+            }));
+
+            try {
+                await notFoundClient.readVault('vault');
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.NotFoundError);
+                e.should.be.instanceOf(TrueVault.TrueVaultError);
+                e.should.be.instanceOf(Error);
+                e.status.should.equal(404);
+                e.code.should.equal('VAULT.NOT_FOUND');
+                e.transactionId.should.equal('transaction');
+                e.path.should.equal('v1/vaults/vault');
+            }
+        });
+
+        it('are parsed from failed BLOB downloads', async function () {
+            const fakeFetch = async () => ({
+                status: 404,
+                headers: {get: name => name === 'Content-Type' ? 'application/json' : null},
+                body: new Readable({
+                    read() {
+                        this.push(Buffer.from(JSON.stringify({
+                            result: 'error',
+                            error: {code: 'BLOB.NOT_FOUND', message: 'Blob not found', type: 'BLOB.NOT_FOUND'},
+                            transaction_id: 'transaction'
+                        })));
+                        this.push(null);
+                    }
+                })
+            });
+            const progressClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                transport: {fetch: fakeFetch, createXMLHttpRequest: null}
+            });
+
+            try {
+                await progressClient.getBlobWithProgress('vault', 'blob', () => {});
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.NotFoundError);
+                e.code.should.equal('BLOB.NOT_FOUND');
+                e.transactionId.should.equal('transaction');
+            }
+        });
+
+        it('handle non-JSON responses', async function () {
+            try {
+                await clientRespondingWith(502, '<html>Bad Gateway</html>').readVault('vault');
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.TrueVaultError);
+                e.status.should.equal(502);
+                e.responseBody.should.equal('<html>Bad Gateway</html>');
+            }
+        });
+
+        it('wrap network failures', async function () {
+            const failingFetch = async () => {
+                throw new Error('connection reset');
+            };
+            const offlineClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: failingFetch}});
+
+            try {
+                await offlineClient.readVault('vault');
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.NetworkError);
+                e.cause.message.should.equal('connection reset');
+            }
+        });
+    });
+
+    describe('middleware', function () {
+        it('can modify requests and transform results', async function () {
+            const requests = [];
+            const fakeFetch = async (url, options) => {
+                requests.push({url, options});
+                return {status: 200, text: async () => JSON.stringify({result: 'success', vault: {id: 'vault', name: 'name'}})};
+            };
+            const middlewareClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+            const seenKinds = [];
+            middlewareClient
+                .use(async (request, next) => {
+                    seenKinds.push(request.kind);
+                    request.host = 'https://proxy.example.com';
+                    request.options.headers['X-Correlation-Id'] = 'correlation';
+                    return next(request);
+                })
+                .use(async (request, next) => {
+                    const response = await next(request);
+                    response.vault.name = response.vault.name.toUpperCase();
+                    return response;
+                });
+
+            const vault = await middlewareClient.readVault('vault');
+            vault.name.should.equal('NAME');
+            seenKinds.should.eql(['legacy']);
+            requests[0].url.should.startWith('https://proxy.example.com/v1/vaults/vault');
+            requests[0].options.headers['X-Correlation-Id'].should.equal('correlation');
+        });
+
+        it('can handle errors', async function () {
+            const fakeFetch = async () => ({status: 404, text: async () => JSON.stringify({result: 'error', error: {message: 'not found'}})});
+            const middlewareClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                transport: {fetch: fakeFetch},
+                middleware: [async (request, next) => {
+                    try {
+                        return await next(request);
+                    } catch (e) {
+                        if (e instanceof TrueVault.NotFoundError) {
+                            return {vault: null};
+                        }
+                        throw e;
+                    }
+                }]
+            });
+
+            should(await middlewareClient.readVault('vault')).be.null();
+        });
+
+        it('can add headers to unauthenticated requests', async function () {
+            const requests = [];
+            const fakeFetch = async (url, options) => {
+                requests.push({url, options});
+                return {status: 200, text: async () => JSON.stringify({result: 'success', user: {access_token: 'token'}})};
+            };
+            const middleware = async (request, next) => {
+                request.options.headers['X-Correlation-Id'] = 'correlation';
+                return next(request);
+            };
+
+            await TrueVault.login(TEST_ACCOUNT_UUID, 'username', 'password', undefined, 'https://example.com', undefined, {
+                transport: {fetch: fakeFetch},
+                middleware: [middleware]
+            });
+            requests.should.have.length(1);
+            requests[0].options.headers['X-Correlation-Id'].should.equal('correlation');
+            should(requests[0].options.headers.Authorization).be.undefined();
+        });
+    });
+
+    describe('Search', function () {
+        it('builds search options', function () {
+            const search = TrueVault.Search
+                .where('last_name').eq('Smith', {caseSensitive: false})
+                .and('age').range({gte: 18})
+                .and('status').not.in(['DELETED'])
+                .and('email').wildcard('*@example.com')
+                .schema('schema')
+                .full()
+                .sortBy('created', 'desc')
+                .page(2, 50);
+
+            search.toSearchOption().should.eql({
+                filter: {
+                    last_name: {type: 'eq', value: 'Smith', case_sensitive: false},
+                    age: {type: 'range', value: {gte: 18}},
+                    status: {type: 'not', value: {type: 'in', value: ['DELETED']}},
+                    email: {type: 'wildcard', value: '*@example.com'}
+                },
+                filter_type: 'and',
+                schema_id: 'schema',
+                full_document: true,
+                sort: [{created: 'desc'}],
+                page: 2,
+                per_page: 50
+            });
+        });
+
+        it('rejects invalid searches', function () {
+            (() => TrueVault.Search.where('a').eq('b').and('c').eq('d').or('e')).should.throw(TrueVault.SearchBuildError);
+            (() => TrueVault.Search.where('a').eq('b').and('a').eq('c')).should.throw(TrueVault.SearchBuildError);
+            (() => TrueVault.Search.where('a').range({from: 1})).should.throw(TrueVault.SearchBuildError);
+            (() => TrueVault.Search.where('a').in([])).should.throw(TrueVault.SearchBuildError);
+            (() => TrueVault.Search.where('a').eq('b').sortBy('a', 'up').toSearchOption()).should.throw(TrueVault.SearchBuildError);
+            (() => TrueVault.Search.where('a').eq('b').page(0).toSearchOption()).should.throw(TrueVault.SearchBuildError);
+        });
+    });
+
+    describe('pagination', function () {
+        it('stops when the server ignores the page number', async function () {
+            const requestedUrls = [];
+            const fakeFetch = async url => {
+                requestedUrls.push(url);
+                const vaults = [{id: 'vault1'}, {id: 'vault2'}];
+                return {status: 200, text: async () => JSON.stringify({result: 'success', vaults})};
+            };
+            const pagingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+            const vaults = await pagingClient.iterateVaults({perPage: 2}).toArray();
+            vaults.map(vault => vault.id).should.eql(['vault1', 'vault2']);
+            requestedUrls.should.have.length(2);
+        });
+    });
+
+    describe('reading by ids', function () {
+        it('returns null for missing ids without exceeding the concurrency limit', async function () {
+            const missingIds = ['doc-005', 'doc-150', 'doc-151', 'doc-399'];
+            let inFlight = 0;
+            let maxInFlight = 0;
+            const fakeFetch = async url => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await sleep(1);
+                inFlight--;
+                // Like TrueVault, fail the whole request if any of the ids doesn't exist
+                const ids = url.split('?')[0].split('/documents/')[1].split(',');
+                if (ids.some(id => missingIds.indexOf(id) !== -1)) {
+                    return {
+                        status: 404,
+                        text: async () => JSON.stringify({
+                            result: 'error',
+                            error: {code: 'DOCUMENT.NOT_FOUND', message: 'Document not found'}
+                        })
+                    };
+                }
+                const documents = ids.map(id => ({id, document: {name: id}}));
+                return {status: 200, text: async () => JSON.stringify({result: 'success', documents})};
+            };
+            const readingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+            const ids = [];
+            for (let i = 0; i < 400; i++) {
+                ids.push(`doc-${`00${i}`.slice(-3)}`);
+            }
+            const documents = await readingClient.getDocuments('vault', ids);
+            documents.should.have.length(400);
+            documents.forEach((document, i) => {
+                if (missingIds.indexOf(ids[i]) !== -1) {
+                    should(document).be.null();
+                } else {
+                    document.id.should.equal(ids[i]);
+                }
+            });
+            maxInFlight.should.be.belowOrEqual(4);
+        });
+
+        it('rethrows a 404 that isn\'t about a missing item', async function () {
+            const urls = [];
+            const fakeFetch = async url => {
+                urls.push(url);
+                return {
+                    status: 404,
+                    text: async () => JSON.stringify({
+                        result: 'error',
+                        error: {code: 'VAULT.NOT_FOUND', message: 'Vault not found', type: 'VAULT.NOT_FOUND'}
+                    })
+                };
+            };
+            const readingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+            try {
+                await readingClient.getDocuments('missing-vault', ['doc-1', 'doc-2', 'doc-3']);
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.NotFoundError);
+                e.code.should.equal('VAULT.NOT_FOUND');
+            }
+            urls.should.have.length(1);
+        });
+    });
+
+    describe('BatchLoader', function () {
+        it('batches the loads made before the code yields', async function () {
+            const batches = [];
+            const loader = new TrueVault.BatchLoader(async ids => {
+                batches.push(ids);
+                return ids.map(id => ({id}));
+            });
+
+            const loads = [loader.load('a'), loader.load('b'), loader.load('a')];
+            await Promise.resolve();
+            // Dispatched in a microtask, before any timer could fire
+            batches.should.eql([['a', 'b']]);
+            (await Promise.all(loads)).map(item => item.id).should.eql(['a', 'b', 'a']);
+        });
+
+        it('can share results only while their batch is in flight', async function () {
+            const batches = [];
+            const loader = new TrueVault.BatchLoader(async ids => {
+                batches.push(ids);
+                return ids.map(id => ({id}));
+            }, {cache: false});
+
+            const loads = await Promise.all([loader.load('a'), loader.load('a')]);
+            loads[0].should.equal(loads[1]);
+            (await loader.load('a')).should.not.equal(loads[0]);
+            batches.should.eql([['a'], ['a']]);
+        });
+
+        it('only batches the client\'s loaders, so they see later writes', async function () {
+            const requestedPaths = [];
+            const fakeFetch = async url => {
+                requestedPaths.push(url.split('?')[0].replace('https://example.com/', ''));
+                const users = [{id: 'user', attributes: null}];
+                return {status: 200, text: async () => JSON.stringify({result: 'success', users})};
+            };
+            const loaderClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+            await loaderClient.loaders.user.load('user');
+            await loaderClient.loaders.user.load('user');
+            requestedPaths.should.eql(['v2/users/user', 'v2/users/user']);
+
+            const requestLoaders = loaderClient.createLoaders();
+            await requestLoaders.user.load('user');
+            await requestLoaders.user.load('user');
+            requestedPaths.should.have.length(3);
+        });
+
+        it('forgets failures without clearing newer loads of the same id', async function () {
+            let calls = 0;
+            const loader = new TrueVault.BatchLoader(async ids => {
+                const call = ++calls;
+                await sleep(call === 1 ? 20 : 1);
+                if (call === 1) {
+                    throw new Error('connection reset');
+                }
+                return ids.map(id => ({id, call}));
+            });
+
+            const failing = loader.load('a');
+            failing.catch(() => {});
+            await Promise.resolve();
+            loader.clear('a');
+            const reloaded = loader.load('a');
+
+            try {
+                await failing;
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.message.should.equal('connection reset');
+            }
+            (await reloaded).call.should.equal(2);
+            (await loader.load('a')).should.equal(await reloaded);
+            calls.should.equal(2);
+
+            loader.clear('a');
+            await loader.load('a');
+            calls.should.equal(3);
+        });
+    });
+
+    describe('entry point', function () {
+        it('exports everything the ES module entry point does', function () {
+            Object.keys(modules).should.containDeep(Object.keys(esModules));
+            modules.LocalKeyProvider.should.not.equal(esModules.LocalKeyProvider);
+        });
+
+        it('carries every named export as a property of the client class', function () {
+            Object.keys(modules).filter(name => name !== 'default').forEach(name => {
+                should(TrueVault[name]).equal(modules[name], name);
+            });
+            TrueVault.TrueVaultCore.should.equal(TrueVaultCore);
+            TrueVault.UserMethods.should.equal(UserMethods);
+        });
+    });
+
+    describe('cache', function () {
+        it('needs CacheSupport in clients built with TrueVaultCore.with', function () {
+            const Client = TrueVaultCore.with(UserMethods, VaultMethods);
+            (() => new Client({apiKey: 'key'}, null, {cache: true})).should.throw(/CacheSupport/);
+        });
+
+        it('serves repeated reads from the cache until a write evicts them', async function () {
+            const requestedPaths = [];
+            const fakeFetch = async (url, options) => {
+                const path = url.split('?')[0].replace('https://example.com/', '');
+                requestedPaths.push(`${options.method} ${path}`);
+                const response = path.endsWith('/schemas') ? {schemas: [{id: 'schema'}]} : {schema: {id: 'schema'}};
+                return {status: 200, text: async () => JSON.stringify(Object.assign({result: 'success'}, response))};
+            };
+            const cachingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}, cache: true});
+
+            await cachingClient.readSchema('vault', 'schema');
+            await cachingClient.readSchema('vault', 'schema');
+            await cachingClient.listSchemas('vault');
+            await cachingClient.updateSchema('vault', 'schema', 'name', []);
+            await cachingClient.readSchema('vault', 'schema');
+            await cachingClient.listSchemas('vault');
+
+            requestedPaths.should.eql([
+                'GET v1/vaults/vault/schemas/schema',
+                'GET v1/vaults/vault/schemas',
+                'PUT v1/vaults/vault/schemas/schema',
+                'GET v1/vaults/vault/schemas/schema',
+                'GET v1/vaults/vault/schemas'
+            ]);
+        });
+
+        it('only fetches documents that are not cached', async function () {
+            const requestedIds = [];
+            const fakeFetch = async url => {
+                const ids = url.split('?')[0].split('/documents/')[1].split(',');
+                requestedIds.push(ids);
+                const documents = ids.map(id => ({id, document: {name: id}}));
+                return {status: 200, text: async () => JSON.stringify({result: 'success', documents})};
+            };
+            const cachingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}, cache: true});
+
+            await cachingClient.getDocuments('vault', ['a', 'b']);
+            const documents = await cachingClient.getDocuments('vault', ['b', 'c']);
+            documents.map(doc => doc.id).should.eql(['b', 'c']);
+            requestedIds.should.eql([['a', 'b'], ['c']]);
+        });
+
+        it('evicts a deleted vault\'s schemas and documents', async function () {
+            const requestedPaths = [];
+            const fakeFetch = async (url, options) => {
+                const path = url.split('?')[0].replace('https://example.com/', '');
+                requestedPaths.push(`${options.method} ${path}`);
+                if (path.indexOf('/documents/') !== -1) {
+                    const ids = path.split('/documents/')[1].split(',');
+                    const documents = ids.map(id => ({id, document: {name: id}}));
+                    return {status: 200, text: async () => JSON.stringify({result: 'success', documents})};
+                }
+                const body = {result: 'success', vault: {id: 'vault'}, schema: {id: 'schema'}};
+                return {status: 200, text: async () => JSON.stringify(body)};
+            };
+            const cachingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}, cache: true});
+
+            await cachingClient.getDocuments('vault', ['a']);
+            await cachingClient.readSchema('vault', 'schema');
+            await cachingClient.getDocuments('other', ['a']);
+            await cachingClient.deleteVault('vault');
+            requestedPaths.length = 0;
+
+            await cachingClient.getDocuments('vault', ['a']);
+            await cachingClient.readSchema('vault', 'schema');
+            await cachingClient.getDocuments('other', ['a']);
+            requestedPaths.should.eql(['GET v2/vaults/vault/documents/a', 'GET v1/vaults/vault/schemas/schema']);
+        });
+
+        it('evicts the groups a created or deleted user belongs to', async function () {
+            const requestedPaths = [];
+            const fakeFetch = async (url, options) => {
+                const path = url.split('?')[0].replace('https://example.com/', '');
+                requestedPaths.push(`${options.method} ${path}`);
+                const body = {result: 'success', user: {id: 'user'}, group: {id: path.split('/').pop(), user_ids: []}};
+                return {status: 200, text: async () => JSON.stringify(body)};
+            };
+            const cachingClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}, cache: true});
+
+            await cachingClient.readFullGroup('group1');
+            await cachingClient.readFullGroup('group2');
+            await cachingClient.createUser('ann', 'password', null, ['group1']);
+            requestedPaths.length = 0;
+            await cachingClient.readFullGroup('group1');
+            await cachingClient.readFullGroup('group2');
+            requestedPaths.should.eql(['GET v1/groups/group1']);
+
+            await cachingClient.deleteUser('user');
+            requestedPaths.length = 0;
+            await cachingClient.readFullGroup('group1');
+            await cachingClient.readFullGroup('group2');
+            requestedPaths.should.eql(['GET v1/groups/group1', 'GET v1/groups/group2']);
+        });
+
+        it('evicts the least recently used entries', function () {
+            const store = new TrueVault.MemoryCacheStore({maxEntries: 2});
+            store.set('a', '1', 60000);
+            store.set('b', '2', 60000);
+            store.get('a');
+            store.set('c', '3', 60000);
+            should(store.get('b')).be.undefined();
+            store.get('a').should.equal('1');
+            store.get('c').should.equal('3');
+        });
+    });
+
+    describe('encryption', function () {
+        const key1 = new Uint8Array(32).fill(1);
+        const key2 = new Uint8Array(32).fill(2);
+
+        // Stores documents and BLOBs in memory, the way TrueVault would
+        function fakeStore() {
+            const documents = {};
+            const blobs = {};
+            let nextId = 1;
+            const json = body => new Response(JSON.stringify(Object.assign({result: 'success'}, body)));
+            const fetch = async (url, options) => {
+                const path = url.split('?')[0].replace('https://example.com/', '');
+                const method = options.method || 'GET';
+                if (path === 'v2/vaults/vault/documents' && method === 'POST') {
+                    const id = `document${nextId++}`;
+                    documents[id] = JSON.parse(options.body).document;
+                    return json({document: {id}});
+                }
+                if (path.startsWith('v2/vaults/vault/documents/')) {
+                    const ids = path.split('/').pop().split(',');
+                    return json({documents: ids.map(id => ({id, document: documents[id]}))});
+                }
+                if (path === 'v1/vaults/vault/search') {
+                    const found = Object.keys(documents).map(id => ({
+                        document_id: id,
+                        document: base64.encode(JSON.stringify(documents[id]))
+                    }));
+                    return json({data: {documents: found, info: {total_result_count: found.length}}});
+                }
+                const blobId = path.split('/blobs/')[1];
+                if (method === 'GET') {
+                    return new Response(blobs[blobId], {headers: {'Content-Type': 'application/octet-stream'}});
+                }
+                const id = blobId || `blob${nextId++}`;
+                const file = (await new Response(options.body, {headers: options.headers}).formData()).get('file');
+                blobs[id] = typeof file === 'string' ? new TextEncoder().encode(file) : new Uint8Array(await file.arrayBuffer());
+                return json({blob: {id}});
+            };
+            return {documents, blobs, fetch};
+        }
+
+        function encryptingClient(store, keys, currentKeyId, options) {
+            return new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                transport: {fetch: store.fetch},
+                encryption: Object.assign({
+                    keyProvider: new TrueVault.LocalKeyProvider({keys, currentKeyId}),
+                    documentFields: ['ssn', 'visit.notes'],
+                    blobs: vaultId => vaultId === 'vault'
+                }, options)
+            });
+        }
+
+        it('encrypts selected document fields and decrypts them on read', async function () {
+            const store = fakeStore();
+            const client = encryptingClient(store, {k1: key1}, 'k1');
+            const document = {name: 'Ann', ssn: '123-45-6789', visit: {date: '2020-01-01', notes: {text: 'fine'}}};
+
+            const created = await client.createDocument('vault', null, document);
+            const stored = store.documents[created.id];
+            stored.name.should.equal('Ann');
+            stored.visit.date.should.equal('2020-01-01');
+            stored.ssn.should.startWith('tvenc1.');
+            stored.visit.notes.should.startWith('tvenc1.');
+            JSON.stringify(stored).should.not.containEql('123-45-6789');
+            document.ssn.should.equal('123-45-6789');
+
+            (await client.getDocuments('vault', [created.id]))[0].document.should.eql(document);
+            (await client.searchDocuments('vault', {filter: {}})).documents[0].document.should.eql(document);
+        });
+
+        it('decrypts data encrypted under rotated keys, and rejects data it has no key for', async function () {
+            const store = fakeStore();
+            const oldClient = encryptingClient(store, {k1: key1}, 'k1');
+            const created = await oldClient.createDocument('vault', null, {ssn: '123-45-6789'});
+            const blob = await oldClient.createBlob('vault', 'scan');
+
+            const rotatedClient = encryptingClient(store, {k1: key1, k2: key2}, 'k2');
+            (await rotatedClient.getDocuments('vault', [created.id]))[0].document.ssn.should.equal('123-45-6789');
+            (await (await rotatedClient.getBlob('vault', blob.id)).blob.text()).should.equal('scan');
+
+            const newClient = encryptingClient(store, {k2: key2}, 'k2');
+            await newClient.getDocuments('vault', [created.id]).should.be.rejectedWith(TrueVault.DecryptionError, {keyId: 'k1'});
+        });
+
+        it('encrypts whole BLOBs and detects tampering', async function () {
+            const store = fakeStore();
+            const client = encryptingClient(store, {k1: key1}, 'k1');
+
+            const file = new Blob(['<p>results</p>'], {type: 'text/html'});
+            const created = await client.createBlob('vault', file);
+            new TextDecoder().decode(store.blobs[created.id]).should.not.containEql('results');
+
+            const contents = await client.getBlob('vault', created.id);
+            contents.contentType.should.equal('text/html');
+            (await contents.blob.text()).should.equal('<p>results</p>');
+
+            // Other vaults aren't encrypted
+            const plain = await client.createBlob('other', 'plain');
+            new TextDecoder().decode(store.blobs[plain.id]).should.equal('plain');
+
+            store.blobs[created.id][store.blobs[created.id].length - 1] ^= 1;
+            await client.getBlob('vault', created.id).should.be.rejectedWith(TrueVault.DecryptionError);
+        });
+
+        it('rejects ciphertext moved to another field or vault', async function () {
+            const store = fakeStore();
+            const client = encryptingClient(store, {k1: key1}, 'k1', {blobs: true});
+
+            const created = await client.createDocument('vault', null, {ssn: '123-45-6789', visit: {notes: 'fine'}});
+            const stored = store.documents[created.id];
+            store.documents[created.id] = Object.assign({}, stored, {ssn: stored.visit.notes, visit: {notes: stored.ssn}});
+            await client.getDocuments('vault', [created.id]).should.be.rejectedWith(TrueVault.DecryptionError);
+
+            // The fake server doesn't tell vaults' BLOBs apart, so this reads the same bytes as from 'vault'
+            const blob = await client.createBlob('vault', 'scan');
+            (await (await client.getBlob('vault', blob.id)).blob.text()).should.equal('scan');
+            await client.getBlob('other', blob.id).should.be.rejectedWith(TrueVault.DecryptionError);
+        });
+
+        it('only decrypts the configured fields', async function () {
+            const store = fakeStore();
+            const client = encryptingClient(store, {k1: key1}, 'k1');
+            const created = await client.createDocument('vault', null, {ssn: '123-45-6789', visit: {notes: 'fine'}});
+            const stored = store.documents[created.id];
+            store.documents[created.id] = Object.assign({}, stored, {nickname: stored.ssn});
+
+            const read = (await client.getDocuments('vault', [created.id]))[0].document;
+            read.ssn.should.equal('123-45-6789');
+            read.nickname.should.equal(stored.ssn);
+
+            const narrowerClient = encryptingClient(store, {k1: key1}, 'k1', {documentFields: ['ssn']});
+            (await narrowerClient.getDocuments('vault', [created.id]))[0].document.visit.notes.should.equal(stored.visit.notes);
+        });
+
+        it('rejects plaintext where ciphertext is expected, unless allowed', async function () {
+            const store = fakeStore();
+            const plainClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: store.fetch}});
+            const created = await plainClient.createDocument('vault', null, {ssn: '123-45-6789'});
+            const blob = await plainClient.createBlob('vault', 'scan');
+
+            const client = encryptingClient(store, {k1: key1}, 'k1');
+            await client.getDocuments('vault', [created.id]).should.be.rejectedWith(TrueVault.DecryptionError);
+            await client.getBlob('vault', blob.id).should.be.rejectedWith(TrueVault.DecryptionError);
+
+            const migratingClient = encryptingClient(store, {k1: key1}, 'k1', {allowPlaintext: true});
+            (await migratingClient.getDocuments('vault', [created.id]))[0].document.ssn.should.equal('123-45-6789');
+            (await (await migratingClient.getBlob('vault', blob.id)).blob.text()).should.equal('scan');
+        });
+    });
+
+    describe('module graph', function () {
+        if (typeof window !== 'undefined') {
+            it('can only be checked in nodejs');
+        } else {
+            // The packages and src/ files reachable from `entries` through import and export ... from statements
+            const reachableModules = entries => {
+                // See testBlobContentsFactory for why fs is required this way
+                const fs = eval("require('fs')");
+                const path = eval("require('path')");
+                const srcDirectory = path.join(__dirname, '..', 'src');
+                const reached = {};
+                const visit = file => {
+                    const name = path.relative(srcDirectory, file);
+                    if (reached[name]) {
+                        return;
+                    }
+                    reached[name] = true;
+                    const source = fs.readFileSync(file, 'utf8');
+                    const pattern = /(?:^|\n)(?:import|export)\b[^;]*?from\s+['"]([^'"]+)['"]/g;
+                    let match;
+                    while ((match = pattern.exec(source))) {
+                        const specifier = match[1];
+                        if (specifier[0] !== '.') {
+                            reached[specifier] = true;
+                        } else {
+                            const target = path.join(path.dirname(file), specifier);
+                            visit(path.extname(target) === '.json' ? target : `${target}.js`);
+                        }
+                    }
+                };
+                entries.forEach(entry => visit(path.join(srcDirectory, entry)));
+                return Object.keys(reached);
+            };
+
+            it('keeps nodejs modules out of the ES module entry point', function () {
+                const nodeOnly = ['fs', 'crypto', 'node-fetch', 'form-data', 'node.js', 'fileStorage.js'];
+                reachableModules(['index.js']).filter(name => nodeOnly.indexOf(name) !== -1).should.eql([]);
+                reachableModules(['node.js']).should.containDeep(nodeOnly);
+            });
+
+            it('lets clients of just the core and some methods leave out the other modules', function () {
+                const unused = ['blobs.js', 'vaults.js', 'cache.js', 'encryption.js', 'progress.js', 'hash.js',
+                    'files.js', 'chunkedUpload.js'];
+                reachableModules(['core.js', 'users.js']).filter(name => unused.indexOf(name) !== -1).should.eql([]);
+            });
+        }
+    });
+
+    describe('access token lifecycle', function () {
+        it('refreshes a rejected token and retries the request', async function () {
+            const sentAuthHeaders = [];
+            const fakeFetch = async (url, options) => {
+                if (url.indexOf('v1/auth/login') !== -1) {
+                    return {status: 200, text: async () => JSON.stringify({result: 'success', user: {access_token: 'newtoken'}})};
+                }
+                sentAuthHeaders.push(options.headers.Authorization);
+                if (options.headers.Authorization === TrueVault._makeHeaderForUsername('oldtoken')) {
+                    return {status: 401, text: async () => JSON.stringify({result: 'error', error: {type: 'UNAUTHORIZED', message: 'Access token expired'}})};
+                }
+                return {status: 200, text: async () => JSON.stringify({result: 'success', vault: {id: 'vault'}})};
+            };
+            const middlewarePaths = [];
+            const refreshingClient = new TrueVault({accessToken: 'oldtoken'}, 'https://example.com', {
+                transport: {fetch: fakeFetch},
+                refreshCredentials: async () => ({accountId: TEST_ACCOUNT_UUID, username: 'username', password: 'password'}),
+                // Only this client's own requests pass through its middleware, not the login that refreshes the token
+                middleware: [async (request, next) => {
+                    middlewarePaths.push(request.path);
+                    return next(request);
+                }]
+            });
+            const events = [];
+            refreshingClient
+                .on('tokenExpired', () => events.push('tokenExpired'))
+                .on('tokenRefreshed', ({accessToken}) => events.push(`tokenRefreshed ${accessToken}`));
+
+            const vault = await refreshingClient.readVault('vault');
+            vault.id.should.equal('vault');
+            refreshingClient.accessToken.should.equal('newtoken');
+            sentAuthHeaders.should.eql([TrueVault._makeHeaderForUsername('oldtoken'), TrueVault._makeHeaderForUsername('newtoken')]);
+            events.should.eql(['tokenExpired', 'tokenRefreshed newtoken']);
+            middlewarePaths.should.eql(['v1/vaults/vault', 'v1/vaults/vault']);
+        });
+
+        it('emits tokenExpired once the token expires', async function () {
+            const expiringClient = new TrueVault({accessToken: 'token', notValidAfter: new Date(Date.now() + 50)}, 'https://example.com', {
+                tokenExpiringThreshold: 25
+            });
+            const events = [];
+            expiringClient
+                .on('tokenExpiring', () => events.push('tokenExpiring'))
+                .on('tokenExpired', () => events.push('tokenExpired'));
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            events.should.eql(['tokenExpiring', 'tokenExpired']);
+        });
+    });
+
+    describe('sessions', function () {
+        it('are restored from storage and removed on logout', async function () {
+            const fakeFetch = async url => {
+                const response = url.indexOf('v1/auth/logout') !== -1 ? {logout: {}} : {user: {access_token: 'token'}};
+                return {status: 200, text: async () => JSON.stringify(Object.assign({result: 'success'}, response))};
+            };
+            const storage = new TrueVault.MemoryStorage();
+            const notValidAfter = new Date(Date.now() + 3600000);
+
+            const loginClient = await TrueVault.login(TEST_ACCOUNT_UUID, 'username', 'password', undefined, 'https://example.com', notValidAfter, {transport: {fetch: fakeFetch}});
+            await loginClient.persist(storage);
+
+            const restoredClient = await TrueVault.fromStorage(storage, 'https://example.com', {transport: {fetch: fakeFetch}});
+            restoredClient.accessToken.should.equal('token');
+            restoredClient.accessTokenNotValidAfter.should.eql(notValidAfter);
+
+            await restoredClient.logout();
+            should(await TrueVault.fromStorage(storage)).be.null();
+        });
+
+        it('are forgotten and removed from storage even if logging out fails', async function () {
+            const fakeFetch = async url => {
+                if (url.indexOf('v1/auth/logout') !== -1) {
+                    return {status: 500, text: async () => JSON.stringify({result: 'error', error: {message: 'Oops'}})};
+                }
+                return {status: 200, text: async () => JSON.stringify({result: 'success', user: {access_token: 'token'}})};
+            };
+            const storage = new TrueVault.MemoryStorage();
+            const loginClient = await TrueVault.login(TEST_ACCOUNT_UUID, 'username', 'password', undefined, 'https://example.com', new Date(Date.now() + 3600000), {transport: {fetch: fakeFetch}});
+            await loginClient.persist(storage);
+
+            try {
+                await loginClient.logout();
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.TrueVaultError);
+                e.status.should.equal(500);
+            }
+            should(await TrueVault.fromStorage(storage)).be.null();
+            should(loginClient.authHeader).be.null();
+        });
+
+        it('are not restored once expired', async function () {
+            const storage = new TrueVault.MemoryStorage();
+            storage.setItem('truevault.session', JSON.stringify({accessToken: 'token', notValidAfter: new Date(Date.now() - 1000).toISOString()}));
+            should(await TrueVault.fromStorage(storage)).be.null();
+        });
+
+        if (typeof window !== 'undefined') {
+            it('can only be kept in files in nodejs');
+        } else {
+            it('can be kept in a JSON file that only its owner can read', async function () {
+                // See testBlobContentsFactory for why fs is required this way
+                const fs = eval("require('fs')");
+                const os = eval("require('os')");
+                const path = eval("require('path')");
+                const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'truevault-test-'));
+                const file = path.join(directory, 'sessions.json');
+                try {
+                    const storage = new TrueVault.JSONFileStorage(file);
+                    await Promise.all([storage.setItem('a', '1'), storage.setItem('b', '2')]);
+                    (await storage.getItem('a')).should.equal('1');
+                    (fs.statSync(file).mode & 0o777).should.equal(0o600);
+                    fs.readdirSync(directory).should.eql(['sessions.json']);
+
+                    await storage.removeItem('a');
+                    should(await storage.getItem('a')).be.null();
+                    (await storage.getItem('b')).should.equal('2');
+
+                    // A corrupt file holds no sessions, and is replaced by the next update
+                    fs.writeFileSync(file, '{"truevault.session": "tok');
+                    should(await storage.getItem('b')).be.null();
+                    should(await TrueVault.fromStorage(storage)).be.null();
+                    await storage.setItem('a', '3');
+                    JSON.parse(fs.readFileSync(file, 'utf8')).should.eql({a: '3'});
+                } finally {
+                    fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+                    fs.rmdirSync(directory);
+                }
+            });
+        }
+    });
+
+    describe('scoped handles', function () {
+        it('call the client methods with the ids filled in', async function () {
+            const requests = [];
+            const fakeFetch = async (url, options) => {
+                requests.push(`${options.method} ${url.split('?')[0]}`);
+                const response = {documents: [{id: 'document'}], document: {id: 'document'}, group: {id: 'group'}};
+                return {status: 200, text: async () => JSON.stringify(Object.assign({result: 'success'}, response))};
+            };
+            const handleClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+            const documents = handleClient.vault('vault').documents;
+            (await documents.get('document')).id.should.equal('document');
+            (await documents.update('document', {name: 'name'})).id.should.equal('document');
+            (await handleClient.groups.read('group')).id.should.equal('group');
+
+            requests.should.eql([
+                'GET https://example.com/v2/vaults/vault/documents/document',
+                'PUT https://example.com/v2/vaults/vault/documents/document',
+                'GET https://example.com/v1/groups/group'
+            ]);
+        });
+    });
+
     describe('readCurrentUser', function () {
         it('returns current user', async function () {
             const user = await client.readCurrentUser();
@@ -242,9 +1440,26 @@ describe('TrueVaultClient', function () {
             pendingUser.id.should.equal(newUserWithStatus.id);
             should(pendingUser.attributes).be.undefined();
 
+            const iteratedPendingUsers = await client.iterateUsers({status: 'PENDING', perPage: 2}).toArray();
+            iteratedPendingUsers.should.containItemWithId(newUserWithStatus.id);
+
+            const firstUsers = await client.iterateUsers({full: true, perPage: 1}).toArray({limit: 2});
+            firstUsers.should.have.length(2);
+            (typeof firstUsers[0].attributes).should.equal("object");
+
             const userFromTV = await client.readUser(newUser.id);
             userFromTV.should.matchSchema(userSchemaWithUsername);
 
+            try {
+                await client.readUser(uuid.v4());
+                should.fail(null, null, 'Should have thrown');
+            } catch (e) {
+                e.should.be.instanceOf(TrueVault.NotFoundError);
+            }
+
+            const loadedUser = await client.createLoaders().user.load(newUser.id);
+            loadedUser.should.matchSchema(userSchemaWithUsername);
+
             const usersFromTV = await client.readUsers([newUser.id]);
             usersFromTV.should.matchSchema({
                 type: 'array',
@@ -327,6 +1542,12 @@ describe('TrueVaultClient', function () {
                 required: ['documents', 'info']
             });
 
+            const searchUserIterator = client.iterateSearchUsers(TrueVault.Search.where('foo').eq(uniqueAttributeValue).full().page(1, 1));
+            const iteratedSearchUsers = await searchUserIterator.toArray();
+            iteratedSearchUsers.should.have.length(searchUserIterator.info.total_result_count);
+            iteratedSearchUsers.should.containItemWithId(newUser.id);
+            iteratedSearchUsers[0].attributes.foo.should.equal(uniqueAttributeValue);
+
             const newUserAccessToken = await client.createUserAccessToken(newUser.id);
             newUserAccessToken.should.matchSchema({type: 'string'});
 
@@ -381,10 +1602,26 @@ describe('TrueVaultClient', function () {
             const mfaFinalizationResult = await client.finalizeMfaEnrollment(newUser.id, token1, token2);
             should(mfaFinalizationResult).be.undefined();
 
+            // Walk through beginLogin's states against the real API, to check the error codes they're derived from
+            const wrongPasswordStep = await TrueVault.beginLogin(TEST_ACCOUNT_UUID, newUsername, 'wrong password', TEST_TRUEVAULT_HOST);
+            wrongPasswordStep.state.should.equal('invalidCredentials');
+
             await sleep(30000);
             const token3 = otplib.authenticator.generate(secret);
 
-            const mfaUnrenrollResult = await client.unenrollMfa(newUser.id, token3, newUserPassword);
+            let loginStep = await TrueVault.beginLogin(TEST_ACCOUNT_UUID, newUsername, newUserPassword, TEST_TRUEVAULT_HOST);
+            loginStep.state.should.equal('mfaRequired');
+            loginStep = await loginStep.submitMfaCode(token3 === '000000' ? '111111' : '000000');
+            loginStep.state.should.equal('invalidMfaCode');
+            loginStep = await loginStep.submitMfaCode(token3);
+            loginStep.state.should.equal('authenticated');
+            loginStep.client.accessToken.should.be.a.String();
+
+            // MFA codes can only be used once, so wait for a fresh one
+            await sleep(30000);
+            const token4 = otplib.authenticator.generate(secret);
+
+            const mfaUnrenrollResult = await client.unenrollMfa(newUser.id, token4, newUserPassword);
             should(mfaUnrenrollResult).be.undefined();
         });
     });
@@ -447,6 +1684,356 @@ describe('TrueVaultClient', function () {
             return ret;
         }
 
+        // Stores BLOBs in memory, and fails the requests for which `shouldFail(method, blobCount)` returns true
+        function fakeBlobServer(shouldFail) {
+            const blobs = {};
+            let nextId = 1;
+            const fetch = async (url, options) => {
+                const method = options.method || 'GET';
+                const match = /\/blobs\/([^/?]+)/.exec(url);
+                const blobId = match && match[1];
+                if (shouldFail && shouldFail(method, Object.keys(blobs).length)) {
+                    throw new TypeError('Failed to fetch');
+                }
+                if (method === 'GET') {
+                    return new Response(blobs[blobId].bytes, {
+                        headers: {'Content-Disposition': `attachment; filename="${blobs[blobId].filename}"`}
+                    });
+                }
+                const id = blobId || `blob${nextId++}`;
+                if (method === 'DELETE') {
+                    delete blobs[id];
+                } else {
+                    const form = await new Response(options.body, {headers: options.headers}).formData();
+                    const file = form.get('file');
+                    blobs[id] = {bytes: new Uint8Array(await file.arrayBuffer()), filename: file.name};
+                }
+                return new Response(JSON.stringify({result: 'success', blob: {id}}));
+            };
+            return {blobs, fetch};
+        }
+
+        describe('chunked uploads', function () {
+            const bytes = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+            it('uploads parts and a manifest that getChunkedBlob reassembles', async function () {
+                const server = fakeBlobServer();
+                const chunkedClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: server.fetch}});
+
+                const events = [];
+                const upload = chunkedClient.createChunkedUpload('vault', bytes, {
+                    partSize: 4,
+                    filename: 'scan.dcm',
+                    progressCallback: event => events.push(event)
+                });
+                const manifest = await upload.start();
+                Object.keys(server.blobs).length.should.equal(4);
+                upload.state.parts.map(part => part.size).should.eql([4, 4, 2]);
+                upload.state.blob.should.eql(manifest);
+                events[events.length - 1].should.eql({type: 'load', loaded: 10, total: 10, lengthComputable: true});
+
+                const result = await chunkedClient.vault('vault').blobs.getChunked(manifest.id);
+                result.fileName.should.equal('scan.dcm');
+                Array.from(new Uint8Array(await result.blob.arrayBuffer())).should.eql(Array.from(bytes));
+
+                await chunkedClient.deleteChunkedBlob('vault', manifest.id);
+                server.blobs.should.be.empty();
+            });
+
+            it('resumes a stream from saved state without re-sending completed parts', async function () {
+                // Fail the third part's upload, once
+                let failed = false;
+                const server = fakeBlobServer((method, blobCount) => {
+                    if (method === 'POST' && blobCount === 2 && !failed) {
+                        failed = true;
+                        return true;
+                    }
+                    return false;
+                });
+                const chunkedClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                    transport: {fetch: server.fetch},
+                    retry: {maxAttempts: 1}
+                });
+                const stream = () => new Readable({
+                    read() {
+                        this.push(Buffer.from(bytes));
+                        this.push(null);
+                    }
+                });
+
+                let savedState = null;
+                const upload = chunkedClient.createChunkedUpload('vault', stream(), {
+                    partSize: 3,
+                    onStateChange: state => savedState = JSON.stringify(state)
+                });
+                await upload.start().should.be.rejectedWith(TrueVault.NetworkError);
+                JSON.parse(savedState).parts.length.should.equal(2);
+
+                const resumed = chunkedClient.resumeChunkedUpload(JSON.parse(savedState), stream());
+                const manifest = await resumed.start();
+                resumed.state.parts.length.should.equal(4);
+                Object.keys(server.blobs).length.should.equal(5);
+
+                const result = await chunkedClient.getChunkedBlob('vault', manifest.id);
+                Array.from(new Uint8Array(await result.blob.arrayBuffer())).should.eql(Array.from(bytes));
+            });
+
+            it('can be cancelled and discarded', async function () {
+                const server = fakeBlobServer();
+                const chunkedClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: server.fetch}});
+
+                const upload = chunkedClient.createChunkedUpload('vault', bytes, {
+                    partSize: 4,
+                    onStateChange: state => state.parts.length === 1 && upload.cancel()
+                });
+                await upload.start().should.be.rejectedWith({name: 'AbortError'});
+                upload.uploadedBytes.should.equal(4);
+                Object.keys(server.blobs).length.should.equal(1);
+
+                await upload.discard();
+                upload.state.parts.should.be.empty();
+                server.blobs.should.be.empty();
+            });
+
+            it('rejects streams of strings', async function () {
+                const server = fakeBlobServer();
+                const chunkedClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: server.fetch}});
+                const stream = new Readable({
+                    read() {
+                        this.push('hello');
+                        this.push(null);
+                    }
+                });
+                stream.setEncoding('utf8');
+
+                await chunkedClient.createChunkedUpload('vault', stream).start().should.be.rejectedWith(TypeError);
+                server.blobs.should.be.empty();
+            });
+
+            it('refuses to read BLOBs that are not manifests', async function () {
+                const server = fakeBlobServer();
+                const chunkedClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: server.fetch}});
+
+                const blob = await chunkedClient.createBlob('vault', new Blob(['not json']));
+                await chunkedClient.getChunkedBlob('vault', blob.id).should.be.rejectedWith(/not created by a chunked upload/);
+            });
+        });
+
+        describe('integrity', function () {
+            // SHA-256 of 'hello'
+            const helloHash = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+
+            it('returns the digest of uploaded contents and checks downloads against it', async function () {
+                const server = fakeBlobServer();
+                const hashClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: server.fetch}});
+
+                const blob = await hashClient.createBlob('vault', new Blob(['hello']));
+                blob.sha256.should.equal(helloHash);
+                const result = await hashClient.vault('vault').blobs.get(blob.id, {expectedHash: helloHash.toUpperCase()});
+                (await result.blob.text()).should.equal('hello');
+
+                server.blobs[blob.id].bytes = new TextEncoder().encode('hellO');
+                await hashClient.getBlob('vault', blob.id, {expectedHash: blob.sha256})
+                    .should.be.rejectedWith(TrueVault.IntegrityError, {expectedHash: helloHash});
+                // Without an expected digest, nothing is checked
+                await hashClient.getBlob('vault', blob.id).should.be.fulfilled();
+            });
+
+            it('checks the parts of chunked BLOBs against their recorded digests', async function () {
+                const server = fakeBlobServer();
+                const hashClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: server.fetch}});
+
+                const manifest = await hashClient.createChunkedUpload('vault', new TextEncoder().encode('hello'), {
+                    partSize: 3
+                }).start();
+                (await (await hashClient.getChunkedBlob('vault', manifest.id)).blob.text()).should.equal('hello');
+
+                server.blobs.blob2.bytes = new TextEncoder().encode('LO');
+                await hashClient.getChunkedBlob('vault', manifest.id).should.be.rejectedWith(TrueVault.IntegrityError);
+            });
+
+            it('computes digests in plain JavaScript without nodejs crypto', async function () {
+                // Known answers from FIPS 180-2, fed in uneven pieces so that blocks span several updates
+                const hashInPieces = (text, pieceSize) => {
+                    const bytes = new TextEncoder().encode(text);
+                    const hash = createSha256();
+                    for (let i = 0; i < bytes.length; i += pieceSize) {
+                        hash.update(bytes.subarray(i, i + pieceSize));
+                    }
+                    return hash.digest();
+                };
+                hashInPieces('', 1).should.equal('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+                hashInPieces('abc', 1).should.equal('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+                // 56 bytes, so the padding needs a block of its own
+                hashInPieces('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', 7)
+                    .should.equal('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+                hashInPieces('a'.repeat(1000000), 997)
+                    .should.equal('cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0');
+
+                // Clients without NodeSupport use it too
+                const server = fakeBlobServer();
+                const Client = TrueVaultCore.with(BlobMethods);
+                const portableClient = new Client({apiKey: 'key'}, 'https://example.com', {
+                    transport: {fetch: server.fetch}
+                });
+                (await portableClient.createBlob('vault', new Blob(['hello']))).sha256.should.equal(helloHash);
+            });
+        });
+
+        if (typeof window !== 'undefined') {
+            it('file transfer tests can only be run in nodejs');
+        } else {
+            describe('files', function () {
+                // See testBlobContentsFactory for why fs is required this way
+                const fs = eval("require('fs')");
+                const os = eval("require('os')");
+                const path = eval("require('path')");
+                let directory;
+
+                beforeEach(function () {
+                    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'truevault-test-'));
+                });
+
+                afterEach(function () {
+                    fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+                    fs.rmdirSync(directory);
+                });
+
+                const fakeHeaders = headers => ({get: name => headers.hasOwnProperty(name) ? headers[name] : null});
+
+                it('downloads into a directory under the blob\'s filename', async function () {
+                    const fakeFetch = async () => ({
+                        status: 200,
+                        headers: fakeHeaders({
+                            'Content-Type': 'text/plain',
+                            'Content-Disposition': 'attachment; filename="../hello.txt"'
+                        }),
+                        body: new Readable({
+                            read() {
+                                ['hel', 'lo'].forEach(chunk => this.push(Buffer.from(chunk)));
+                                this.push(null);
+                            }
+                        })
+                    });
+                    const fileClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+                    const result = await fileClient.vault('vault').blobs.downloadToFile('blob', directory);
+                    result.path.should.equal(path.join(directory, 'hello.txt'));
+                    result.contentType.should.equal('text/plain');
+                    result.fileName.should.equal('../hello.txt');
+                    fs.readFileSync(result.path, 'utf8').should.equal('hello');
+                    fs.readdirSync(directory).should.eql(['hello.txt']);
+                });
+
+                it('removes the partial file when a download fails', async function () {
+                    let sentChunk = false;
+                    const fakeFetch = async () => ({
+                        status: 200,
+                        headers: fakeHeaders({}),
+                        body: new Readable({
+                            read() {
+                                if (sentChunk) {
+                                    this.emit('error', new Error('connection reset'));
+                                } else {
+                                    sentChunk = true;
+                                    this.push(Buffer.from('partial'));
+                                }
+                            }
+                        })
+                    });
+                    const fileClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+                    const filePath = path.join(directory, 'blob.txt');
+                    await fileClient.downloadBlobToFile('vault', 'blob', filePath).should.be.rejectedWith('connection reset');
+                    fs.readdirSync(directory).should.eql([]);
+                });
+
+                it('checks downloads against an expected digest before saving them', async function () {
+                    const fakeFetch = async () => ({
+                        status: 200,
+                        headers: fakeHeaders({}),
+                        body: new Readable({
+                            read() {
+                                this.push(Buffer.from('hello'));
+                                this.push(null);
+                            }
+                        })
+                    });
+                    const fileClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+                    const filePath = path.join(directory, 'hello.txt');
+                    const helloHash = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+
+                    await fileClient.downloadBlobToFile('vault', 'blob', filePath, {expectedHash: 'ab'.repeat(32)})
+                        .should.be.rejectedWith(TrueVault.IntegrityError, {actualHash: helloHash});
+                    fs.readdirSync(directory).should.eql([]);
+
+                    const result = await fileClient.downloadBlobToFile('vault', 'blob', filePath, {expectedHash: helloHash});
+                    result.sha256.should.equal(helloHash);
+                    fs.readFileSync(filePath, 'utf8').should.equal('hello');
+                });
+
+                it('uploads a file under its own name', async function () {
+                    const filePath = path.join(directory, 'scan.txt');
+                    fs.writeFileSync(filePath, 'scanned');
+
+                    let sent;
+                    const fakeFetch = async (url, options) => {
+                        sent = {url, body: await new Response(options.body).text()};
+                        return {status: 200, text: async () => JSON.stringify({result: 'success', blob: {id: 'blob'}})};
+                    };
+                    const fileClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: fakeFetch}});
+
+                    const blob = await fileClient.uploadBlobFromFile('vault', filePath, {ownerId: 'owner', contentType: 'text/plain'});
+                    blob.id.should.equal('blob');
+                    blob.sha256.should.equal('46b1a23984dd3da94257d860fa664348eb038091e7c49daf92c222cea7c56386');
+                    sent.url.should.startWith('https://example.com/v1/vaults/vault/blobs');
+                    sent.body.should.containEql('filename="scan.txt"');
+                    sent.body.should.containEql('Content-Type: text/plain');
+                    sent.body.should.containEql('scanned');
+                    sent.body.should.containEql('owner');
+                });
+
+                it('hashes files uploaded with form-data from the chunks it sends', async function () {
+                    const FormData = eval("require('form-data')");
+                    const filePath = path.join(directory, 'scan.txt');
+                    fs.writeFileSync(filePath, 'scanned');
+
+                    const fakeFetch = async (url, options) => {
+                        const body = await new Promise(resolve => {
+                            const chunks = [];
+                            options.body.on('data', chunk => chunks.push(Buffer.from(chunk)));
+                            options.body.on('end', () => resolve(Buffer.concat(chunks).toString()));
+                            options.body.resume();
+                        });
+                        body.should.containEql('scanned');
+                        return {status: 200, text: async () => JSON.stringify({result: 'success', blob: {id: 'blob'}})};
+                    };
+                    const fileClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {
+                        transport: {fetch: fakeFetch, FormData}
+                    });
+
+                    const createReadStream = fs.createReadStream;
+                    let opened = 0;
+                    fs.createReadStream = function () {
+                        opened++;
+                        return createReadStream.apply(this, arguments);
+                    };
+                    try {
+                        const blob = await fileClient.uploadBlobFromFile('vault', filePath);
+                        blob.sha256.should.equal('46b1a23984dd3da94257d860fa664348eb038091e7c49daf92c222cea7c56386');
+                        opened.should.equal(1);
+                    } finally {
+                        fs.createReadStream = createReadStream;
+                    }
+                });
+
+                it('rejects uploads of missing files', async function () {
+                    const fileClient = new TrueVault({apiKey: 'key'}, 'https://example.com', {transport: {fetch: async () => should.fail()}});
+                    await fileClient.uploadBlobFromFile('vault', path.join(directory, 'missing.txt')).should.be.rejected();
+                });
+            });
+        }
+
         if (typeof XMLHttpRequest === "undefined") {
             it('works with progress tests can only run in the browser');
         } else {
@@ -521,6 +2108,9 @@ describe('TrueVaultClient', function () {
                 required: ['total', 'page', 'per_page', 'items']
             });
 
+            const iteratedBlobs = await client.iterateBlobs(newVaultId, {perPage: 1}).toArray();
+            iteratedBlobs.should.containItemWithId(newBlob.id);
+
             const response = await client.getBlob(newVaultId, newBlob.id);
             const responseBlobLength = response.blob.read ? response.blob.read().length : response.blob.size;
             responseBlobLength.should.above(0);
@@ -563,6 +2153,9 @@ describe('TrueVaultClient', function () {
             });
             const vaultId = newVault.id;
 
+            const iteratedVaults = await client.iterateVaults({perPage: 10}).toArray();
+            iteratedVaults.should.containItemWithId(vaultId);
+
             const vaultFromTV = await client.readVault(vaultId);
             vaultFromTV.should.matchSchema(vaultSchema);
 
@@ -603,6 +2196,24 @@ describe('TrueVaultClient', function () {
                 }
             });
 
+            const missingDocId = uuid.v4();
+            const getDocsWithMissingResponse = await client.getDocuments(vaultId, [newDocId, missingDocId, newDocId]);
+            getDocsWithMissingResponse.should.have.length(3);
+            getDocsWithMissingResponse[0].id.should.equal(newDocId);
+            should(getDocsWithMissingResponse[1]).be.null();
+            getDocsWithMissingResponse[2].id.should.equal(newDocId);
+
+            const loaders = client.createLoaders();
+            const loadedDocs = await Promise.all([
+                loaders.document(vaultId).load(newDocId),
+                loaders.document(vaultId).load(missingDocId)
+            ]);
+            loadedDocs[0].id.should.equal(newDocId);
+            should(loadedDocs[1]).be.null();
+            (await loaders.document(vaultId).load(newDocId)).should.equal(loadedDocs[0]);
+            loaders.document(vaultId).clear(newDocId);
+            (await loaders.document(vaultId).load(newDocId)).should.not.equal(loadedDocs[0]);
+
             const fullDocs = await client.listDocuments(vaultId, true);
             const docListSchema = {
                 type: 'object',
@@ -673,6 +2284,22 @@ describe('TrueVaultClient', function () {
             // Ensure the document was actually added to the schema
             docsInSchema.items.should.containItemWithId(indexedDoc.id);
 
+            const iteratedDocs = [];
+            const docIterator = client.iterateDocuments(vaultId, {full: true, perPage: 1});
+            for (let item = await docIterator.next(); !item.done; item = await docIterator.next()) {
+                iteratedDocs.push(item.value);
+            }
+            iteratedDocs.should.containItemWithId(newDocId);
+            iteratedDocs.should.containItemWithId(indexedDoc.id);
+            iteratedDocs.forEach(item => item.document.should.be.an.Object());
+
+            const iteratedDocsInSchema = [];
+            const schemaDocIterator = client.iterateDocuments(vaultId, {schemaId: newSchema.id, perPage: 1});
+            for (let item = await schemaDocIterator.next(); !item.done; item = await schemaDocIterator.next()) {
+                iteratedDocsInSchema.push(item.value);
+            }
+            iteratedDocsInSchema.should.containItemWithId(indexedDoc.id);
+
             const searchResultsNotFull = await client.searchDocuments(vaultId, {
                 schema_id: newSchema.id,
                 filter: {
@@ -740,6 +2367,36 @@ describe('TrueVaultClient', function () {
                 required: ['documents', 'info']
             });
 
+            const builtSearchResults = await client.searchDocuments(vaultId,
+                TrueVault.Search.where('foo').eq('bar').schema(newSchema.id).full().page(1, 10));
+            builtSearchResults.documents.should.containEql(searchResultsFull.documents[0]);
+
+            const searchDocIterator = client.iterateSearchDocuments(vaultId,
+                TrueVault.Search.where('foo').eq('bar').schema(newSchema.id).full().page(1, 1));
+            should(searchDocIterator.info).be.null();
+            const iteratedSearchDocs = await searchDocIterator.toArray();
+            iteratedSearchDocs.should.have.length(searchDocIterator.info.total_result_count);
+            iteratedSearchDocs.forEach(result => result.document.foo.should.equal('bar'));
+
+            const progressUpdates = [];
+            const bulkResults = await client.createDocuments(vaultId, [{foo: 'bulk1'}, {foo: 'bulk2'}, {foo: 'bulk3'}], {
+                schemaId: newSchema.id,
+                concurrency: 2,
+                onProgress: progress => progressUpdates.push(progress)
+            });
+            bulkResults.should.have.length(3);
+            bulkResults.forEach((result, index) => {
+                result.index.should.equal(index);
+                should(result.error).be.null();
+                result.document.should.matchSchema(documentSchema);
+                result.id.should.equal(result.document.id);
+            });
+            progressUpdates.should.have.length(3);
+            progressUpdates[2].should.eql({completed: 3, succeeded: 3, failed: 0, total: 3});
+
+            const bulkResultsWithFailure = await client.createDocuments(vaultId, [{foo: 'good'}], {schemaId: 'not-a-schema'});
+            bulkResultsWithFailure[0].error.should.be.instanceOf(TrueVault.TrueVaultError);
+
             const user = await client.createUser(uniqueString(), uniqueString());
             const docWithOwner = await client.createDocument(vaultId, undefined, {foo: 'who'}, user.id);
             docWithOwner.owner_id.should.equal(user.id);
@@ -906,6 +2563,7 @@ describe('TrueVaultClient', function () {
                 await satClient.readVault(subjectVault.id);
                 should.fail(null, null, 'Should have thrown');
             } catch (e) {
+                e.should.be.instanceOf(TrueVault.TrueVaultError);
                 e.error.should.matchSchema({
                     type: 'object',
                     properties: {
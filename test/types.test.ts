@@ -0,0 +1,198 @@
+// Compiled (but never run) by `yarn test-types` to check that index.d.ts describes the SDK as it's used. Lines marked
+// with @ts-expect-error must fail to compile.
+import TrueVaultClient, {
+    BlobInfo, ChunkedUploadState, Document, DocumentInfo, LoginStep, NotFoundError, PageIterator, Search, TrueVaultCore,
+    User, UserMethods, VaultMethods
+} from '..';
+
+interface Patient {
+    name: string;
+    age: number;
+}
+
+interface UserAttributes {
+    email: string;
+}
+
+async function documents(client: TrueVaultClient, vaultId: string) {
+    const created: DocumentInfo = await client.createDocument<Patient>(vaultId, null, {name: 'Ann', age: 40});
+    // @ts-expect-error document contents must match the type argument
+    await client.createDocument<Patient>(vaultId, null, {name: 'Ann'});
+
+    const documents = await client.getDocuments<Patient>(vaultId, [created.id]);
+    const first: Document<Patient> | null = documents[0];
+    const age: number = first ? first.document.age : 0;
+
+    const list = await client.listDocuments<Patient>(vaultId, true, 1, 100);
+    const total: number = list.total;
+    const name: string | undefined = list.items[0].document && list.items[0].document.name;
+
+    const results = await client.searchDocuments<Patient>(vaultId, Search.where('name').eq('Ann').full());
+    const resultCount: number = results.info.total_result_count;
+
+    const iterator: PageIterator<{document_id: string, document?: Patient}> = client.iterateSearchDocuments<Patient>(
+        vaultId, {filter: {age: {type: 'range', value: {gte: 18}}}, full_document: true});
+    const matches = await iterator.toArray({limit: 10});
+
+    await client.updateDocument({vaultId, documentId: created.id, document: {name: 'Ann', age: 41}});
+    // @ts-expect-error named arguments must include the document
+    await client.updateDocument({vaultId, documentId: created.id});
+
+    const bulk = await client.createDocuments<Patient>(vaultId, [{name: 'Bob', age: 30}], {concurrency: 2});
+    const failed = bulk.filter(result => result.error !== null);
+
+    const untyped = await client.getDocuments(vaultId, [created.id]);
+    // @ts-expect-error contents are unknown without a type argument
+    untyped[0]!.document.age;
+
+    const deleted = await client.deleteDocument(vaultId, created.id);
+    const ownerId: string | null = deleted.owner_id;
+}
+
+async function users(client: TrueVaultClient) {
+    const user: User<UserAttributes> = await client.createUser<UserAttributes>('ann', 'password', {email: 'a@b.c'});
+    const email: string | undefined = user.attributes ? user.attributes.email : undefined;
+    // @ts-expect-error statuses are checked
+    await client.updateUserStatus(user.id, 'ASLEEP');
+
+    const readUsers = await client.readUsers<UserAttributes>([user.id]);
+    const maybeUser: User<UserAttributes> | null = readUsers[0];
+
+    for await (const listed of client.iterateUsers<UserAttributes>({full: true})) {
+        const listedEmail: string | undefined = listed.attributes ? listed.attributes.email : undefined;
+    }
+
+    const enrollment = await client.startUserMfaEnrollment(user.id, 'Example');
+    const secret: string = enrollment.secret;
+}
+
+async function resources(client: TrueVaultClient) {
+    const vault = await client.createVault('vault');
+    const schema = await client.createSchema(vault.id, 'schema', [{name: 'name', type: 'string', index: true}]);
+    const group = await client.createGroup('group', [{Resources: [`Vault::${vault.id}::Document::`], Activities: 'CRUD'}]);
+    const groupUsers: string[] | undefined = (await client.readFullGroup(group.id)).user_ids;
+
+    const blob = await client.createBlob(vault.id, 'contents');
+    const contents = await client.getBlob(vault.id, blob.id, {expectedHash: blob.sha256});
+    const contentType: string | null = contents.contentType;
+    await client.createBlobWithProgress(vault.id, 'contents', event => event.loaded / event.total);
+    const uploaded = await client.uploadBlobFromFile(vault.id, '/tmp/scan.pdf', {contentType: 'application/pdf'});
+    const downloaded = await client.vault(vault.id).blobs.downloadToFile(uploaded.id, '/tmp', {
+        expectedHash: uploaded.sha256
+    });
+    const downloadedPath: string = downloaded.path;
+    const downloadedHash: string = downloaded.sha256;
+    // @ts-expect-error upload options are checked
+    await client.uploadBlobFromFile(vault.id, '/tmp/scan.pdf', {owner: 'user'});
+
+    const upload = client.createChunkedUpload(vault.id, new Uint8Array(10), {
+        partSize: 4,
+        progressCallback: event => event.loaded,
+        onStateChange: state => JSON.stringify(state)
+    });
+    const saved: ChunkedUploadState = upload.state;
+    const chunked: BlobInfo = await client.resumeChunkedUpload(saved, new Uint8Array(10)).start();
+    const reassembled = await client.vault(vault.id).blobs.getChunked(chunked.id);
+    // @ts-expect-error resuming takes its settings from the saved state
+    client.resumeChunkedUpload(saved, new Uint8Array(10), {partSize: 4});
+
+    const token = await client.createScopedAccessToken('token', group.policy, new Date(), 10);
+    const allowedUses: number | null = token.allowed_uses;
+
+    const flow = await client.createPasswordResetFlow({
+        name: 'flow',
+        sendGridTemplateId: 'template',
+        sendGridApiKey: 'key',
+        userEmailValueSpec: {user_attribute: 'email'},
+        fromEmailValueSpec: {literal_value: 'support@example.com'}
+    });
+    await client.sendPasswordResetEmail(flow.id, 'ann');
+
+    const messageId: string = await client.sendEmailSendgrid('key', 'user', 'template',
+        {literal_value: 'support@example.com'}, {user_attribute: 'email'});
+}
+
+async function handles(client: TrueVaultClient) {
+    const patients = client.vault('vault').documents;
+    const one: Document<Patient> | null = await patients.get<Patient>('document');
+    const many: Array<Document<Patient> | null> = await patients.get<Patient>(['a', 'b']);
+    const schemas = await client.vault('vault').schemas.list();
+    const user = await client.users.read<UserAttributes>('user');
+    const groups = await client.groups.list();
+    const tokens = await client.withRequestOptions({timeout: 1000}).scopedAccessTokens.list();
+
+    const loaded = await client.loaders.document<Patient>('vault').load('document');
+    const loadedUser = await client.createLoaders().user.load('user');
+}
+
+async function clients() {
+    const client: TrueVaultClient = new TrueVaultClient({apiKey: 'key'}, null, {
+        retry: {maxAttempts: 5},
+        timeout: 5000,
+        cache: {ttl: {document: 0}, store: new TrueVaultClient.MemoryCacheStore()},
+        middleware: [(request, next) => next(request)],
+        refreshCredentials: async () => ({accountId: 'account', username: 'ann', password: 'password'}),
+        encryption: {
+            keyProvider: new TrueVaultClient.LocalKeyProvider({currentKeyId: 'k1', keys: {k1: 'a2V5'}}),
+            documentFields: vaultId => vaultId === 'vault' ? ['ssn'] : [],
+            blobs: true
+        }
+    });
+    const wrapKey = async () => ({keyId: 'k', wrappedKey: new Uint8Array(0)});
+    // @ts-expect-error key providers must implement unwrapKey
+    new TrueVaultClient(null, null, {encryption: {keyProvider: {wrapKey}}});
+    // @ts-expect-error unknown authentication styles are rejected
+    new TrueVaultClient({password: 'password'});
+
+    const loggedIn: TrueVaultClient = await TrueVaultClient.login('account', 'ann', 'password');
+    const named: TrueVaultClient = await TrueVaultClient.login({accountId: 'account', username: 'ann', password: 'pw'});
+    const accessToken: string = await TrueVaultClient.generateAccessToken('account', 'ann', 'password');
+    const restored: TrueVaultClient | null = await TrueVaultClient.fromStorage(new TrueVaultClient.WebStorage('session'));
+
+    let step: LoginStep<TrueVaultClient> = await TrueVaultClient.beginLogin('account', 'ann', 'password');
+    while (step.state === 'mfaRequired' || step.state === 'invalidMfaCode') {
+        step = await step.submitMfaCode('123456');
+    }
+    if (step.state === 'authenticated') {
+        const authenticated: TrueVaultClient = step.client;
+    }
+
+    client.on('tokenRefreshed', event => event.accessToken.length).use(async (request, next) => {
+        request.options.headers = {'X-Correlation-Id': 'id'};
+        return next();
+    });
+    const persisted: TrueVaultClient = await client.persist(new TrueVaultClient.MemoryStorage());
+    const loggedOut: User = await client.logout();
+    const response = await client.performJSONRequest('v1/vaults', {method: 'GET'});
+    const vaults: unknown = response.vaults;
+    const notValidAfter: Date | null = client.accessTokenNotValidAfter;
+
+    try {
+        await client.readVault('vault');
+    } catch (e) {
+        if (e instanceof TrueVaultClient.NotFoundError || e instanceof NotFoundError) {
+            const transactionId: string | undefined = e.transactionId;
+        } else if (e instanceof TrueVaultClient.DecryptionError) {
+            const keyId: string | undefined = e.keyId;
+        } else if (e instanceof TrueVaultClient.IntegrityError) {
+            const actualHash: string = e.actualHash;
+        } else if (e instanceof TrueVaultClient.SearchBuildError) {
+            const message: string = e.message;
+        }
+    }
+}
+
+async function modularClients() {
+    const Client = TrueVaultCore.with(UserMethods, VaultMethods);
+    const client = new Client({accessToken: 'token', notValidAfter: new Date()});
+    const vaults = await client.listVaults();
+    const user = await client.readCurrentUser();
+    // @ts-expect-error methods of classes that weren't mixed in are missing
+    client.listGroups();
+
+    const loggedIn = await Client.login('account', 'ann', 'password');
+    const documents = await loggedIn.getDocuments<Patient>('vault', ['document']);
+
+    const CommonJSClient = TrueVaultClient.TrueVaultCore.with(TrueVaultClient.UserMethods);
+    const commonJSUser = await new CommonJSClient({apiKey: 'key'}).readCurrentUser();
+}
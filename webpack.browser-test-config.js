@@ -17,6 +17,12 @@ module.exports = {
         filename: 'index.test.js',
         libraryTarget: "umd"
     },
+    node: {
+        // The tests use the nodejs entry point, whose NodeSupport and JSONFileStorage use fs and crypto, which don't
+        // exist in browsers
+        fs: 'empty',
+        crypto: 'empty'
+    },
     module: {
         loaders: [
             {